@@ -1,6 +1,7 @@
 import express from 'express';
 import cors from 'cors';
 import morgan from 'morgan';
+import swaggerUi from 'swagger-ui-express';
 import dotenv from 'dotenv';
 import fs from 'fs/promises';
 import path from 'path';
@@ -8,9 +9,15 @@ import { fileURLToPath } from 'url';
 import { connectDB } from './config/database.js';
 import cookieRefreshRoutes from './routes/cookieRefreshRoutes.js';
 import healthRoutes from './routes/healthRoutes.js';
+import metricsRoutes from './routes/metricsRoutes.js';
 import { CookieRefreshService } from './services/CookieRefreshService.js';
 import { setCookieRefreshService } from './controllers/cookieRefreshController.js';
 import { logger } from './helpers/logger.js';
+import { ApiKey } from './models/ApiKey.js';
+import { buildOpenApiSpec } from './openapi/spec.js';
+import { httpMetrics } from './middleware/httpMetrics.js';
+import { setMetricsService } from './helpers/metrics.js';
+import { CONFIG } from './config/serviceConfig.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -21,40 +28,47 @@ dotenv.config();
 const app = express();
 const PORT = process.env.PORT || 3000;
 
+// Allowed browser origins, comma separated (e.g. "https://dashboard.example.com"); none by default
+const corsOrigins = (process.env.CORS_ORIGINS || '')
+  .split(',')
+  .map(origin => origin.trim())
+  .filter(Boolean);
+
 // Middleware
 app.use(cors({
-  origin: true, // Allow all origins
+  origin: corsOrigins.length > 0 ? corsOrigins : false,
   credentials: true, // Allow credentials
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS', 'PATCH'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'Accept', 'Origin'],
-  exposedHeaders: ['Content-Length', 'X-Foo', 'X-Bar'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-API-Key', 'X-Requested-With', 'Accept', 'Origin'],
+  exposedHeaders: ['Content-Length', 'Content-Disposition'],
   maxAge: 86400 // 24 hours
 }));
 app.use(morgan('combined'));
+app.use(httpMetrics);
 app.use(express.json({ limit: '50mb' }));
 app.use(express.urlencoded({ extended: true, limit: '50mb' }));
 
-// Additional CORS handling for preflight requests
-app.use((req, res, next) => {
-  res.header('Access-Control-Allow-Origin', '*');
-  res.header('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS, PATCH');
-  res.header('Access-Control-Allow-Headers', 'Origin, X-Requested-With, Content-Type, Accept, Authorization');
-  res.header('Access-Control-Allow-Credentials', 'true');
-  
-  // Handle preflight requests
-  if (req.method === 'OPTIONS') {
-    res.sendStatus(200);
-  } else {
-    next();
-  }
-});
+// API documentation; open like the health probes, it holds no cookie or refresh data
+const openApiSpec = buildOpenApiSpec();
+app.get('/api/openapi.json', (req, res) => res.json(openApiSpec));
+app.use('/api/docs', swaggerUi.serve, swaggerUi.setup(openApiSpec));
 
 // Routes
 app.use('/api/health', healthRoutes);
 app.use('/api/cookie-refresh', cookieRefreshRoutes);
+app.use('/metrics', metricsRoutes);
 
 // Error handling middleware
 app.use((err, req, res, next) => {
+  // Malformed JSON bodies are client errors, reported like schema validation failures
+  if (err.type === 'entity.parse.failed') {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: [{ location: 'body', path: '/', message: 'must be valid JSON' }]
+    });
+  }
+
   logger.error('Unhandled error:', err);
   res.status(500).json({
     success: false,
@@ -76,11 +90,12 @@ let cookieRefreshService;
 
 /**
  * Ensure required directories exist
+ * Jar and session files are not pre-created: the cookie store reads a missing file as empty.
  */
 async function ensureDirectories() {
   const projectRoot = path.join(__dirname, '..');
   const logsDir = path.join(projectRoot, 'logs');
-  const dataDir = path.join(projectRoot, 'data');
+  const dataDir = CONFIG.STORAGE.DATA_DIR;
   
   try {
     // Create logs directory
@@ -91,24 +106,6 @@ async function ensureDirectories() {
     await fs.mkdir(dataDir, { recursive: true });
     console.log(`✓ Ensured data directory exists: ${dataDir}`);
     
-    // Create initial data files if they don't exist
-    const cookiesFile = path.join(dataDir, 'cookies.json');
-    const sessionsFile = path.join(dataDir, 'sessions.json');
-    
-    try {
-      await fs.access(cookiesFile);
-    } catch {
-      await fs.writeFile(cookiesFile, '[]');
-      console.log(`✓ Created initial cookies.json file`);
-    }
-    
-    try {
-      await fs.access(sessionsFile);
-    } catch {
-      await fs.writeFile(sessionsFile, '[]');
-      console.log(`✓ Created initial sessions.json file`);
-    }
-    
   } catch (error) {
     console.error('Failed to create required directories:', error);
     throw error;
@@ -123,12 +120,20 @@ async function startServer() {
     await connectDB();
     logger.info('Connected to MongoDB');
 
+    // Warn if nobody can authenticate yet
+    if (process.env.API_AUTH_ENABLED === 'false') {
+      logger.warn('API key authentication is disabled (API_AUTH_ENABLED=false)');
+    } else if (!process.env.ADMIN_API_KEY && await ApiKey.countDocuments({ revokedAt: null }) === 0) {
+      logger.warn('No API keys exist and ADMIN_API_KEY is not set - all API routes will reject requests');
+    }
+
     // Initialize cookie refresh service
     cookieRefreshService = new CookieRefreshService();
     await cookieRefreshService.initialize();
     
-    // Inject service into controller
+    // Inject service into controller and metrics
     setCookieRefreshService(cookieRefreshService);
+    setMetricsService(cookieRefreshService);
     
     logger.info('Cookie refresh service initialized');
 
@@ -1,3 +1,53 @@
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+/**
+ * Read a comma separated list from the environment
+ * @param {string} name - Environment variable
+ * @param {Array<string>} fallback - Value when the variable is unset
+ * @returns {Array<string>} List entries
+ */
+const listFromEnv = (name, fallback) => (process.env[name]
+  ? process.env[name].split(',').map(entry => entry.trim()).filter(Boolean)
+  : fallback);
+
+/**
+ * Read a number of days from the environment as milliseconds
+ * @param {string} name - Environment variable
+ * @param {number} fallback - Days when the variable is unset
+ * @returns {number} Duration in milliseconds; 0 when set to 0
+ */
+const daysFromEnv = (name, fallback) => {
+  const days = parseInt(process.env[name]);
+  return (Number.isNaN(days) ? fallback : days) * 24 * 60 * 60 * 1000;
+};
+
+/**
+ * Read a fraction from the environment
+ * @param {string} name - Environment variable
+ * @param {number} fallback - Value when the variable is unset
+ * @returns {number} Fraction above 0 and at most 1
+ */
+const fractionFromEnv = (name, fallback) => {
+  if (!process.env[name]) {
+    return fallback;
+  }
+
+  const fraction = Number(process.env[name]);
+  if (!(fraction > 0 && fraction <= 1)) {
+    throw new Error(`${name} must be a number above 0 and at most 1, got "${process.env[name]}"`);
+  }
+  return fraction;
+};
+
+// Directory of the file store and of retention archives; relative paths resolve against the working directory
+const DATA_DIR = process.env.DATA_DIR
+  ? path.resolve(process.env.DATA_DIR)
+  : path.join(__dirname, '../../data');
+
 // Environment validation
 const requiredEnvVars = ['MONGODB_URI'];
 const missingEnvVars = requiredEnvVars.filter(envVar => !process.env[envVar]);
@@ -8,15 +58,8 @@ if (missingEnvVars.length > 0) {
 }
 
 export const CONFIG = {
-  // Cookie refresh intervals
-  COOKIE_REFRESH_INTERVAL: 15 * 60 * 1000, // 15 minutes
-  PERIODIC_REFRESH_INTERVAL: () => {
-    // Random interval between 15-20 minutes
-    const minMinutes = 15;
-    const maxMinutes = 20;
-    const randomMinutes = Math.floor(Math.random() * (maxMinutes - minMinutes + 1)) + minMinutes;
-    return randomMinutes * 60 * 1000;
-  },
+  // Cookie refresh interval
+  COOKIE_REFRESH_INTERVAL: 15 * 60 * 1000, // 15 minutes, for profiles without their own interval
   
   // Browser and page timeouts
   BROWSER_RESTART_TIMEOUT: 120000, // 2 minutes
@@ -30,8 +73,8 @@ export const CONFIG = {
   MAX_COOKIE_LENGTH: 8000,
   MAX_COOKIE_AGE: 7 * 24 * 60 * 60 * 1000, // 7 days
   
-  // Essential cookies that must be present
-  ESSENTIAL_COOKIES: [
+  // Essential cookies that must be present (override with ESSENTIAL_COOKIES, comma separated)
+  ESSENTIAL_COOKIES: listFromEnv('ESSENTIAL_COOKIES', [
     'TMUO',
     'TMPS',
     'TM_TKTS',
@@ -45,10 +88,19 @@ export const CONFIG = {
     'tmTrackID',
     'TapAd_DID',
     'uid'
-  ],
+  ]),
+  
+  // Authentication cookies that are critical (override with AUTH_COOKIES, comma separated)
+  AUTH_COOKIES: listFromEnv('AUTH_COOKIES', ['TMUO', 'TMPS', 'TM_TKTS', 'SESSION', 'audit']),
   
-  // Authentication cookies that are critical
-  AUTH_COOKIES: ['TMUO', 'TMPS', 'TM_TKTS', 'SESSION', 'audit'],
+  // Minimum number of cookies per domain, subdomains included
+  // (override with COOKIE_DOMAIN_MINIMUMS, e.g. "ticketmaster.com:3,livenation.com:1")
+  COOKIE_DOMAIN_MINIMUMS: Object.fromEntries(
+    listFromEnv('COOKIE_DOMAIN_MINIMUMS', ['ticketmaster.com:3']).map(entry => {
+      const [domain, minimum] = entry.split(':');
+      return [domain.trim().replace(/^\./, ''), parseInt(minimum) || 1];
+    })
+  ),
   
   // Circuit breaker configuration
   CIRCUIT_BREAKER: {
@@ -59,7 +111,98 @@ export const CONFIG = {
   // Scheduling configuration
   SCHEDULER: {
     CHECK_INTERVAL: 60000, // Check every minute
-    MAX_CONCURRENT_REFRESHES: 3
+    MAX_CONCURRENT_REFRESHES: parseInt(process.env.MAX_CONCURRENT_REFRESHES) || 3 // Refresh workers, each with its own browser
+  },
+  
+  // Next refresh planned from the lifetime of the captured cookies
+  REFRESH_PLAN: {
+    LIFETIME_FRACTION: fractionFromEnv('REFRESH_LIFETIME_FRACTION', 0.5), // Refresh halfway through the shortest cookie lifetime
+    MIN_INTERVAL: (parseInt(process.env.REFRESH_MIN_INTERVAL_MINUTES) || 5) * 60 * 1000, // 5 minutes
+    MAX_INTERVAL: (parseInt(process.env.REFRESH_MAX_INTERVAL_MINUTES) || 12 * 60) * 60 * 1000, // 12 hours
+    FAILURE_DELAY: 5 * 60 * 1000 // 5 minutes after a failed refresh
+  },
+  
+  // Recovery of refreshes left in_progress by crashed instances
+  RECOVERY: {
+    HEARTBEAT_INTERVAL: 30000, // Each instance reports itself alive every 30 seconds
+    INSTANCE_TIMEOUT: 2 * 60 * 1000, // 2 minutes without a heartbeat means the instance is dead
+    INSTANCE_RETENTION: 24 * 60 * 60 * 1000, // Forget dead instances after 24 hours
+    CHECK_INTERVAL: 5 * 60 * 1000, // Look for orphaned refreshes every 5 minutes
+    MAX_REFRESH_AGE: 45 * 60 * 1000, // 45 minutes - longer than every retry of one refresh
+    REQUEUE: process.env.RECOVERY_REQUEUE === 'true' // Start a new refresh for each abandoned profile
+  },
+  
+  // Lease locks shared between service instances
+  LOCKS: {
+    LEADER_TTL: 30000, // 30 seconds - another instance takes over scheduling after this
+    REFRESH_TTL: 60000, // 1 minute lease on a profile while it is refreshed
+    RENEW_INTERVAL: 10000, // Renew held leases every 10 seconds
+    WAIT_TIMEOUT: 5 * 60 * 1000, // 5 minutes - longest a refresh waits for another instance's refresh of the profile
+    RETRY_DELAY: 2000 // Poll a held lock every 2 seconds
+  },
+
+  // Cookie leasing configuration
+  LEASE: {
+    DEFAULT_TTL: 5 * 60, // 5 minutes (seconds)
+    MAX_TTL: 60 * 60 // 1 hour (seconds)
+  },
+  
+  // Refresh job configuration
+  JOBS: {
+    RETENTION: 24 * 60 * 60 * 1000, // Delete finished jobs after 24 hours
+    MAX_WAIT: 300, // Longest ?wait= a caller may block for (seconds)
+    WAIT_POLL_INTERVAL: 1000 // Re-read a job every second while a caller waits for it
+  },
+
+  // Durable refresh job queue
+  QUEUE: {
+    POLL_INTERVAL: 5000, // Look for due jobs, e.g. queued by other instances, every 5 seconds
+    VISIBILITY_TIMEOUT: 5 * 60 * 1000, // 5 minutes - a claimed job is handed to another worker unless extended
+    EXTEND_INTERVAL: 60000, // Running jobs extend their claim every minute
+    MAX_ATTEMPTS: parseInt(process.env.QUEUE_MAX_ATTEMPTS) || 2, // Claims before a failing job is given up
+    RETRY_DELAY: 60000 // 1 minute before a failed job is retried, times its attempts so far
+  },
+  
+  // Webhook delivery configuration
+  WEBHOOKS: {
+    MAX_ATTEMPTS: 8, // Deliveries are dead-lettered after this many attempts
+    BASE_DELAY: 30000, // 30 seconds, doubled after each failed attempt
+    MAX_DELAY: 60 * 60 * 1000, // 1 hour cap on backoff
+    TIMEOUT: 10000, // 10 seconds per attempt
+    POLL_INTERVAL: 10000, // Check for due retries every 10 seconds
+    BATCH_SIZE: 50 // Max retries per poll
+  },
+  
+  // Cookie and session persistence
+  STORAGE: {
+    BACKEND: process.env.COOKIE_STORE || 'file', // file, mongo or memory
+    DATA_DIR,
+    LOCK_TIMEOUT: 10000, // Give up waiting for a file lock after 10 seconds
+    LOCK_STALE: 30000, // Break locks their holder has not refreshed for 30 seconds (crashed holder)
+    LOCK_RETRY_DELAY: 50 // Poll a held lock every 50ms
+  },
+
+  // Cookie jar version history retention; the newest version of a profile is always kept
+  VERSIONS: {
+    MAX_PER_PROFILE: parseInt(process.env.COOKIE_VERSIONS_MAX) || 100,
+    MAX_AGE: (parseInt(process.env.COOKIE_VERSIONS_MAX_AGE_DAYS) || 30) * 24 * 60 * 60 * 1000 // 30 days
+  },
+
+  // Background deletion of old records; an age of 0 keeps a collection forever
+  RETENTION: {
+    CHECK_INTERVAL: 60 * 60 * 1000, // Apply the retention policy every hour
+    REFRESHES: daysFromEnv('RETENTION_REFRESHES_DAYS', 30), // Refresh records, by start time
+    SESSIONS: daysFromEnv('RETENTION_SESSIONS_DAYS', 30), // Browser sessions
+    // Cookie jar versions follow VERSIONS above
+    ARCHIVE: process.env.RETENTION_ARCHIVE === 'true', // Write deleted records to ARCHIVE_DIR first
+    ARCHIVE_DIR: path.join(DATA_DIR, 'archive'),
+    BATCH_SIZE: 1000 // Records deleted or restored per query
+  },
+  
+  // Statistics configuration
+  STATS: {
+    TIMESERIES_RANGE: { hour: 24 * 60 * 60 * 1000, day: 30 * 24 * 60 * 60 * 1000 }, // Default range: 24 hours or 30 days
+    MAX_BUCKETS: 1000 // Longest range /stats/timeseries returns, in buckets
   },
   
   // API configuration
@@ -0,0 +1,112 @@
+import ApiKeyManager from '../helpers/ApiKeyManager.js';
+import { logger } from '../helpers/logger.js';
+
+/**
+ * Issue a new API key
+ * The plaintext key is only returned in this response.
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ */
+export const issueApiKey = async (req, res) => {
+  try {
+    const { name, scopes, expiresAt } = req.body;
+
+    if (!name || typeof name !== 'string') {
+      return res.status(400).json({
+        success: false,
+        error: 'name is required and must be a string'
+      });
+    }
+
+    if (!Array.isArray(scopes) || scopes.length === 0 || !scopes.every(scope => ApiKeyManager.SCOPES.includes(scope))) {
+      return res.status(400).json({
+        success: false,
+        error: `scopes must be a non-empty array of: ${ApiKeyManager.SCOPES.join(', ')}`
+      });
+    }
+
+    const expiry = expiresAt ? new Date(expiresAt) : null;
+    if (expiry && (isNaN(expiry.getTime()) || expiry <= new Date())) {
+      return res.status(400).json({
+        success: false,
+        error: 'expiresAt must be a future date'
+      });
+    }
+
+    const { key, record } = await ApiKeyManager.issueKey(name, [...new Set(scopes)], expiry, req.apiKey?.keyId);
+    
+    res.status(201).json({
+      success: true,
+      data: {
+        key,
+        keyId: record.keyId,
+        name: record.name,
+        scopes: record.scopes,
+        expiresAt: record.expiresAt || null,
+        createdAt: record.createdAt
+      },
+      message: 'Store this key now; it cannot be retrieved again'
+    });
+  } catch (error) {
+    logger.error('Error issuing API key:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
+
+/**
+ * List API keys
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ */
+export const listApiKeys = async (req, res) => {
+  try {
+    const keys = await ApiKeyManager.listKeys();
+    
+    res.json({
+      success: true,
+      data: {
+        keys,
+        count: keys.length
+      }
+    });
+  } catch (error) {
+    logger.error('Error listing API keys:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Revoke an API key
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ */
+export const revokeApiKey = async (req, res) => {
+  try {
+    const key = await ApiKeyManager.revokeKey(req.params.keyId);
+
+    if (!key) {
+      return res.status(404).json({
+        success: false,
+        error: 'Active API key not found'
+      });
+    }
+    
+    res.json({
+      success: true,
+      message: `API key ${key.keyId} revoked`,
+      data: key
+    });
+  } catch (error) {
+    logger.error('Error revoking API key:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
@@ -0,0 +1,54 @@
+import RetentionManager from '../helpers/RetentionManager.js';
+import { logger } from '../helpers/logger.js';
+
+/**
+ * List retention archives, newest first
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ */
+export const listArchives = async (req, res) => {
+  try {
+    const archives = await RetentionManager.listArchives();
+
+    res.json({
+      success: true,
+      data: archives
+    });
+  } catch (error) {
+    logger.error('Error listing archives:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Restore the records of a retention archive
+ * Records that still exist are skipped.
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ */
+export const restoreArchive = async (req, res) => {
+  try {
+    const result = await RetentionManager.restoreArchive(req.params.name);
+
+    if (!result) {
+      return res.status(404).json({
+        success: false,
+        error: 'Archive not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    logger.error('Error restoring archive:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
@@ -1,6 +1,41 @@
+import { Readable } from 'stream';
+import { pipeline } from 'stream/promises';
 import { CookieRefresh } from '../models/CookieRefresh.js';
-import CookieRefreshTracker from '../helpers/CookieRefreshTracker.js';
+import CookieRefreshTracker, { BUCKET_SIZES } from '../helpers/CookieRefreshTracker.js';
+import CookieLeaseTracker from '../helpers/CookieLeaseTracker.js';
+import CookieProfileManager from '../helpers/CookieProfileManager.js';
+import StorageEncryption from '../helpers/StorageEncryption.js';
+import CookieValidator from '../helpers/CookieValidator.js';
+import RetentionManager from '../helpers/RetentionManager.js';
+import RefreshQueue from '../helpers/RefreshQueue.js';
 import { logger } from '../helpers/logger.js';
+import { COOKIE_FORMATS } from '../helpers/cookieFormats.js';
+import { getCookieTtls } from '../helpers/cookieExpiry.js';
+import { HISTORY_EXPORT_FORMATS, HISTORY_EXPORT_FIELDS } from '../helpers/historyExport.js';
+import { CONFIG } from '../config/serviceConfig.js';
+
+const LEASE_OUTCOMES = ['ok', 'rejected', 'expired'];
+
+/**
+ * Validate an optional profile parameter
+ * @param {string} profile - Profile name from the request
+ * @returns {Promise<object|null>} An error response descriptor, or null if the profile is usable
+ */
+const validateProfileParam = async (profile) => {
+  if (profile === undefined) {
+    return null;
+  }
+
+  if (!CookieProfileManager.isValidName(profile)) {
+    return { status: 400, error: 'profile must be a lowercase name of letters, digits, "-" or "_"' };
+  }
+
+  if (!await CookieProfileManager.exists(profile)) {
+    return { status: 404, error: `Cookie profile not found: ${profile}` };
+  }
+
+  return null;
+};
 
 // This will be injected by the app
 let cookieRefreshService = null;
@@ -13,8 +48,17 @@ export const setCookieRefreshService = (service) => {
   cookieRefreshService = service;
 };
 
+/**
+ * Get the injected cookie refresh service instance
+ * @returns {CookieRefreshService|null} The service instance, or null before startup completes
+ */
+export const getCookieRefreshService = () => cookieRefreshService;
+
 /**
  * Get current cookies
+ * Supports ?format=json|netscape|header|har|tough-cookie to download the jar
+ * in a client-specific format instead of the default JSON envelope, and
+ * ?profile=<name> to read a named profile's jar.
  * @param {object} req - Express request object
  * @param {object} res - Express response object
  */
@@ -27,27 +71,59 @@ export const getCurrentCookies = async (req, res) => {
       });
     }
 
-    let cookies = await cookieRefreshService.getCurrentCookies();
+    const { format } = req.query;
+    if (format && !Object.hasOwn(COOKIE_FORMATS, format)) {
+      return res.status(400).json({
+        success: false,
+        error: `format must be one of: ${Object.keys(COOKIE_FORMATS).join(', ')}`
+      });
+    }
+
+    const profileError = await validateProfileParam(req.query.profile);
+    if (profileError) {
+      return res.status(profileError.status).json({
+        success: false,
+        error: profileError.error
+      });
+    }
+
+    const profile = req.query.profile || CookieProfileManager.DEFAULT_PROFILE;
+    let cookies = await cookieRefreshService.getCurrentCookies(profile);
     
     // If no cookies exist, automatically trigger a refresh to generate them
     if (cookies.length === 0) {
-      logger.info('No cookies found, automatically triggering cookie refresh');
+      logger.info(`No cookies found for profile ${profile}, automatically triggering cookie refresh`);
       try {
-        await cookieRefreshService.refreshCookies();
+        const job = await cookieRefreshService.startRefreshJob(null, null, profile, { dedupeKey: `profile:${profile}` });
+        await RefreshQueue.waitForJob(job.jobId, CONFIG.JOBS.MAX_WAIT * 1000);
         // Get the newly generated cookies
-        cookies = await cookieRefreshService.getCurrentCookies();
+        cookies = await cookieRefreshService.getCurrentCookies(profile);
         logger.info(`Generated ${cookies.length} new cookies`);
       } catch (refreshError) {
         logger.error('Failed to auto-generate cookies:', refreshError);
         // Continue with empty cookies array, don't fail the request
       }
     }
+
+    if (format) {
+      const { contentType, filename, serialize } = COOKIE_FORMATS[format];
+      res.set('Content-Type', contentType);
+      res.attachment(filename);
+      return res.send(serialize(cookies));
+    }
+    
+    // Match the jar to the refresh that produced it
+    const cookiesHash = StorageEncryption.hashCookies(cookies);
+    const producer = await CookieRefreshTracker.findByCookiesHash(cookiesHash, profile);
     
     res.json({
       success: true,
       data: {
+        profile,
         cookies,
         count: cookies.length,
+        cookiesHash,
+        refreshId: producer?.refreshId || null,
         lastUpdated: cookies.length > 0 ? new Date().toISOString() : null,
         autoGenerated: cookies.length > 0 && req.query.autoGenerated !== 'false'
       }
@@ -61,6 +137,310 @@ export const getCurrentCookies = async (req, res) => {
   }
 };
 
+/**
+ * Get the time left on each cookie and on the jar as a whole
+ * Cookie TTLs come from the expiry set by the site; the jar TTL comes from the
+ * service-level validity recorded by the refresh that produced it. Unlike
+ * GET /cookies, an empty jar does not trigger a refresh.
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ */
+export const getCookieTtl = async (req, res) => {
+  try {
+    if (!cookieRefreshService) {
+      return res.status(503).json({
+        success: false,
+        error: 'Cookie refresh service not available'
+      });
+    }
+
+    const profileError = await validateProfileParam(req.query.profile);
+    if (profileError) {
+      return res.status(profileError.status).json({
+        success: false,
+        error: profileError.error
+      });
+    }
+
+    const profile = req.query.profile || CookieProfileManager.DEFAULT_PROFILE;
+    const cookies = await cookieRefreshService.getCurrentCookies(profile);
+    const cookiesHash = StorageEncryption.hashCookies(cookies);
+    const producer = await CookieRefreshTracker.findByCookiesHash(cookiesHash, profile);
+    const { jar, cookies: cookieTtls } = getCookieTtls(cookies, producer?.validUntil ?? null);
+
+    res.json({
+      success: true,
+      data: {
+        profile,
+        refreshId: producer?.refreshId || null,
+        count: cookies.length,
+        jar,
+        cookies: cookieTtls,
+        timestamp: new Date().toISOString()
+      }
+    });
+  } catch (error) {
+    logger.error('Error getting cookie TTLs:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Validate the current jar against the required cookie lists and per-domain minimums
+ * The jar is only inspected; an invalid jar is reported, not replaced.
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ */
+export const validateCurrentCookies = async (req, res) => {
+  try {
+    if (!cookieRefreshService) {
+      return res.status(503).json({
+        success: false,
+        error: 'Cookie refresh service not available'
+      });
+    }
+
+    const profileError = await validateProfileParam(req.query.profile);
+    if (profileError) {
+      return res.status(profileError.status).json({
+        success: false,
+        error: profileError.error
+      });
+    }
+
+    const profile = req.query.profile || CookieProfileManager.DEFAULT_PROFILE;
+    const cookies = await cookieRefreshService.getCurrentCookies(profile);
+    const producer = await CookieRefreshTracker.findByCookiesHash(StorageEncryption.hashCookies(cookies), profile);
+
+    res.json({
+      success: true,
+      data: {
+        profile,
+        refreshId: producer?.refreshId || null,
+        ...CookieValidator.validate(cookies)
+      }
+    });
+  } catch (error) {
+    logger.error('Error validating current cookies:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Parse an optional ?wait=<seconds> parameter
+ * @param {string} value - Raw query value
+ * @returns {number|null} Seconds to wait (0 if absent), or null if invalid
+ */
+const parseWaitParam = (value) => {
+  if (value === undefined) {
+    return 0;
+  }
+
+  const seconds = Number(value);
+  if (!Number.isFinite(seconds) || seconds < 0 || seconds > CONFIG.JOBS.MAX_WAIT) {
+    return null;
+  }
+  return seconds;
+};
+
+/**
+ * Build a job view from a persisted refresh record
+ * Used for refreshes without a job record, e.g. jobs already deleted by retention.
+ * @param {object} refresh - CookieRefresh document
+ * @returns {object} Job representation
+ */
+const jobFromRefreshRecord = (refresh) => ({
+  jobId: refresh.refreshId,
+  refreshId: refresh.refreshId,
+  profile: refresh.profile || CookieProfileManager.DEFAULT_PROFILE,
+  eventId: refresh.eventId,
+  state: refresh.status,
+  attempts: refresh.status === 'in_progress' ? 0 : refresh.retryCount + 1,
+  result: refresh.status === 'success'
+    ? { cookieCount: refresh.cookieCount, retryCount: refresh.retryCount }
+    : null,
+  error: refresh.errorMessage || null,
+  createdAt: refresh.createdAt,
+  startedAt: refresh.startTime,
+  finishedAt: refresh.completionTime || null
+});
+
+/**
+ * Check whether a job has reached a final state
+ * @param {object} job - Job representation
+ * @returns {boolean} True if the job succeeded or failed
+ */
+const isJobFinished = (job) => job.state === 'success' || job.state === 'failed';
+
+/**
+ * Check out the current cookie set under a lease
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ */
+export const leaseCookies = async (req, res) => {
+  try {
+    if (!cookieRefreshService) {
+      return res.status(503).json({
+        success: false,
+        error: 'Cookie refresh service not available'
+      });
+    }
+
+    const { consumer } = req.body;
+    const profileError = await validateProfileParam(req.body.profile);
+    if (profileError) {
+      return res.status(profileError.status).json({
+        success: false,
+        error: profileError.error
+      });
+    }
+
+    const profile = req.body.profile || CookieProfileManager.DEFAULT_PROFILE;
+    const ttl = req.body.ttl === undefined ? CONFIG.LEASE.DEFAULT_TTL : Number(req.body.ttl);
+
+    if (!Number.isInteger(ttl) || ttl < 1 || ttl > CONFIG.LEASE.MAX_TTL) {
+      return res.status(400).json({
+        success: false,
+        error: `ttl must be an integer between 1 and ${CONFIG.LEASE.MAX_TTL} seconds`
+      });
+    }
+
+    if (consumer !== undefined && typeof consumer !== 'string') {
+      return res.status(400).json({
+        success: false,
+        error: 'consumer must be a string'
+      });
+    }
+
+    const cookies = await cookieRefreshService.getCurrentCookies(profile);
+
+    if (cookies.length === 0) {
+      return res.status(503).json({
+        success: false,
+        error: 'No cookies available to lease'
+      });
+    }
+
+    // Attribute the lease to the refresh that produced this exact jar, if known
+    const producer = await CookieRefreshTracker.findByCookiesHash(StorageEncryption.hashCookies(cookies), profile)
+      || await CookieRefreshTracker.getLatestSuccessfulRefresh(profile);
+    const lease = await CookieLeaseTracker.issueLease(
+      producer?.refreshId || null,
+      cookies.length,
+      ttl,
+      consumer || null,
+      profile
+    );
+
+    res.status(201).json({
+      success: true,
+      data: {
+        leaseId: lease.leaseId,
+        profile: lease.profile,
+        refreshId: lease.refreshId,
+        ttl: lease.ttl,
+        issuedAt: lease.issuedAt,
+        expiresAt: lease.expiresAt,
+        cookies,
+        count: cookies.length
+      }
+    });
+  } catch (error) {
+    logger.error('Error leasing cookies:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Check a leased cookie set back in and report how it performed
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ */
+export const releaseCookieLease = async (req, res) => {
+  try {
+    const { leaseId } = req.params;
+    const { outcome, reason } = req.body;
+
+    if (!LEASE_OUTCOMES.includes(outcome)) {
+      return res.status(400).json({
+        success: false,
+        error: `outcome must be one of: ${LEASE_OUTCOMES.join(', ')}`
+      });
+    }
+
+    if (reason !== undefined && typeof reason !== 'string') {
+      return res.status(400).json({
+        success: false,
+        error: 'reason must be a string'
+      });
+    }
+
+    const lease = await CookieLeaseTracker.releaseLease(leaseId, outcome, reason || null);
+
+    if (!lease) {
+      const existing = await CookieLeaseTracker.getLease(leaseId);
+      return existing
+        ? res.status(409).json({
+          success: false,
+          error: `Lease is already ${existing.status === 'active' ? 'expired' : existing.status}`
+        })
+        : res.status(404).json({
+          success: false,
+          error: 'Cookie lease not found'
+        });
+    }
+
+    res.json({
+      success: true,
+      data: lease
+    });
+  } catch (error) {
+    logger.error('Error releasing cookie lease:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Get a specific cookie lease
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ */
+export const getCookieLease = async (req, res) => {
+  try {
+    const lease = await CookieLeaseTracker.getLease(req.params.leaseId);
+
+    if (!lease) {
+      return res.status(404).json({
+        success: false,
+        error: 'Cookie lease not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: lease
+    });
+  } catch (error) {
+    logger.error('Error getting cookie lease:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
+
 /**
  * Get statistics about cookie refresh operations
  * @param {object} req - Express request object
@@ -73,7 +453,7 @@ export const getCookieRefreshStats = async (req, res) => {
     
     // Add service status if available
     if (cookieRefreshService) {
-      stats.serviceStatus = cookieRefreshService.getStatus();
+      stats.serviceStatus = await cookieRefreshService.getStatus();
     }
     
     res.json({
@@ -89,6 +469,53 @@ export const getCookieRefreshStats = async (req, res) => {
   }
 };
 
+/**
+ * Get cookie refresh statistics per hour or day
+ * ?from defaults to 24 hours (hourly) or 30 days (daily) before ?to, which defaults to now.
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ */
+export const getCookieRefreshTimeseries = async (req, res) => {
+  try {
+    // Query values are coerced and defaulted by the validate middleware
+    const { bucket, profile } = req.query;
+    const to = req.query.to ? new Date(req.query.to) : new Date();
+    const from = req.query.from ? new Date(req.query.from) : new Date(to.getTime() - CONFIG.STATS.TIMESERIES_RANGE[bucket]);
+
+    if (from >= to) {
+      return res.status(400).json({
+        success: false,
+        error: 'from must be before to'
+      });
+    }
+    if ((to - from) / BUCKET_SIZES[bucket] > CONFIG.STATS.MAX_BUCKETS) {
+      return res.status(400).json({
+        success: false,
+        error: `Range is limited to ${CONFIG.STATS.MAX_BUCKETS} ${bucket} buckets`
+      });
+    }
+
+    const buckets = await CookieRefreshTracker.getTimeseries(bucket, from, to, profile);
+
+    res.json({
+      success: true,
+      data: {
+        bucket,
+        from: buckets[0]?.start || from,
+        to,
+        profile: profile || null,
+        buckets
+      }
+    });
+  } catch (error) {
+    logger.error('Error getting cookie refresh timeseries:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
+
 /**
  * Get recent cookie refresh operations
  * @param {object} req - Express request object
@@ -99,8 +526,9 @@ export const getRecentRefreshes = async (req, res) => {
     const limit = parseInt(req.query.limit) || 20;
     const page = parseInt(req.query.page) || 1;
     const status = req.query.status || null;
+    const profile = req.query.profile || null;
     
-    const result = await CookieRefreshTracker.getRecentRefreshes(page, limit, status);
+    const result = await CookieRefreshTracker.getRecentRefreshes(page, limit, status, profile);
     
     res.json({
       success: true,
@@ -115,8 +543,54 @@ export const getRecentRefreshes = async (req, res) => {
   }
 };
 
+/**
+ * Download the full refresh history as CSV or NDJSON
+ * Accepts the ?status and ?profile filters of GET /history. Records are streamed
+ * from a MongoDB cursor as they are read, so the export size is not limited by memory.
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ */
+export const exportRefreshHistory = async (req, res) => {
+  try {
+    // Query values are coerced and defaulted by the validate middleware
+    const { format, status, profile } = req.query;
+    const { contentType, filename, header, serialize } = HISTORY_EXPORT_FORMATS[format];
+
+    const cursor = CookieRefreshTracker.streamRefreshes(status, profile, HISTORY_EXPORT_FIELDS);
+    async function* lines() {
+      yield header;
+      for await (const record of cursor) {
+        yield serialize(record);
+      }
+    }
+
+    // attachment() guesses a type from the extension, so set ours afterwards
+    res.attachment(filename);
+    res.set('Content-Type', contentType);
+    await pipeline(Readable.from(lines()), res);
+  } catch (error) {
+    if (res.headersSent) {
+      // Part of the file is already sent; the truncated response is all the client gets
+      if (error.code === 'ERR_STREAM_PREMATURE_CLOSE') {
+        logger.info('Client disconnected during refresh history export');
+      } else {
+        logger.error('Error streaming refresh history export:', error);
+      }
+      return;
+    }
+
+    logger.error('Error exporting refresh history:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
+
 /**
  * Trigger a manual cookie refresh
+ * Returns a job ID that can be polled at GET /jobs/:jobId. With ?wait=<seconds>
+ * the response is held until the job finishes or the wait runs out.
  * @param {object} req - Express request object
  * @param {object} res - Express response object
  */
@@ -129,39 +603,42 @@ export const triggerRefresh = async (req, res) => {
       });
     }
 
-    const { eventId, proxy } = req.body;
-    
-    // Validate input
-    if (eventId && typeof eventId !== 'string') {
-      return res.status(400).json({
+    // Body shape is checked against the OpenAPI schema by the validate middleware
+    const { eventId, proxy, profile, dedupeKey } = req.body;
+
+    const profileError = await validateProfileParam(profile);
+    if (profileError) {
+      return res.status(profileError.status).json({
         success: false,
-        error: 'eventId must be a string'
+        error: profileError.error
       });
     }
 
-    if (proxy && (!proxy.host || !proxy.port)) {
+    const waitSeconds = parseWaitParam(req.query.wait);
+    if (waitSeconds === null) {
       return res.status(400).json({
         success: false,
-        error: 'proxy must have host and port properties'
+        error: `wait must be a number of seconds between 0 and ${CONFIG.JOBS.MAX_WAIT}`
       });
     }
     
-    // Start the refresh process
-    res.json({
+    // Queue the refresh as a job; a pending job with the same dedupeKey is returned instead
+    let job = await cookieRefreshService.startRefreshJob(eventId, proxy, profile, { dedupeKey });
+    logger.info(`Manual cookie refresh triggered as job ${job.jobId}`);
+
+    if (waitSeconds > 0) {
+      job = await RefreshQueue.waitForJob(job.jobId, waitSeconds * 1000);
+    }
+    
+    res.status(isJobFinished(job) ? 200 : 202).json({
       success: true,
       message: 'Cookie refresh triggered',
+      jobId: job.jobId,
+      profile: job.profile,
+      statusUrl: `${req.baseUrl}/jobs/${job.jobId}`,
+      job,
       timestamp: new Date().toISOString()
     });
-    
-    // Run the refresh process in the background
-    cookieRefreshService.refreshCookies(eventId, proxy)
-      .then(result => {
-        logger.info('Manual cookie refresh completed successfully', { result });
-      })
-      .catch(error => {
-        logger.error('Manual cookie refresh failed:', error);
-      });
-      
   } catch (error) {
     logger.error('Error triggering cookie refresh:', error);
     res.status(500).json({
@@ -171,6 +648,56 @@ export const triggerRefresh = async (req, res) => {
   }
 };
 
+/**
+ * Get the state of a refresh job
+ * Supports ?wait=<seconds> to block until the job finishes or the wait runs out.
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ */
+export const getJobStatus = async (req, res) => {
+  try {
+    const { jobId } = req.params;
+
+    const waitSeconds = parseWaitParam(req.query.wait);
+    if (waitSeconds === null) {
+      return res.status(400).json({
+        success: false,
+        error: `wait must be a number of seconds between 0 and ${CONFIG.JOBS.MAX_WAIT}`
+      });
+    }
+
+    let job = await RefreshQueue.getJob(jobId);
+
+    if (job && waitSeconds > 0 && !isJobFinished(job)) {
+      job = await RefreshQueue.waitForJob(jobId, waitSeconds * 1000);
+    }
+
+    if (!job) {
+      // Fall back to the refresh record, for refreshes that did not run as a job
+      const refresh = await CookieRefresh.findOne({ refreshId: jobId });
+      job = refresh ? jobFromRefreshRecord(refresh) : null;
+    }
+
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        error: 'Refresh job not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: job
+    });
+  } catch (error) {
+    logger.error('Error getting refresh job status:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
+
 /**
  * Get a specific cookie refresh record
  * @param {object} req - Express request object
@@ -223,7 +750,7 @@ export const getServiceStatus = async (req, res) => {
       });
     }
 
-    const status = cookieRefreshService.getStatus();
+    const status = await cookieRefreshService.getStatus();
     
     res.json({
       success: true,
@@ -274,6 +801,7 @@ export const resetCircuitBreaker = async (req, res) => {
 
 /**
  * Clean up old refresh records
+ * The records are archived first when RETENTION_ARCHIVE is enabled.
  * @param {object} req - Express request object
  * @param {object} res - Express response object
  */
@@ -288,13 +816,14 @@ export const cleanupOldRecords = async (req, res) => {
       });
     }
     
-    const deletedCount = await CookieRefreshTracker.cleanupOldRecords(daysToKeep);
+    const { deletedCount, archive } = await RetentionManager.applyPolicy('refreshes', daysToKeep * 24 * 60 * 60 * 1000);
     
     res.json({
       success: true,
       message: `Cleaned up ${deletedCount} old records`,
       deletedCount,
       daysToKeep,
+      ...(archive && { archive }),
       timestamp: new Date().toISOString()
     });
   } catch (error) {
@@ -0,0 +1,106 @@
+import CookieVersionTracker from '../helpers/CookieVersionTracker.js';
+import { describeCookie, diffCookieJars } from '../helpers/cookieDiff.js';
+import { logger } from '../helpers/logger.js';
+
+/**
+ * List cookie jar versions, newest first
+ * Supports ?profile=<name>, ?page and ?limit.
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ */
+export const listCookieVersions = async (req, res) => {
+  try {
+    // Query values are coerced and defaulted by the validate middleware
+    const { page, limit, profile } = req.query;
+
+    const result = await CookieVersionTracker.listVersions(page, limit, profile || null);
+
+    res.json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    logger.error('Error listing cookie versions:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Get a cookie jar version
+ * Cookie values are masked unless ?reveal=true is passed.
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ */
+export const getCookieVersion = async (req, res) => {
+  try {
+    const version = await CookieVersionTracker.getVersion(req.params.versionId);
+
+    if (!version) {
+      return res.status(404).json({
+        success: false,
+        error: 'Cookie version not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        ...version,
+        cookies: version.cookies.map(cookie => describeCookie(cookie, req.query.reveal)),
+        valuesMasked: !req.query.reveal
+      }
+    });
+  } catch (error) {
+    logger.error('Error getting cookie version:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Compare two cookie jar versions
+ * Reports cookies added, removed and changed going from version :a to version :b.
+ * Cookie values are masked unless ?reveal=true is passed.
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ */
+export const diffCookieVersions = async (req, res) => {
+  try {
+    const [from, to] = await Promise.all([
+      CookieVersionTracker.getVersion(req.params.a),
+      CookieVersionTracker.getVersion(req.params.b)
+    ]);
+
+    const missing = [[req.params.a, from], [req.params.b, to]].find(([, version]) => !version);
+    if (missing) {
+      return res.status(404).json({
+        success: false,
+        error: `Cookie version not found: ${missing[0]}`
+      });
+    }
+
+    const { cookies: fromCookies, ...fromSummary } = from;
+    const { cookies: toCookies, ...toSummary } = to;
+
+    res.json({
+      success: true,
+      data: {
+        from: fromSummary,
+        to: toSummary,
+        ...diffCookieJars(fromCookies, toCookies, req.query.reveal),
+        valuesMasked: !req.query.reveal
+      }
+    });
+  } catch (error) {
+    logger.error('Error comparing cookie versions:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
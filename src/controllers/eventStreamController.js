@@ -0,0 +1,64 @@
+import { refreshEvents, REFRESH_EVENT_TYPES } from '../helpers/refreshEvents.js';
+import { logger } from '../helpers/logger.js';
+
+const HEARTBEAT_INTERVAL = 15000; // Keep proxies from closing idle streams
+
+/**
+ * Write one event in Server-Sent Events framing
+ * @param {object} res - Express response object
+ * @param {object} event - Published lifecycle event
+ */
+const writeEvent = (res, event) => {
+  res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+};
+
+/**
+ * Stream refresh lifecycle events as Server-Sent Events
+ * Supports ?types=a,b to filter event types and Last-Event-ID to resume after a reconnect.
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ */
+export const streamRefreshEvents = (req, res) => {
+  const types = req.query.types
+    ? String(req.query.types).split(',').map(type => type.trim()).filter(Boolean)
+    : REFRESH_EVENT_TYPES;
+
+  const unknownTypes = types.filter(type => !REFRESH_EVENT_TYPES.includes(type));
+  if (unknownTypes.length > 0) {
+    return res.status(400).json({
+      success: false,
+      error: `Unknown event types: ${unknownTypes.join(', ')}. Valid types: ${REFRESH_EVENT_TYPES.join(', ')}`
+    });
+  }
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no' // Disable nginx response buffering
+  });
+  res.flushHeaders();
+  res.write('retry: 5000\n\n');
+
+  const send = (event) => {
+    if (types.includes(event.type)) {
+      writeEvent(res, event);
+    }
+  };
+
+  // Replay what a reconnecting client missed
+  const lastEventId = parseInt(req.get('Last-Event-ID'));
+  if (!isNaN(lastEventId)) {
+    refreshEvents.getEventsSince(lastEventId).forEach(send);
+  }
+
+  refreshEvents.on('event', send);
+  const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), HEARTBEAT_INTERVAL);
+  logger.debug(`Opened refresh event stream for ${req.apiKey?.name || req.ip}`);
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    refreshEvents.off('event', send);
+    logger.debug(`Closed refresh event stream for ${req.apiKey?.name || req.ip}`);
+  });
+};
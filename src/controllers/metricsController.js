@@ -0,0 +1,21 @@
+import { metricsRegistry } from '../helpers/metrics.js';
+import { logger } from '../helpers/logger.js';
+
+/**
+ * Expose metrics in the Prometheus text format
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ */
+export const getMetrics = async (req, res) => {
+  try {
+    const metrics = await metricsRegistry.metrics();
+    res.set('Content-Type', metricsRegistry.contentType);
+    res.send(metrics);
+  } catch (error) {
+    logger.error('Error collecting metrics:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
@@ -0,0 +1,244 @@
+import { CookieProfile } from '../models/CookieProfile.js';
+import CookieProfileManager from '../helpers/CookieProfileManager.js';
+import CookieRefreshTracker from '../helpers/CookieRefreshTracker.js';
+import { logger } from '../helpers/logger.js';
+import { getCookieRefreshService } from './cookieRefreshController.js';
+
+const UPDATABLE_FIELDS = ['description', 'eventId', 'proxy', 'refreshInterval', 'enabled'];
+
+/**
+ * Validate the optional profile settings in a request body
+ * @param {object} body - Request body
+ * @returns {string|null} Error message, or null if the settings are valid
+ */
+const validateProfileFields = (body) => {
+  const { description, eventId, proxy, refreshInterval, enabled } = body;
+
+  if (description !== undefined && typeof description !== 'string') {
+    return 'description must be a string';
+  }
+
+  if (eventId !== undefined && eventId !== null && typeof eventId !== 'string') {
+    return 'eventId must be a string';
+  }
+
+  if (proxy !== undefined && proxy !== null && !CookieProfileManager.findProxy(proxy)) {
+    return 'proxy must be a "host:port" address from the proxy list';
+  }
+
+  if (refreshInterval !== undefined && (!Number.isInteger(refreshInterval) || refreshInterval < 5 || refreshInterval > 1440)) {
+    return 'refreshInterval must be an integer between 5 and 1440 minutes';
+  }
+
+  if (enabled !== undefined && typeof enabled !== 'boolean') {
+    return 'enabled must be a boolean';
+  }
+
+  return null;
+};
+
+/**
+ * List all named cookie profiles
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ */
+export const listProfiles = async (req, res) => {
+  try {
+    const profiles = await CookieProfile.find().sort({ name: 1 });
+    
+    res.json({
+      success: true,
+      data: {
+        defaultProfile: CookieProfileManager.DEFAULT_PROFILE,
+        profiles
+      }
+    });
+  } catch (error) {
+    logger.error('Error listing cookie profiles:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Create a named cookie profile
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ */
+export const createProfile = async (req, res) => {
+  try {
+    const { name } = req.body;
+
+    if (!CookieProfileManager.isValidName(name)) {
+      return res.status(400).json({
+        success: false,
+        error: 'name must be a lowercase name of letters, digits, "-" or "_" (max 64 characters)'
+      });
+    }
+
+    if (CookieProfileManager.isDefault(name)) {
+      return res.status(400).json({
+        success: false,
+        error: `${name} is reserved for the default profile`
+      });
+    }
+
+    const validationError = validateProfileFields(req.body);
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        error: validationError
+      });
+    }
+
+    if (await CookieProfile.exists({ name })) {
+      return res.status(409).json({
+        success: false,
+        error: `Cookie profile already exists: ${name}`
+      });
+    }
+
+    const fields = Object.fromEntries(
+      UPDATABLE_FIELDS.filter(field => req.body[field] !== undefined).map(field => [field, req.body[field]])
+    );
+    const profile = await CookieProfile.create({ name, ...fields });
+    
+    logger.info(`Created cookie profile ${name}`);
+    res.status(201).json({
+      success: true,
+      data: profile
+    });
+  } catch (error) {
+    logger.error('Error creating cookie profile:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Get a named cookie profile with its jar and schedule state
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ */
+export const getProfile = async (req, res) => {
+  try {
+    const { name } = req.params;
+    const profile = await CookieProfileManager.getProfile(name);
+
+    if (!profile) {
+      return res.status(404).json({
+        success: false,
+        error: 'Cookie profile not found'
+      });
+    }
+
+    const cookieRefreshService = getCookieRefreshService();
+    const cookies = cookieRefreshService ? await cookieRefreshService.getCurrentCookies(name) : [];
+    const lastRefresh = await CookieRefreshTracker.getLatestSuccessfulRefresh(name);
+    
+    res.json({
+      success: true,
+      data: {
+        ...profile.toObject(),
+        cookieCount: cookies.length,
+        lastRefresh: lastRefresh?.completionTime || null,
+        nextScheduledRefresh: lastRefresh?.nextScheduledRefresh || null
+      }
+    });
+  } catch (error) {
+    logger.error('Error getting cookie profile:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Update the settings of a named cookie profile
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ */
+export const updateProfile = async (req, res) => {
+  try {
+    const { name } = req.params;
+
+    if (req.body.name !== undefined && req.body.name !== name) {
+      return res.status(400).json({
+        success: false,
+        error: 'Profile names cannot be changed'
+      });
+    }
+
+    const validationError = validateProfileFields(req.body);
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        error: validationError
+      });
+    }
+
+    const update = Object.fromEntries(
+      UPDATABLE_FIELDS.filter(field => req.body[field] !== undefined).map(field => [field, req.body[field]])
+    );
+    const profile = await CookieProfile.findOneAndUpdate({ name }, update, { new: true, runValidators: true });
+
+    if (!profile) {
+      return res.status(404).json({
+        success: false,
+        error: 'Cookie profile not found'
+      });
+    }
+    
+    logger.info(`Updated cookie profile ${name}`, update);
+    res.json({
+      success: true,
+      data: profile
+    });
+  } catch (error) {
+    logger.error('Error updating cookie profile:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Delete a named cookie profile and its jar
+ * Refresh history for the profile is kept.
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ */
+export const deleteProfile = async (req, res) => {
+  try {
+    const { name } = req.params;
+    const profile = await CookieProfile.findOneAndDelete({ name });
+
+    if (!profile) {
+      return res.status(404).json({
+        success: false,
+        error: 'Cookie profile not found'
+      });
+    }
+
+    await CookieProfileManager.removeProfileData(name);
+    
+    logger.info(`Deleted cookie profile ${name}`);
+    res.json({
+      success: true,
+      message: `Cookie profile ${name} deleted`,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    logger.error('Error deleting cookie profile:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
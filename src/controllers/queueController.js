@@ -0,0 +1,66 @@
+import RefreshQueue from '../helpers/RefreshQueue.js';
+import { logger } from '../helpers/logger.js';
+
+/**
+ * List queued and running refresh jobs in claim order
+ * Supports ?profile, ?state (queued or in_progress), ?page and ?limit.
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ */
+export const listQueue = async (req, res) => {
+  try {
+    // Query values are coerced and defaulted by the validate middleware
+    const { page, limit, ...filters } = req.query;
+
+    const result = await RefreshQueue.listPending(filters, page, limit);
+
+    res.json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    logger.error('Error listing refresh queue:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Drop a refresh job that no worker has claimed yet
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ */
+export const dropQueuedJob = async (req, res) => {
+  try {
+    const { jobId } = req.params;
+    const { job, dropped } = await RefreshQueue.dropJob(jobId);
+
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        error: 'Refresh job not found'
+      });
+    }
+
+    if (!dropped) {
+      return res.status(409).json({
+        success: false,
+        error: `Refresh job is ${job.state} and can no longer be dropped`
+      });
+    }
+
+    res.json({
+      success: true,
+      message: `Refresh job ${jobId} dropped`,
+      data: job
+    });
+  } catch (error) {
+    logger.error('Error dropping refresh job:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
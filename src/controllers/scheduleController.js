@@ -0,0 +1,217 @@
+import ScheduleManager from '../helpers/ScheduleManager.js';
+import CookieProfileManager from '../helpers/CookieProfileManager.js';
+import { logger } from '../helpers/logger.js';
+
+const UPDATABLE_FIELDS = ['description', 'cron', 'timezone', 'jitter', 'profile', 'eventId', 'proxy', 'enabled'];
+
+/**
+ * Check the schedule settings the OpenAPI schema cannot express
+ * @param {object} fields - Schedule fields after the update is applied
+ * @returns {Promise<string|null>} Error message, or null if the settings are valid
+ */
+const validateScheduleFields = async (fields) => {
+  const cronError = ScheduleManager.validateCron(fields.cron, fields.timezone || 'UTC');
+  if (cronError) {
+    return cronError;
+  }
+
+  if (!(await CookieProfileManager.exists(fields.profile))) {
+    return `Cookie profile not found: ${fields.profile}`;
+  }
+
+  if (fields.proxy && !CookieProfileManager.findProxy(fields.proxy)) {
+    return 'proxy must be a "host:port" address from the proxy list';
+  }
+
+  return null;
+};
+
+/**
+ * Pick the updatable fields present in a request body
+ * @param {object} body - Request body
+ * @returns {object} Schedule fields
+ */
+const pickFields = (body) => Object.fromEntries(
+  UPDATABLE_FIELDS.filter(field => body[field] !== undefined).map(field => [field, body[field]])
+);
+
+/**
+ * List refresh schedules
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ */
+export const listSchedules = async (req, res) => {
+  try {
+    const schedules = await ScheduleManager.listSchedules(req.query.profile);
+
+    res.json({
+      success: true,
+      data: schedules
+    });
+  } catch (error) {
+    logger.error('Error listing schedules:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
+
+/**
+ * List the next planned runs across all enabled schedules
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ */
+export const getUpcomingRuns = async (req, res) => {
+  try {
+    // Query values are coerced and defaulted by the validate middleware
+    const runs = await ScheduleManager.getUpcomingRuns(req.query.limit);
+
+    res.json({
+      success: true,
+      data: runs
+    });
+  } catch (error) {
+    logger.error('Error listing upcoming schedule runs:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Create a refresh schedule
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ */
+export const createSchedule = async (req, res) => {
+  try {
+    // Body shape is checked against the OpenAPI schema by the validate middleware
+    const fields = pickFields(req.body);
+
+    const validationError = await validateScheduleFields({ profile: CookieProfileManager.DEFAULT_PROFILE, ...fields });
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        error: validationError
+      });
+    }
+
+    const schedule = await ScheduleManager.createSchedule(fields);
+
+    res.status(201).json({
+      success: true,
+      data: schedule
+    });
+  } catch (error) {
+    logger.error('Error creating schedule:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Get a refresh schedule
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ */
+export const getSchedule = async (req, res) => {
+  try {
+    const schedule = await ScheduleManager.getSchedule(req.params.scheduleId);
+
+    if (!schedule) {
+      return res.status(404).json({
+        success: false,
+        error: 'Schedule not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: schedule
+    });
+  } catch (error) {
+    logger.error('Error getting schedule:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Update a refresh schedule
+ * The next run is planned again from the updated settings.
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ */
+export const updateSchedule = async (req, res) => {
+  try {
+    const { scheduleId } = req.params;
+    const existing = await ScheduleManager.getSchedule(scheduleId);
+
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        error: 'Schedule not found'
+      });
+    }
+
+    const update = pickFields(req.body);
+    const validationError = await validateScheduleFields({ ...existing.toObject(), ...update });
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        error: validationError
+      });
+    }
+
+    const schedule = await ScheduleManager.updateSchedule(scheduleId, update);
+
+    res.json({
+      success: true,
+      data: schedule
+    });
+  } catch (error) {
+    logger.error('Error updating schedule:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Delete a refresh schedule
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ */
+export const deleteSchedule = async (req, res) => {
+  try {
+    const { scheduleId } = req.params;
+    const schedule = await ScheduleManager.deleteSchedule(scheduleId);
+
+    if (!schedule) {
+      return res.status(404).json({
+        success: false,
+        error: 'Schedule not found'
+      });
+    }
+
+    logger.info(`Deleted schedule ${scheduleId}`);
+    res.json({
+      success: true,
+      message: `Schedule ${scheduleId} deleted`,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    logger.error('Error deleting schedule:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
@@ -0,0 +1,58 @@
+import SessionTracker from '../helpers/SessionTracker.js';
+import { logger } from '../helpers/logger.js';
+
+/**
+ * List browser sessions, newest first
+ * Supports exact-match filters (?profile, ?eventId, ?refreshId, ?proxy,
+ * ?cookieVersionId, ?userAgent), a ?from/?to time range, ?page and ?limit.
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ */
+export const listSessions = async (req, res) => {
+  try {
+    // Query values are coerced and defaulted by the validate middleware
+    const { page, limit, ...filters } = req.query;
+
+    const result = await SessionTracker.listSessions(filters, page, limit);
+
+    res.json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    logger.error('Error listing sessions:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Get a browser session
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ */
+export const getSession = async (req, res) => {
+  try {
+    const session = await SessionTracker.getSession(req.params.sessionId);
+
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        error: 'Session not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: session
+    });
+  } catch (error) {
+    logger.error('Error getting session:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
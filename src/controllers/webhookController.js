@@ -0,0 +1,216 @@
+import crypto from 'crypto';
+import { WebhookSubscription } from '../models/WebhookSubscription.js';
+import { WebhookDelivery } from '../models/WebhookDelivery.js';
+import { webhookDispatcher, WEBHOOK_EVENTS } from '../helpers/WebhookDispatcher.js';
+import { logger } from '../helpers/logger.js';
+
+const DELIVERY_STATUSES = ['pending', 'delivered', 'dead'];
+
+/**
+ * Check that a webhook URL is an absolute http(s) URL
+ * @param {string} value - URL from the request
+ * @returns {boolean} True if usable
+ */
+const isValidWebhookUrl = (value) => {
+  try {
+    const url = new URL(value);
+    return url.protocol === 'https:' || url.protocol === 'http:';
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * List webhook subscriptions
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ */
+export const listWebhooks = async (req, res) => {
+  try {
+    const subscriptions = await WebhookSubscription.find().sort({ createdAt: -1 });
+    
+    res.json({
+      success: true,
+      data: {
+        subscriptions,
+        availableEvents: WEBHOOK_EVENTS
+      }
+    });
+  } catch (error) {
+    logger.error('Error listing webhooks:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Create a webhook subscription
+ * The secret is only returned in this response; one is generated if not supplied.
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ */
+export const createWebhook = async (req, res) => {
+  try {
+    const { url, description } = req.body;
+    const events = req.body.events || WEBHOOK_EVENTS;
+    const secret = req.body.secret || crypto.randomBytes(32).toString('hex');
+
+    if (!isValidWebhookUrl(url)) {
+      return res.status(400).json({
+        success: false,
+        error: 'url must be an absolute http or https URL'
+      });
+    }
+
+    if (!Array.isArray(events) || events.length === 0 || !events.every(event => WEBHOOK_EVENTS.includes(event))) {
+      return res.status(400).json({
+        success: false,
+        error: `events must be a non-empty array of: ${WEBHOOK_EVENTS.join(', ')}`
+      });
+    }
+
+    if (typeof secret !== 'string' || secret.length < 16) {
+      return res.status(400).json({
+        success: false,
+        error: 'secret must be a string of at least 16 characters'
+      });
+    }
+
+    const subscription = await WebhookSubscription.create({
+      subscriptionId: crypto.randomUUID(),
+      url,
+      events: [...new Set(events)],
+      secret,
+      description
+    });
+    
+    logger.info(`Created webhook subscription ${subscription.subscriptionId} for ${url}`);
+    res.status(201).json({
+      success: true,
+      data: {
+        ...subscription.toObject(),
+        secret
+      },
+      message: 'Store the secret now; it cannot be retrieved again'
+    });
+  } catch (error) {
+    logger.error('Error creating webhook:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Delete a webhook subscription
+ * Pending deliveries for it are dead-lettered on their next attempt.
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ */
+export const deleteWebhook = async (req, res) => {
+  try {
+    const subscription = await WebhookSubscription.findOneAndDelete({ subscriptionId: req.params.subscriptionId });
+
+    if (!subscription) {
+      return res.status(404).json({
+        success: false,
+        error: 'Webhook subscription not found'
+      });
+    }
+    
+    logger.info(`Deleted webhook subscription ${subscription.subscriptionId}`);
+    res.json({
+      success: true,
+      message: `Webhook subscription ${subscription.subscriptionId} deleted`,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    logger.error('Error deleting webhook:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
+
+/**
+ * List webhook deliveries; ?status=dead gives the dead-letter list
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ */
+export const listWebhookDeliveries = async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 50, 500);
+    const page = parseInt(req.query.page) || 1;
+    const { status, subscriptionId } = req.query;
+
+    if (status && !DELIVERY_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        error: `status must be one of: ${DELIVERY_STATUSES.join(', ')}`
+      });
+    }
+
+    const query = {
+      ...(status && { status }),
+      ...(subscriptionId && { subscriptionId })
+    };
+
+    const total = await WebhookDelivery.countDocuments(query);
+    const deliveries = await WebhookDelivery.find(query)
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit);
+    
+    res.json({
+      success: true,
+      data: {
+        deliveries,
+        pagination: {
+          total,
+          page,
+          limit,
+          pages: Math.ceil(total / limit)
+        }
+      }
+    });
+  } catch (error) {
+    logger.error('Error listing webhook deliveries:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Replay a webhook delivery, typically one from the dead-letter list
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ */
+export const replayWebhookDelivery = async (req, res) => {
+  try {
+    const delivery = await webhookDispatcher.replay(req.params.deliveryId);
+
+    if (!delivery) {
+      return res.status(404).json({
+        success: false,
+        error: 'Webhook delivery not found'
+      });
+    }
+    
+    res.json({
+      success: true,
+      data: delivery
+    });
+  } catch (error) {
+    logger.error('Error replaying webhook delivery:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
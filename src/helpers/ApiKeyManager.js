@@ -0,0 +1,151 @@
+import crypto from 'crypto';
+import { ApiKey } from '../models/ApiKey.js';
+import { logger } from './logger.js';
+
+const KEY_PREFIX = 'crs';
+
+// "crs_<keyId>_<secret>"; the base64url secret may itself contain "_"
+const KEY_PATTERN = new RegExp(`^${KEY_PREFIX}_([0-9a-f]+)_(.+)$`);
+
+/**
+ * Hash an API key for storage and comparison
+ * @param {string} key - Plaintext API key
+ * @returns {string} Hex encoded SHA-256 digest
+ */
+function hashKey(key) {
+  return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+/**
+ * Compare two hex digests in constant time
+ * @param {string} a - First digest
+ * @param {string} b - Second digest
+ * @returns {boolean} True if equal
+ */
+function digestsEqual(a, b) {
+  const bufferA = Buffer.from(a, 'hex');
+  const bufferB = Buffer.from(b, 'hex');
+  return bufferA.length === bufferB.length && crypto.timingSafeEqual(bufferA, bufferB);
+}
+
+/**
+ * Helper class to issue, verify and revoke API keys
+ * Keys look like "crs_<keyId>_<secret>"; only a SHA-256 hash is stored.
+ */
+class ApiKeyManager {
+  /**
+   * Scopes that can be granted to a key. 'admin' implies every other scope.
+   */
+  static SCOPES = [
+    'cookies:read',
+    'cookies:lease',
+    'refresh:read',
+    'refresh:trigger',
+    'profiles:write',
+    'metrics:read',
+    'admin'
+  ];
+
+  /**
+   * Check whether a key's scopes satisfy a required scope
+   * @param {Array<string>} scopes - Granted scopes
+   * @param {string} required - Required scope
+   * @returns {boolean} True if allowed
+   */
+  static hasScope(scopes, required) {
+    return scopes.includes('admin') || scopes.includes(required);
+  }
+
+  /**
+   * Issue a new API key
+   * @param {string} name - Name of the key holder
+   * @param {Array<string>} scopes - Scopes to grant
+   * @param {Date} expiresAt - Optional expiry
+   * @param {string} createdBy - Key ID of the issuing admin
+   * @returns {Promise<{key: string, record: object}>} The plaintext key (shown once) and its record
+   */
+  static async issueKey(name, scopes, expiresAt = null, createdBy = null) {
+    const keyId = crypto.randomBytes(6).toString('hex');
+    const secret = crypto.randomBytes(24).toString('base64url');
+    const key = `${KEY_PREFIX}_${keyId}_${secret}`;
+
+    const record = await ApiKey.create({
+      keyId,
+      name,
+      keyHash: hashKey(key),
+      scopes,
+      expiresAt,
+      createdBy
+    });
+
+    logger.info(`Issued API key ${keyId} for ${name} with scopes: ${scopes.join(', ')}`);
+    return { key, record };
+  }
+
+  /**
+   * Verify a presented API key
+   * @param {string} key - Plaintext API key from the request
+   * @returns {Promise<{keyId: string, name: string, scopes: Array<string>}|{error: string}>} The key identity, or the reason it was rejected
+   */
+  static async verifyKey(key) {
+    // Bootstrap admin key from the environment, so the first keys can be issued
+    const bootstrapKey = process.env.ADMIN_API_KEY;
+    if (bootstrapKey && digestsEqual(hashKey(key), hashKey(bootstrapKey))) {
+      return { keyId: 'bootstrap', name: 'ADMIN_API_KEY', scopes: ['admin'] };
+    }
+
+    const match = KEY_PATTERN.exec(key);
+    if (!match) {
+      return { error: 'malformed key' };
+    }
+    const keyId = match[1];
+
+    const record = await ApiKey.findOne({ keyId });
+    if (!record || !digestsEqual(hashKey(key), record.keyHash)) {
+      return { error: 'unknown key' };
+    }
+
+    if (record.revokedAt) {
+      return { error: 'revoked key' };
+    }
+
+    if (record.expiresAt && record.expiresAt <= new Date()) {
+      return { error: 'expired key' };
+    }
+
+    // Usage tracking must never fail the request
+    ApiKey.updateOne({ keyId }, { lastUsedAt: new Date() }).catch(error => {
+      logger.warn(`Failed to record API key usage for ${keyId}: ${error.message}`);
+    });
+
+    return { keyId: record.keyId, name: record.name, scopes: record.scopes };
+  }
+
+  /**
+   * List all API keys without their hashes
+   * @returns {Promise<Array>} API key records
+   */
+  static async listKeys() {
+    return ApiKey.find({}, { keyHash: 0 }).sort({ createdAt: -1 });
+  }
+
+  /**
+   * Revoke an API key
+   * @param {string} keyId - Key ID to revoke
+   * @returns {Promise<object|null>} The revoked key record, or null if not found
+   */
+  static async revokeKey(keyId) {
+    const record = await ApiKey.findOneAndUpdate(
+      { keyId, revokedAt: null },
+      { revokedAt: new Date() },
+      { new: true, projection: { keyHash: 0 } }
+    );
+
+    if (record) {
+      logger.info(`Revoked API key ${keyId}`);
+    }
+    return record;
+  }
+}
+
+export default ApiKeyManager;
@@ -1,5 +1,6 @@
 import { logger } from './logger.js';
 import { CONFIG } from '../config/serviceConfig.js';
+import { refreshEvents } from './refreshEvents.js';
 
 /**
  * Circuit breaker pattern implementation for cookie refresh operations
@@ -22,7 +23,7 @@ class CircuitBreaker {
   async execute(operation) {
     if (this.state === 'OPEN') {
       if (Date.now() - this.lastFailureTime > this.resetTimeout) {
-        this.state = 'HALF_OPEN';
+        this.transitionTo('HALF_OPEN');
         logger.info('Circuit breaker: Attempting to reset (HALF_OPEN)');
       } else {
         const timeLeft = Math.ceil((this.resetTimeout - (Date.now() - this.lastFailureTime)) / 1000);
@@ -48,7 +49,7 @@ class CircuitBreaker {
     this.successCount++;
     
     if (this.state === 'HALF_OPEN') {
-      this.state = 'CLOSED';
+      this.transitionTo('CLOSED');
       logger.info('Circuit breaker: Reset to CLOSED state after successful operation');
     }
   }
@@ -61,11 +62,28 @@ class CircuitBreaker {
     this.lastFailureTime = Date.now();
     
     if (this.failures >= this.failureThreshold) {
-      this.state = 'OPEN';
+      this.transitionTo('OPEN');
       logger.warn(`Circuit breaker: OPENED after ${this.failures} failures`);
     }
   }
 
+  /**
+   * Move to a new state and publish the change
+   * @param {string} state - CLOSED, OPEN or HALF_OPEN
+   */
+  transitionTo(state) {
+    const previousState = this.state;
+    this.state = state;
+
+    if (previousState !== state) {
+      refreshEvents.publish('circuit_breaker.state_changed', {
+        from: previousState,
+        to: state,
+        failures: this.failures
+      });
+    }
+  }
+
   /**
    * Get current circuit breaker status
    * @returns {object} Status information
@@ -88,8 +106,8 @@ class CircuitBreaker {
    * Reset the circuit breaker to closed state
    */
   reset() {
-    this.state = 'CLOSED';
     this.failures = 0;
+    this.transitionTo('CLOSED');
     this.successCount = 0;
     this.lastFailureTime = null;
     logger.info('Circuit breaker: Manually reset to CLOSED state');
@@ -0,0 +1,125 @@
+import { CookieLease } from '../models/CookieLease.js';
+import { CookieRefresh } from '../models/CookieRefresh.js';
+import crypto from 'crypto';
+import { logger } from './logger.js';
+import CookieProfileManager from './CookieProfileManager.js';
+
+/**
+ * Helper class to track cookie leases and record their downstream outcomes
+ */
+class CookieLeaseTracker {
+  /**
+   * Issue a new lease for the current cookie set
+   * @param {string} refreshId - The refresh operation that produced the cookies
+   * @param {number} cookieCount - Number of cookies handed out
+   * @param {number} ttl - Lease time-to-live in seconds
+   * @param {string} consumer - Optional consumer identifier
+   * @param {string} profile - Cookie profile whose jar is leased
+   * @returns {Promise<object>} The created lease record
+   */
+  static async issueLease(refreshId, cookieCount, ttl, consumer = null, profile = CookieProfileManager.DEFAULT_PROFILE) {
+    const leaseId = crypto.randomUUID();
+    const issuedAt = new Date();
+    
+    const lease = await CookieLease.create({
+      leaseId,
+      refreshId,
+      profile,
+      consumer,
+      cookieCount,
+      ttl,
+      issuedAt,
+      expiresAt: new Date(issuedAt.getTime() + ttl * 1000)
+    });
+    
+    if (refreshId) {
+      await CookieRefresh.updateOne({ refreshId }, { $inc: { 'leaseOutcomes.issued': 1 } });
+    }
+    
+    logger.info(`Issued cookie lease ${leaseId} of profile ${profile} for refresh ${refreshId || 'unknown'} (ttl ${ttl}s)`);
+    return lease;
+  }
+  
+  /**
+   * Release a lease and record the outcome on the producing refresh record
+   * Leases past expiresAt cannot be released, even before the scheduler marks them expired.
+   * @param {string} leaseId - The lease to release
+   * @param {string} outcome - One of 'ok', 'rejected', 'expired'
+   * @param {string} reason - Optional reason supplied by the consumer
+   * @returns {Promise<object|null>} The released lease, or null if no active, unexpired lease matched
+   */
+  static async releaseLease(leaseId, outcome, reason = null) {
+    const now = new Date();
+    const lease = await CookieLease.findOneAndUpdate(
+      { leaseId, status: 'active', expiresAt: { $gt: now } },
+      {
+        status: 'released',
+        outcome,
+        reason,
+        releasedAt: now
+      },
+      { new: true }
+    );
+    
+    if (!lease) {
+      return null;
+    }
+    
+    if (lease.refreshId) {
+      await CookieRefresh.updateOne(
+        { refreshId: lease.refreshId },
+        { $inc: { [`leaseOutcomes.${outcome}`]: 1 } }
+      );
+    }
+    
+    logger.info(`Released cookie lease ${leaseId} with outcome ${outcome}`);
+    return lease;
+  }
+  
+  /**
+   * Get a lease by ID
+   * @param {string} leaseId - The lease ID
+   * @returns {Promise<object|null>} The lease record
+   */
+  static async getLease(leaseId) {
+    return CookieLease.findOne({ leaseId });
+  }
+  
+  /**
+   * Mark active leases past their TTL as expired
+   * @returns {Promise<number>} Number of leases expired
+   */
+  static async expireStaleLeases() {
+    const now = new Date();
+    const staleLeases = await CookieLease.find({ status: 'active', expiresAt: { $lte: now } });
+    let expiredCount = 0;
+    
+    for (const stale of staleLeases) {
+      // Re-check status so a concurrent release wins over expiry
+      const lease = await CookieLease.findOneAndUpdate(
+        { leaseId: stale.leaseId, status: 'active' },
+        { status: 'expired', outcome: 'expired', releasedAt: now },
+        { new: true }
+      );
+      
+      if (!lease) {
+        continue;
+      }
+      
+      if (lease.refreshId) {
+        await CookieRefresh.updateOne(
+          { refreshId: lease.refreshId },
+          { $inc: { 'leaseOutcomes.expired': 1 } }
+        );
+      }
+      expiredCount++;
+    }
+    
+    if (expiredCount > 0) {
+      logger.info(`Expired ${expiredCount} stale cookie leases`);
+    }
+    return expiredCount;
+  }
+}
+
+export default CookieLeaseTracker;
@@ -0,0 +1,105 @@
+import { CookieProfile } from '../models/CookieProfile.js';
+import proxyData from '../proxy.js';
+import { logger } from './logger.js';
+import { cookieStore } from '../stores/index.js';
+import CookieVersionTracker from './CookieVersionTracker.js';
+import ScheduleManager from './ScheduleManager.js';
+
+const PROFILE_NAME_PATTERN = /^[a-z0-9][a-z0-9_-]{0,63}$/;
+
+/**
+ * Helper class to resolve named cookie profiles
+ */
+class CookieProfileManager {
+  /**
+   * Name of the implicit profile used when none is specified
+   */
+  static DEFAULT_PROFILE = 'default';
+
+  /**
+   * Check whether a profile name is well formed
+   * @param {string} name - Profile name
+   * @returns {boolean} True if the name is valid
+   */
+  static isValidName(name) {
+    return typeof name === 'string' && PROFILE_NAME_PATTERN.test(name);
+  }
+
+  /**
+   * Check whether a name refers to the implicit default profile
+   * @param {string} name - Profile name
+   * @returns {boolean} True for the default profile
+   */
+  static isDefault(name) {
+    return !name || name === CookieProfileManager.DEFAULT_PROFILE;
+  }
+
+  /**
+   * Get a stored profile
+   * @param {string} name - Profile name
+   * @returns {Promise<object|null>} The profile document, or null for the default or unknown profiles
+   */
+  static async getProfile(name) {
+    if (CookieProfileManager.isDefault(name)) {
+      return null;
+    }
+    return CookieProfile.findOne({ name });
+  }
+
+  /**
+   * Check whether a profile exists (the default profile always does)
+   * @param {string} name - Profile name
+   * @returns {Promise<boolean>} True if the profile exists
+   */
+  static async exists(name) {
+    if (CookieProfileManager.isDefault(name)) {
+      return true;
+    }
+    return (await CookieProfile.exists({ name })) !== null;
+  }
+
+  /**
+   * List the names of all profiles the scheduler should refresh, default first
+   * @returns {Promise<Array<string>>} Enabled profile names
+   */
+  static async getScheduledProfileNames() {
+    const profiles = await CookieProfile.find({ enabled: true }, { name: 1 }).sort({ name: 1 });
+    return [CookieProfileManager.DEFAULT_PROFILE, ...profiles.map(p => p.name)];
+  }
+
+  /**
+   * Remove the cookie jar, jar version history and schedules of a named profile
+   * @param {string} name - Profile name
+   */
+  static async removeProfileData(name) {
+    if (CookieProfileManager.isDefault(name)) {
+      return;
+    }
+    await cookieStore.deleteCookies(name);
+    const versions = await CookieVersionTracker.deleteVersions(name);
+    const schedules = await ScheduleManager.deleteSchedules(name);
+    logger.info(`Removed cookie jar, ${versions} jar versions and ${schedules} schedules for profile ${name}`);
+  }
+
+  /**
+   * Find a proxy in the proxy list by address
+   * @param {string} address - Proxy address in "host:port" form
+   * @returns {object|null} Proxy configuration with credentials, or null if not listed
+   */
+  static findProxy(address) {
+    const entry = (proxyData.proxies || []).find(p => p.proxy === address);
+    if (!entry) {
+      return null;
+    }
+
+    const [host, port] = entry.proxy.split(':');
+    return {
+      host,
+      port: parseInt(port),
+      username: entry.username,
+      password: entry.password
+    };
+  }
+}
+
+export default CookieProfileManager;
@@ -1,6 +1,156 @@
 import { CookieRefresh } from '../models/CookieRefresh.js';
 import crypto from 'crypto';
 import { logger } from './logger.js';
+import CookieProfileManager from './CookieProfileManager.js';
+import { webhookDispatcher } from './WebhookDispatcher.js';
+import { CONFIG } from '../config/serviceConfig.js';
+
+/**
+ * Build a query filter for records of a profile
+ * Records created before profiles existed have no profile field and belong to the default profile.
+ * @param {string} profile - Profile name
+ * @returns {object} Mongo filter
+ */
+function profileFilter(profile) {
+  return CookieProfileManager.isDefault(profile)
+    ? { profile: { $in: [CookieProfileManager.DEFAULT_PROFILE, null] } }
+    : { profile };
+}
+
+// Bucket sizes in milliseconds, and formats truncating a start time to its bucket
+export const BUCKET_SIZES = { hour: 60 * 60 * 1000, day: 24 * 60 * 60 * 1000 };
+const BUCKET_FORMATS = { hour: '%Y-%m-%dT%H:00:00.000Z', day: '%Y-%m-%dT00:00:00.000Z' };
+
+/**
+ * Count the records of a status in a $group stage
+ * @param {string} status - Refresh status
+ * @returns {object} Accumulator expression
+ */
+const countStatus = status => ({ $sum: { $cond: [{ $eq: ['$status', status] }, 1, 0] } });
+
+/**
+ * Pick a percentile from an ascending array with the nearest-rank method
+ * @param {string} array - Field path of the sorted array
+ * @param {number} percentile - Percentile between 0 and 1
+ * @returns {object} Expression evaluating to the value, or null for an empty array
+ */
+const percentileOf = (array, percentile) => ({
+  $cond: [
+    { $eq: [{ $size: array }, 0] },
+    null,
+    { $arrayElemAt: [array, { $max: [0, { $subtract: [{ $ceil: { $multiply: [percentile, { $size: array }] } }, 1] }] }] }
+  ]
+});
+
+/**
+ * Aggregation stages summarizing refresh records into counts, success rate,
+ * duration percentiles and average cookie count
+ * Durations and cookie counts only consider successful refreshes. Durations are in
+ * milliseconds and successRate is a percentage of all operations.
+ * @param {object|null} groupBy - $group key, exposed as start; null for a single summary
+ * @returns {Array<object>} Pipeline stages
+ */
+function summaryStages(groupBy) {
+  const isSuccess = { $eq: ['$status', 'success'] };
+  const successDuration = { $cond: [{ $and: [isSuccess, { $isNumber: '$duration' }] }, '$duration', '$$REMOVE'] };
+
+  return [
+    // Ascending durations so the pushed arrays are sorted for the percentiles
+    { $sort: { duration: 1 } },
+    {
+      $group: {
+        _id: groupBy,
+        total: { $sum: 1 },
+        successCount: countStatus('success'),
+        failedCount: countStatus('failed'),
+        inProgressCount: countStatus('in_progress'),
+        abandonedCount: countStatus('abandoned'),
+        averageCookies: { $avg: { $cond: [isSuccess, '$cookieCount', '$$REMOVE'] } },
+        averageDuration: { $avg: successDuration },
+        durations: { $push: successDuration }
+      }
+    },
+    {
+      $project: {
+        _id: 0,
+        ...(groupBy && { start: '$_id' }),
+        total: 1,
+        successCount: 1,
+        failedCount: 1,
+        inProgressCount: 1,
+        abandonedCount: 1,
+        successRate: { $round: [{ $multiply: [{ $divide: ['$successCount', '$total'] }, 100] }, 1] },
+        averageCookies: { $round: ['$averageCookies', 1] },
+        averageDuration: { $round: ['$averageDuration', 0] },
+        durationP50: percentileOf('$durations', 0.5),
+        durationP90: percentileOf('$durations', 0.9),
+        durationP99: percentileOf('$durations', 0.99)
+      }
+    }
+  ];
+}
+
+/**
+ * Summary of a range without refresh records
+ * @returns {object} Zero counts and null rates
+ */
+function emptySummary() {
+  return {
+    total: 0,
+    successCount: 0,
+    failedCount: 0,
+    inProgressCount: 0,
+    abandonedCount: 0,
+    successRate: null,
+    averageCookies: null,
+    averageDuration: null,
+    durationP50: null,
+    durationP90: null,
+    durationP99: null
+  };
+}
+
+/**
+ * Build the history query for the optional status and profile filters
+ * @param {string} status - Refresh status
+ * @param {string} profile - Cookie profile
+ * @returns {object} MongoDB filter
+ */
+function historyFilter(status, profile) {
+  return {
+    ...(status && { status }),
+    ...(profile && profileFilter(profile))
+  };
+}
+
+/**
+ * Notify webhook subscribers about a finished refresh without delaying the caller
+ * Only the summary is sent; metadata (fingerprints, stacks) stays internal.
+ * @param {string} event - Webhook event type
+ * @param {object} record - The finished refresh record
+ */
+function notifySubscribers(event, record) {
+  if (!record) {
+    return;
+  }
+
+  webhookDispatcher.dispatch(event, {
+    refreshId: record.refreshId,
+    profile: record.profile,
+    status: record.status,
+    eventId: record.eventId,
+    proxy: record.proxy,
+    cookieCount: record.cookieCount,
+    retryCount: record.retryCount,
+    duration: record.duration,
+    startTime: record.startTime,
+    completionTime: record.completionTime,
+    nextScheduledRefresh: record.nextScheduledRefresh,
+    errorMessage: record.errorMessage || null
+  }).catch(error => {
+    logger.error(`Failed to dispatch ${event} webhooks for ${record.refreshId}:`, error);
+  });
+}
 
 /**
  * Helper class to track cookie refresh operations in the database
@@ -11,22 +161,24 @@ class CookieRefreshTracker {
    * @param {string} eventId - The event ID used for this refresh operation
    * @param {object} proxy - The proxy object used for this refresh
    * @param {string} serviceInstance - The service instance identifier
+   * @param {string} profile - The cookie profile being refreshed
+   * @param {string} refreshId - Optional pre-assigned refresh ID
    * @returns {Promise<object>} The created refresh tracking record
    */
-  static async startRefresh(eventId, proxy, serviceInstance = null) {
-    const refreshId = crypto.randomUUID();
+  static async startRefresh(eventId, proxy, serviceInstance = null, profile = CookieProfileManager.DEFAULT_PROFILE, refreshId = crypto.randomUUID()) {
     const proxyString = proxy?.proxy || proxy?.host ? `${proxy.host}:${proxy.port}` : 'no_proxy';
     
     const refreshRecord = await CookieRefresh.create({
       refreshId,
       status: 'in_progress',
+      profile,
       eventId,
       startTime: new Date(),
       proxy: proxyString,
       serviceInstance: serviceInstance || process.env.SERVICE_INSTANCE_ID || 'unknown'
     });
     
-    logger.info(`Started tracking cookie refresh operation: ${refreshId} for event ${eventId}`);
+    logger.info(`Started tracking cookie refresh operation: ${refreshId} for event ${eventId} (profile ${profile})`);
     return refreshRecord;
   }
   
@@ -36,49 +188,73 @@ class CookieRefreshTracker {
    * @param {number} cookieCount - Number of cookies retrieved
    * @param {number} retryCount - Number of retries performed
    * @param {object} metadata - Additional metadata
-   * @returns {Promise<object>} The updated refresh tracking record
+   * @param {object} nextRefresh - { delay, plan } from planNextRefresh or { at, plan } from planReusedJar;
+   *   defaults to CONFIG.COOKIE_REFRESH_INTERVAL
+   * @param {string} cookiesHash - Fingerprint of the produced jar (see StorageEncryption.hashCookies)
+   * @returns {Promise<object|null>} The updated record, or null if it was no longer in progress
    */
-  static async markSuccess(refreshId, cookieCount, retryCount, metadata = {}) {
+  static async markSuccess(refreshId, cookieCount, retryCount, metadata = {}, nextRefresh = null, cookiesHash = null) {
     const completionTime = new Date();
-    const nextScheduledRefresh = new Date(
-      completionTime.getTime() + (15 * 60 * 1000) // Default 15 minutes
-    );
+    const nextScheduledRefresh = nextRefresh?.at
+      ? new Date(nextRefresh.at)
+      : new Date(completionTime.getTime() + (nextRefresh?.delay ?? CONFIG.COOKIE_REFRESH_INTERVAL));
     
     // Get the original record to calculate duration
     const originalRecord = await CookieRefresh.findOne({ refreshId });
     const duration = originalRecord ? completionTime - originalRecord.startTime : null;
     
+    // An abandoned refresh stays abandoned even if its browser finishes later
     const refreshRecord = await CookieRefresh.findOneAndUpdate(
-      { refreshId },
+      { refreshId, status: 'in_progress' },
       {
         status: 'success',
         completionTime,
         nextScheduledRefresh,
+        refreshPlan: nextRefresh?.plan ?? null,
         cookieCount,
         retryCount,
         duration,
-        metadata
+        metadata,
+        cookiesHash,
+        // The jar is served as valid until its planned refresh replaces it
+        validUntil: nextScheduledRefresh
       },
       { new: true }
     );
     
+    if (!refreshRecord) {
+      logger.warn(`Cookie refresh ${refreshId} was no longer in progress - not marked successful`);
+      return null;
+    }
+    
     logger.info(`Cookie refresh completed successfully: ${refreshId} with ${cookieCount} cookies`);
+    notifySubscribers('refresh.succeeded', refreshRecord);
     return refreshRecord;
   }
   
+  /**
+   * Store the validation report of the jar a refresh captured
+   * @param {string} refreshId - The ID of the refresh operation
+   * @param {object} validation - Report from CookieValidator.validate
+   * @returns {Promise<object>} The updated refresh tracking record
+   */
+  static async recordValidation(refreshId, validation) {
+    return CookieRefresh.findOneAndUpdate({ refreshId }, { validation }, { new: true });
+  }
+  
   /**
    * Mark a refresh operation as failed
    * @param {string} refreshId - The ID of the refresh operation
    * @param {string} errorMessage - Error message describing the failure
    * @param {number} retryCount - Number of retries performed
    * @param {object} metadata - Additional metadata
-   * @returns {Promise<object>} The updated refresh tracking record
+   * @returns {Promise<object|null>} The updated record, or null if it was no longer in progress
    */
   static async markFailed(refreshId, errorMessage, retryCount, metadata = {}) {
     const completionTime = new Date();
     // Schedule next attempt sooner if it failed
     const nextScheduledRefresh = new Date(
-      completionTime.getTime() + (5 * 60 * 1000) // 5 minutes for failures
+      completionTime.getTime() + CONFIG.REFRESH_PLAN.FAILURE_DELAY
     );
     
     // Get the original record to calculate duration
@@ -86,11 +262,16 @@ class CookieRefreshTracker {
     const duration = originalRecord ? completionTime - originalRecord.startTime : null;
     
     const refreshRecord = await CookieRefresh.findOneAndUpdate(
-      { refreshId },
+      { refreshId, status: 'in_progress' },
       {
         status: 'failed',
         completionTime,
         nextScheduledRefresh,
+        refreshPlan: {
+          strategy: 'failure_retry',
+          delay: Math.round(CONFIG.REFRESH_PLAN.FAILURE_DELAY / 1000),
+          reason: 'The refresh failed; retrying after the failure delay'
+        },
         errorMessage,
         retryCount,
         duration,
@@ -99,60 +280,144 @@ class CookieRefreshTracker {
       { new: true }
     );
     
+    if (!refreshRecord) {
+      logger.warn(`Cookie refresh ${refreshId} was no longer in progress - not marked failed`);
+      return null;
+    }
+    
     logger.error(`Cookie refresh failed: ${refreshId}, next attempt: ${nextScheduledRefresh.toISOString()}`);
+    notifySubscribers('refresh.failed', refreshRecord);
+    return refreshRecord;
+  }
+  
+  /**
+   * Find in_progress refreshes that can no longer complete
+   * A refresh is orphaned when the instance running it is not alive, or when it
+   * has been running longer than any refresh could.
+   * @param {Array<string>} liveInstanceIds - Instances with a recent heartbeat
+   * @param {number} maxAge - Longest a refresh may run in milliseconds
+   * @returns {Promise<Array<object>>} Orphaned refresh records, oldest first
+   */
+  static async findOrphanedRefreshes(liveInstanceIds, maxAge) {
+    return CookieRefresh.find({
+      status: 'in_progress',
+      $or: [
+        { serviceInstance: { $nin: liveInstanceIds } },
+        { startTime: { $lt: new Date(Date.now() - maxAge) } }
+      ]
+    }).sort({ startTime: 1 });
+  }
+  
+  /**
+   * Mark an in_progress refresh operation as abandoned
+   * @param {string} refreshId - The ID of the refresh operation
+   * @param {string} reason - Why the refresh was abandoned
+   * @returns {Promise<object|null>} The updated record, or null if it was no longer in progress
+   */
+  static async markAbandoned(refreshId, reason) {
+    const completionTime = new Date();
+    const refreshRecord = await CookieRefresh.findOneAndUpdate(
+      { refreshId, status: 'in_progress' },
+      [{
+        $set: {
+          status: 'abandoned',
+          completionTime,
+          errorMessage: reason,
+          duration: { $subtract: [completionTime, '$startTime'] }
+        }
+      }],
+      { new: true }
+    );
+    
+    if (refreshRecord) {
+      logger.warn(`Cookie refresh abandoned: ${refreshId} (${reason})`);
+    }
     return refreshRecord;
   }
   
   /**
    * Get statistics about cookie refresh operations
+   * Computed by MongoDB over the most recent operations; durations are in milliseconds
+   * and successRate is a percentage.
    * @param {number} limit - Number of recent operations to analyze
    * @returns {Promise<object>} Statistics about cookie refresh operations
    */
   static async getStats(limit = 100) {
-    const recentRefreshes = await CookieRefresh.find()
-      .sort({ startTime: -1 })
-      .limit(limit);
-    
-    const successCount = recentRefreshes.filter(r => r.status === 'success').length;
-    const failedCount = recentRefreshes.filter(r => r.status === 'failed').length;
-    const inProgressCount = recentRefreshes.filter(r => r.status === 'in_progress').length;
-    
-    const totalCookies = recentRefreshes.reduce((sum, r) => sum + (r.cookieCount || 0), 0);
-    const averageCookies = successCount > 0 
-      ? totalCookies / successCount 
-      : 0;
-    
-    const completedRefreshes = recentRefreshes.filter(r => r.duration);
-    const averageDuration = completedRefreshes.length > 0
-      ? completedRefreshes.reduce((sum, r) => sum + r.duration, 0) / completedRefreshes.length
-      : 0;
+    const [summary] = await CookieRefresh.aggregate([
+      { $sort: { startTime: -1 } },
+      { $limit: limit },
+      ...summaryStages(null)
+    ]);
     
+    const latestRefresh = await CookieRefresh.findOne().sort({ startTime: -1 });
     const nextRefresh = await CookieRefresh.findOne({ status: 'success' })
       .sort({ nextScheduledRefresh: 1 });
     
     return {
-      total: recentRefreshes.length,
-      successCount,
-      failedCount,
-      inProgressCount,
-      successRate: recentRefreshes.length > 0 
-        ? (successCount / recentRefreshes.length * 100).toFixed(1) + '%' 
-        : 'N/A',
-      averageCookies: averageCookies.toFixed(1),
-      averageDuration: averageDuration ? `${(averageDuration / 1000).toFixed(1)}s` : 'N/A',
-      nextScheduledRefresh: nextRefresh?.nextScheduledRefresh || 'None scheduled',
-      latestRefresh: recentRefreshes[0] || null
+      ...(summary || emptySummary()),
+      nextScheduledRefresh: nextRefresh?.nextScheduledRefresh || null,
+      latestRefresh
     };
   }
   
+  /**
+   * Get statistics per time bucket
+   * Operations are bucketed by start time in UTC. Buckets without operations are
+   * included with zero counts and null averages.
+   * @param {string} bucket - 'hour' or 'day'
+   * @param {Date} from - Start of the range, rounded down to a bucket boundary
+   * @param {Date} to - End of the range (exclusive)
+   * @param {string} profile - Filter by cookie profile
+   * @returns {Promise<Array<object>>} Statistics per bucket, oldest first, each with a start time
+   */
+  static async getTimeseries(bucket, from, to, profile = null) {
+    const start = new Date(Math.floor(from.getTime() / BUCKET_SIZES[bucket]) * BUCKET_SIZES[bucket]);
+    
+    const rows = await CookieRefresh.aggregate([
+      { $match: { startTime: { $gte: start, $lt: to }, ...(profile && profileFilter(profile)) } },
+      ...summaryStages({ $dateToString: { date: '$startTime', format: BUCKET_FORMATS[bucket] } })
+    ]).allowDiskUse(true);
+    const byStart = new Map(rows.map(row => [new Date(row.start).getTime(), row]));
+    
+    const buckets = [];
+    for (let time = start.getTime(); time < to.getTime(); time += BUCKET_SIZES[bucket]) {
+      buckets.push({ ...(byStart.get(time) || emptySummary()), start: new Date(time) });
+    }
+    return buckets;
+  }
+  
+  /**
+   * Find the successful refresh that produced a cookie jar
+   * @param {string} cookiesHash - Fingerprint of the jar
+   * @param {string} profile - The cookie profile
+   * @returns {Promise<object|null>} The producing refresh record
+   */
+  static async findByCookiesHash(cookiesHash, profile) {
+    if (!cookiesHash) {
+      return null;
+    }
+    return CookieRefresh.findOne({ cookiesHash, status: 'success', ...profileFilter(profile) })
+      .sort({ completionTime: -1 });
+  }
+
+  /**
+   * Get the most recent successful refresh operation
+   * @param {string} profile - The cookie profile
+   * @returns {Promise<object|null>} The latest successful refresh record
+   */
+  static async getLatestSuccessfulRefresh(profile = CookieProfileManager.DEFAULT_PROFILE) {
+    return CookieRefresh.findOne({ status: 'success', ...profileFilter(profile) })
+      .sort({ completionTime: -1 });
+  }
+  
   /**
    * Check if a refresh is due
+   * @param {string} profile - The cookie profile to check
    * @returns {Promise<boolean>} Whether a refresh is due
    */
-  static async isRefreshDue() {
+  static async isRefreshDue(profile = CookieProfileManager.DEFAULT_PROFILE) {
     const now = new Date();
-    const lastSuccessful = await CookieRefresh.findOne({ status: 'success' })
-      .sort({ completionTime: -1 });
+    const lastSuccessful = await CookieRefreshTracker.getLatestSuccessfulRefresh(profile);
     
     if (!lastSuccessful) {
       return true; // No successful refresh yet, should refresh
@@ -166,11 +431,12 @@ class CookieRefreshTracker {
    * @param {number} page - Page number
    * @param {number} limit - Items per page
    * @param {string} status - Filter by status
+   * @param {string} profile - Filter by cookie profile
    * @returns {Promise<object>} Paginated refresh operations
    */
-  static async getRecentRefreshes(page = 1, limit = 20, status = null) {
+  static async getRecentRefreshes(page = 1, limit = 20, status = null, profile = null) {
     const skip = (page - 1) * limit;
-    const query = status ? { status } : {};
+    const query = historyFilter(status, profile);
     
     const total = await CookieRefresh.countDocuments(query);
     const refreshes = await CookieRefresh.find(query)
@@ -190,20 +456,19 @@ class CookieRefreshTracker {
   }
   
   /**
-   * Clean up old refresh records
-   * @param {number} daysToKeep - Number of days to keep records
-   * @returns {Promise<number>} Number of deleted records
+   * Stream refresh operations, newest first, straight from a MongoDB cursor
+   * Records are plain objects and are never all held in memory.
+   * @param {string} status - Filter by status
+   * @param {string} profile - Filter by cookie profile
+   * @param {Array<string>} fields - Fields to load, or null for all
+   * @returns {object} Cursor to iterate with for await
    */
-  static async cleanupOldRecords(daysToKeep = 30) {
-    const cutoffDate = new Date();
-    cutoffDate.setDate(cutoffDate.getDate() - daysToKeep);
-    
-    const result = await CookieRefresh.deleteMany({
-      startTime: { $lt: cutoffDate }
-    });
-    
-    logger.info(`Cleaned up ${result.deletedCount} old refresh records`);
-    return result.deletedCount;
+  static streamRefreshes(status = null, profile = null, fields = null) {
+    const query = CookieRefresh.find(historyFilter(status, profile)).sort({ startTime: -1 });
+    if (fields) {
+      query.select(fields.join(' '));
+    }
+    return query.lean().cursor();
   }
 }
 
@@ -0,0 +1,74 @@
+import { CONFIG } from '../config/serviceConfig.js';
+
+/**
+ * Strip the leading dot of a cookie domain
+ * @param {string} domain - Cookie domain
+ * @returns {string} Bare domain
+ */
+function bareDomain(domain) {
+  return (domain || '').replace(/^\./, '');
+}
+
+/**
+ * Helper class to decide whether a captured cookie jar is usable
+ * A jar is valid when every AUTH_COOKIES and ESSENTIAL_COOKIES name is present
+ * and each domain in COOKIE_DOMAIN_MINIMUMS has at least its minimum number of cookies.
+ */
+class CookieValidator {
+  /**
+   * Validate a cookie jar
+   * @param {Array} cookies - Cookie jar
+   * @returns {object} Validation report: { valid, checkedAt, cookieCount, missing, domainCounts, domainMinimums, errors }
+   */
+  static validate(cookies) {
+    const jar = Array.isArray(cookies) ? cookies : [];
+    const names = new Set(jar.map(cookie => cookie.name));
+
+    const missing = {
+      auth: CONFIG.AUTH_COOKIES.filter(name => !names.has(name)),
+      essential: CONFIG.ESSENTIAL_COOKIES.filter(name => !names.has(name))
+    };
+
+    const domainCounts = {};
+    for (const cookie of jar) {
+      const domain = bareDomain(cookie.domain);
+      domainCounts[domain] = (domainCounts[domain] || 0) + 1;
+    }
+
+    const minimums = Object.entries(CONFIG.COOKIE_DOMAIN_MINIMUMS).map(([domain, minimum]) => {
+      const count = jar.filter(cookie => {
+        const cookieDomain = bareDomain(cookie.domain);
+        return cookieDomain === domain || cookieDomain.endsWith(`.${domain}`);
+      }).length;
+      return { domain, minimum, count, ok: count >= minimum };
+    });
+
+    const errors = [];
+    if (jar.length === 0) {
+      errors.push('Cookie jar is empty');
+    }
+    if (missing.auth.length > 0) {
+      errors.push(`Missing auth cookies: ${missing.auth.join(', ')}`);
+    }
+    if (missing.essential.length > 0) {
+      errors.push(`Missing essential cookies: ${missing.essential.join(', ')}`);
+    }
+    for (const { domain, minimum, count, ok } of minimums) {
+      if (!ok) {
+        errors.push(`Only ${count} of ${minimum} required cookies for ${domain}`);
+      }
+    }
+
+    return {
+      valid: errors.length === 0,
+      checkedAt: new Date().toISOString(),
+      cookieCount: jar.length,
+      missing,
+      domainCounts,
+      domainMinimums: minimums,
+      errors
+    };
+  }
+}
+
+export default CookieValidator;
@@ -0,0 +1,139 @@
+import { CookieVersion } from '../models/CookieVersion.js';
+import crypto from 'crypto';
+import StorageEncryption from './StorageEncryption.js';
+import { logger } from './logger.js';
+
+// Fields returned when listing versions; the jar itself is only loaded on request
+const SUMMARY_FIELDS = 'versionId profile version refreshId cookieCount cookiesHash createdAt';
+
+/**
+ * Convert a version document into its API representation
+ * @param {object} version - CookieVersion document
+ * @returns {object} Version metadata without the jar
+ */
+function toSummary(version) {
+  return {
+    versionId: version.versionId,
+    profile: version.profile,
+    version: version.version,
+    refreshId: version.refreshId,
+    cookieCount: version.cookieCount,
+    cookiesHash: version.cookiesHash ?? null,
+    createdAt: version.createdAt
+  };
+}
+
+/**
+ * Helper class to keep an immutable history of the cookie jars produced by refreshes
+ */
+class CookieVersionTracker {
+  /**
+   * Record the jar produced by a successful refresh as a new version
+   * A jar identical to the profile's latest version (e.g. reused cookies) is not stored again.
+   * @param {string} profile - Cookie profile the jar belongs to
+   * @param {string} refreshId - Refresh operation that produced the jar
+   * @param {Array} cookies - The cookie jar
+   * @returns {Promise<object>} Summary of the new version, or of the latest one if the jar is unchanged
+   */
+  static async recordVersion(profile, refreshId, cookies) {
+    const cookiesHash = StorageEncryption.hashCookies(cookies);
+    const latest = await CookieVersion.findOne({ profile }, SUMMARY_FIELDS).sort({ version: -1 });
+
+    if (latest && cookiesHash && latest.cookiesHash === cookiesHash) {
+      logger.debug(`Cookie jar for profile ${profile} is unchanged since version ${latest.version}`);
+      return toSummary(latest);
+    }
+
+    const version = await CookieVersion.create({
+      versionId: crypto.randomUUID(),
+      profile,
+      version: (latest?.version || 0) + 1,
+      refreshId,
+      cookies: StorageEncryption.protect(cookies),
+      cookieCount: cookies.length,
+      cookiesHash
+    });
+
+    logger.info(`Recorded cookie jar version ${version.version} for profile ${profile} (refresh ${refreshId})`);
+    return toSummary(version);
+  }
+
+  /**
+   * List versions, newest first
+   * @param {number} page - Page number
+   * @param {number} limit - Items per page
+   * @param {string} profile - Filter by cookie profile
+   * @returns {Promise<object>} Paginated version summaries
+   */
+  static async listVersions(page = 1, limit = 20, profile = null) {
+    const skip = (page - 1) * limit;
+    const query = profile ? { profile } : {};
+
+    const total = await CookieVersion.countDocuments(query);
+    const versions = await CookieVersion.find(query, SUMMARY_FIELDS)
+      .sort({ createdAt: -1, version: -1 })
+      .skip(skip)
+      .limit(limit);
+
+    return {
+      versions: versions.map(toSummary),
+      pagination: {
+        total,
+        page,
+        limit,
+        pages: Math.ceil(total / limit)
+      }
+    };
+  }
+
+  /**
+   * Get a version together with its decrypted jar
+   * @param {string} versionId - The version ID
+   * @returns {Promise<object|null>} Version summary with a cookies array, or null if not found
+   */
+  static async getVersion(versionId) {
+    const version = await CookieVersion.findOne({ versionId });
+    if (!version) {
+      return null;
+    }
+    return { ...toSummary(version), cookies: StorageEncryption.unprotect(version.cookies) };
+  }
+
+  /**
+   * Delete every version of a profile
+   * @param {string} profile - Cookie profile
+   * @returns {Promise<number>} Number of deleted versions
+   */
+  static async deleteVersions(profile) {
+    const result = await CookieVersion.deleteMany({ profile });
+    return result.deletedCount;
+  }
+
+  /**
+   * Re-encrypt stored jars that are plaintext or use a retired key
+   * The jar contents are unchanged; their encryption envelope is rewritten and their
+   * cookiesHash recomputed, since it is keyed with the active key.
+   * @returns {Promise<number>} Number of versions rewritten
+   */
+  static async reencryptVersions() {
+    if (!StorageEncryption.isEnabled()) {
+      return 0;
+    }
+
+    let rewritten = 0;
+    for await (const version of CookieVersion.find({}, 'versionId cookies').cursor()) {
+      if (!StorageEncryption.needsReencryption(version.cookies)) {
+        continue;
+      }
+      const plaintext = StorageEncryption.unprotect(version.cookies);
+      await CookieVersion.updateOne(
+        { versionId: version.versionId },
+        { $set: { cookies: StorageEncryption.protect(plaintext), cookiesHash: StorageEncryption.hashCookies(plaintext) } }
+      );
+      rewritten++;
+    }
+    return rewritten;
+  }
+}
+
+export default CookieVersionTracker;
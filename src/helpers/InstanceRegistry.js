@@ -0,0 +1,60 @@
+import { ServiceInstance } from '../models/ServiceInstance.js';
+import os from 'os';
+import { logger } from './logger.js';
+import { CONFIG } from '../config/serviceConfig.js';
+
+/**
+ * Helper class to track which service instances are alive
+ * Each process records a heartbeat; an instance whose heartbeat is older than
+ * CONFIG.RECOVERY.INSTANCE_TIMEOUT is considered dead.
+ */
+class InstanceRegistry {
+  /**
+   * Record a heartbeat for an instance, registering it on first use
+   * @param {string} instanceId - The service instance ID
+   * @returns {Promise<object>} The instance record
+   */
+  static async heartbeat(instanceId) {
+    return ServiceInstance.findOneAndUpdate(
+      { instanceId },
+      {
+        lastHeartbeat: new Date(),
+        $setOnInsert: { hostname: os.hostname(), pid: process.pid, startedAt: new Date() }
+      },
+      { upsert: true, new: true }
+    );
+  }
+
+  /**
+   * Get the IDs of instances with a recent heartbeat
+   * @returns {Promise<Array<string>>} Live instance IDs
+   */
+  static async getLiveInstanceIds() {
+    const cutoff = new Date(Date.now() - CONFIG.RECOVERY.INSTANCE_TIMEOUT);
+    const instances = await ServiceInstance.find({ lastHeartbeat: { $gte: cutoff } }, { instanceId: 1 });
+    return instances.map(instance => instance.instanceId);
+  }
+
+  /**
+   * Remove an instance on clean shutdown
+   * @param {string} instanceId - The service instance ID
+   */
+  static async deregister(instanceId) {
+    await ServiceInstance.deleteOne({ instanceId });
+  }
+
+  /**
+   * Remove instances that stopped sending heartbeats long ago
+   * @returns {Promise<number>} Number of removed instances
+   */
+  static async pruneDeadInstances() {
+    const cutoff = new Date(Date.now() - CONFIG.RECOVERY.INSTANCE_RETENTION);
+    const result = await ServiceInstance.deleteMany({ lastHeartbeat: { $lt: cutoff } });
+    if (result.deletedCount > 0) {
+      logger.info(`Removed ${result.deletedCount} dead service instances`);
+    }
+    return result.deletedCount;
+  }
+}
+
+export default InstanceRegistry;
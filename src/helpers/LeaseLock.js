@@ -0,0 +1,140 @@
+import { Lock } from '../models/Lock.js';
+import { logger } from './logger.js';
+import { CONFIG } from '../config/serviceConfig.js';
+
+// MongoDB duplicate key error code
+const DUPLICATE_KEY = 11000;
+
+/**
+ * Helper class for MongoDB-backed lease locks shared by all service instances
+ * A lock is held until its lease expires unless the holder renews it. Every change of
+ * holder increments the lock's fencing token, so a holder that stalled past its lease can
+ * tell (with isHeld) that its token is stale before writing. Leases are compared against
+ * the local clock, as instance heartbeats are.
+ * Locks are passed around as { name, holder, token, expiresAt }.
+ */
+class LeaseLock {
+  /**
+   * Try to acquire a lock
+   * Succeeds when the lock does not exist yet or its lease has expired.
+   * @param {string} name - Lock name
+   * @param {string} holder - Service instance ID of the caller
+   * @param {number} ttl - Lease duration in milliseconds
+   * @returns {Promise<object|null>} The lock, or null if another holder has a live lease
+   */
+  static async acquire(name, holder, ttl) {
+    const now = new Date();
+    try {
+      return await Lock.findOneAndUpdate(
+        { name, expiresAt: { $lte: now } },
+        {
+          $set: { holder, acquiredAt: now, expiresAt: new Date(now.getTime() + ttl) },
+          $inc: { token: 1 }
+        },
+        { upsert: true, new: true }
+      ).lean();
+    } catch (error) {
+      // The lock exists with a live lease, so the upsert collided with it
+      if (error.code === DUPLICATE_KEY) {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Acquire a lock, polling until it is free or the wait runs out
+   * @param {string} name - Lock name
+   * @param {string} holder - Service instance ID of the caller
+   * @param {number} ttl - Lease duration in milliseconds
+   * @param {number} timeout - Longest time to wait in milliseconds
+   * @returns {Promise<object|null>} The lock, or null if it was not freed in time
+   */
+  static async acquireWithin(name, holder, ttl, timeout) {
+    const deadline = Date.now() + timeout;
+
+    for (;;) {
+      const lock = await LeaseLock.acquire(name, holder, ttl);
+      if (lock || Date.now() >= deadline) {
+        return lock;
+      }
+      await new Promise(resolve => setTimeout(resolve, CONFIG.LOCKS.RETRY_DELAY));
+    }
+  }
+
+  /**
+   * Extend the lease of a held lock
+   * Renewal still succeeds after the lease ran out as long as nobody took the lock over.
+   * @param {object} lock - Lock returned by acquire or renew
+   * @param {number} ttl - New lease duration in milliseconds, from now
+   * @returns {Promise<object|null>} The renewed lock, or null if the lock was lost
+   */
+  static async renew(lock, ttl) {
+    return Lock.findOneAndUpdate(
+      { name: lock.name, holder: lock.holder, token: lock.token },
+      { expiresAt: new Date(Date.now() + ttl) },
+      { new: true }
+    ).lean();
+  }
+
+  /**
+   * Keep renewing a lock in the background
+   * @param {object} lock - Lock returned by acquire
+   * @param {number} ttl - Lease duration in milliseconds
+   * @returns {Function} Call to stop renewing
+   */
+  static keepAlive(lock, ttl) {
+    const interval = setInterval(async () => {
+      try {
+        if (!await LeaseLock.renew(lock, ttl)) {
+          logger.warn(`Lost lock ${lock.name} (token ${lock.token}) to another instance`);
+          clearInterval(interval);
+        }
+      } catch (error) {
+        logger.error(`Failed to renew lock ${lock.name}:`, error);
+      }
+    }, CONFIG.LOCKS.RENEW_INTERVAL);
+
+    return () => clearInterval(interval);
+  }
+
+  /**
+   * Check that a lock is still held under the same fencing token
+   * @param {object} lock - Lock returned by acquire or renew
+   * @returns {Promise<boolean>} Whether the lease is live and nobody took the lock over
+   */
+  static async isHeld(lock) {
+    const current = await Lock.exists({
+      name: lock.name,
+      holder: lock.holder,
+      token: lock.token,
+      expiresAt: { $gt: new Date() }
+    });
+    return Boolean(current);
+  }
+
+  /**
+   * Release a held lock
+   * The lock document is kept, expired, so fencing tokens keep increasing.
+   * @param {object} lock - Lock returned by acquire or renew
+   * @returns {Promise<boolean>} Whether the lock was still held
+   */
+  static async release(lock) {
+    const result = await Lock.updateOne(
+      { name: lock.name, holder: lock.holder, token: lock.token },
+      { expiresAt: new Date(0) }
+    );
+    return result.modifiedCount > 0;
+  }
+
+  /**
+   * Get the current holder of a lock
+   * @param {string} name - Lock name
+   * @returns {Promise<object|null>} The lock, or null if it is free
+   */
+  static async getHolder(name) {
+    return Lock.findOne({ name, expiresAt: { $gt: new Date() } }).lean();
+  }
+}
+
+export default LeaseLock;
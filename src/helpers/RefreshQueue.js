@@ -0,0 +1,324 @@
+import crypto from 'crypto';
+import { RefreshJob } from '../models/RefreshJob.js';
+import CookieProfileManager from './CookieProfileManager.js';
+import StorageEncryption from './StorageEncryption.js';
+import { describeProxy } from './refreshEvents.js';
+import { logger } from './logger.js';
+import { CONFIG } from '../config/serviceConfig.js';
+
+// MongoDB duplicate key error code
+const DUPLICATE_KEY = 11000;
+
+// Claim order by what queued the job; manual triggers go first
+export const JOB_PRIORITIES = {
+  manual: 10,
+  recovery: 5,
+  schedule: 0,
+  interval: 0
+};
+
+// States of jobs that have not finished
+const PENDING_STATES = ['queued', 'in_progress'];
+
+/**
+ * Build the public view of a job
+ * @param {object} job - RefreshJob document
+ * @returns {object} Job representation
+ */
+function toJob(job) {
+  return {
+    jobId: job.jobId,
+    refreshId: job.refreshId,
+    profile: job.profile,
+    eventId: job.eventId ?? null,
+    proxy: job.proxy ?? null,
+    source: job.source,
+    priority: job.priority,
+    dedupeKey: job.dedupeKey ?? null,
+    state: job.state,
+    attempts: job.attempts,
+    maxAttempts: job.maxAttempts,
+    result: job.result ?? null,
+    error: job.error ?? null,
+    createdAt: job.createdAt,
+    availableAt: job.availableAt,
+    startedAt: job.startedAt ?? null,
+    finishedAt: job.finishedAt ?? null
+  };
+}
+
+/**
+ * Helper class for the durable refresh job queue shared by all service instances
+ * Workers claim the highest-priority job that is due. A claim holds the job for
+ * CONFIG.QUEUE.VISIBILITY_TIMEOUT; a worker that stops extending it (e.g. its instance
+ * crashed) loses the job to the next claim. Failed jobs are retried until maxAttempts.
+ * Completing, failing or extending a job checks the claim (instance and attempt), so
+ * a worker whose claim was taken over cannot overwrite the new attempt.
+ */
+class RefreshQueue {
+  /**
+   * Queue a refresh job
+   * With a dedupeKey, an existing queued or running job with the same key is returned instead.
+   * @param {object} options - { profile, eventId, proxy, source, dedupeKey, maxAttempts }
+   * @returns {Promise<object>} { job, created } where job is the job representation
+   */
+  static async enqueue({
+    profile = CookieProfileManager.DEFAULT_PROFILE,
+    eventId = null,
+    proxy = null,
+    source = 'manual',
+    dedupeKey = null,
+    maxAttempts = CONFIG.QUEUE.MAX_ATTEMPTS
+  } = {}) {
+    const jobId = crypto.randomUUID();
+    const credentials = proxy?.username ? { username: proxy.username, password: proxy.password } : null;
+
+    // A duplicate may finish between the failed insert and the lookup, so try twice
+    for (let attempt = 0; attempt < 2; attempt++) {
+      try {
+        const job = await RefreshJob.create({
+          jobId,
+          refreshId: jobId,
+          profile,
+          eventId,
+          proxy: describeProxy(proxy),
+          ...(credentials && { proxyCredentials: StorageEncryption.protect(credentials) }),
+          source,
+          priority: JOB_PRIORITIES[source],
+          ...(dedupeKey && { dedupeKey }),
+          active: true,
+          maxAttempts
+        });
+        return { job: toJob(job), created: true };
+      } catch (error) {
+        if (error.code !== DUPLICATE_KEY || !dedupeKey) {
+          throw error;
+        }
+      }
+
+      const existing = await RefreshJob.findOne({ dedupeKey, active: true }).lean();
+      if (existing) {
+        logger.debug(`Refresh job for ${dedupeKey} already queued as ${existing.jobId}`);
+        return { job: toJob(existing), created: false };
+      }
+    }
+
+    throw new Error(`Could not queue a refresh job for ${dedupeKey}`);
+  }
+
+  /**
+   * Claim the next due job for a worker
+   * Jobs of profiles that are running anywhere are skipped, so a profile is refreshed
+   * by one worker at a time. A job whose claim expired after its last attempt is failed.
+   * @param {string} instanceId - Service instance of the worker
+   * @returns {Promise<object|null>} The claimed job document, proxy credentials included, or null
+   */
+  static async claimNext(instanceId) {
+    for (;;) {
+      const now = new Date();
+      const runningProfiles = await RefreshJob.distinct('profile', {
+        state: 'in_progress',
+        lockedUntil: { $gt: now }
+      });
+
+      const job = await RefreshJob.findOneAndUpdate(
+        {
+          $or: [
+            { state: 'queued', availableAt: { $lte: now } },
+            { state: 'in_progress', lockedUntil: { $lte: now } }
+          ],
+          profile: { $nin: runningProfiles }
+        },
+        {
+          $set: {
+            state: 'in_progress',
+            lockedBy: instanceId,
+            lockedUntil: new Date(now.getTime() + CONFIG.QUEUE.VISIBILITY_TIMEOUT),
+            startedAt: now
+          },
+          $inc: { attempts: 1 }
+        },
+        { sort: { priority: -1, createdAt: 1 }, new: true }
+      ).select('+proxyCredentials').lean();
+
+      if (!job || job.attempts <= job.maxAttempts) {
+        return job;
+      }
+
+      // Claimed again after its worker disappeared on the last attempt
+      await RefreshQueue.fail(job, `Gave up after ${job.maxAttempts} attempts; the last worker stopped responding`);
+    }
+  }
+
+  /**
+   * Keep a claimed job from being handed to another worker
+   * @param {object} job - Claimed job document
+   * @returns {Promise<boolean>} False if the claim was lost
+   */
+  static async extend(job) {
+    const result = await RefreshJob.updateOne(
+      { jobId: job.jobId, state: 'in_progress', lockedBy: job.lockedBy, attempts: job.attempts },
+      { lockedUntil: new Date(Date.now() + CONFIG.QUEUE.VISIBILITY_TIMEOUT) }
+    );
+    return result.modifiedCount > 0;
+  }
+
+  /**
+   * Mark a claimed job as successful
+   * @param {object} job - Claimed job document
+   * @param {object} result - Summary of the refresh: { cookieCount, retryCount, lastRefresh }
+   * @param {object} refresh - Refresh the attempt ran: { refreshId, eventId }
+   * @returns {Promise<boolean>} False if the claim was lost
+   */
+  static async complete(job, result, refresh = {}) {
+    const update = await RefreshJob.updateOne(
+      { jobId: job.jobId, state: 'in_progress', lockedBy: job.lockedBy, attempts: job.attempts },
+      {
+        $set: {
+          state: 'success',
+          result,
+          error: null,
+          finishedAt: new Date(),
+          ...(refresh.refreshId && { refreshId: refresh.refreshId }),
+          ...(refresh.eventId && { eventId: refresh.eventId })
+        },
+        $unset: { active: 1, lockedBy: 1, lockedUntil: 1 }
+      }
+    );
+    return update.modifiedCount > 0;
+  }
+
+  /**
+   * Record a failed attempt of a claimed job
+   * The job is queued again after CONFIG.QUEUE.RETRY_DELAY (times the attempts so far)
+   * unless it has used up its attempts, in which case it is failed.
+   * @param {object} job - Claimed job document
+   * @param {string} error - Error message
+   * @param {object} refresh - Refresh the attempt ran, if it got that far: { refreshId, eventId }
+   * @returns {Promise<string|null>} The new state, or null if the claim was lost
+   */
+  static async fail(job, error, refresh = {}) {
+    const retry = job.attempts < job.maxAttempts;
+    const state = retry ? 'queued' : 'failed';
+
+    const update = await RefreshJob.updateOne(
+      { jobId: job.jobId, state: 'in_progress', lockedBy: job.lockedBy, attempts: job.attempts },
+      {
+        $set: {
+          state,
+          error,
+          ...(retry
+            ? { availableAt: new Date(Date.now() + CONFIG.QUEUE.RETRY_DELAY * job.attempts) }
+            : { finishedAt: new Date() }),
+          ...(refresh.refreshId && { refreshId: refresh.refreshId })
+        },
+        $unset: retry ? { lockedBy: 1, lockedUntil: 1 } : { active: 1, lockedBy: 1, lockedUntil: 1 }
+      }
+    );
+    return update.modifiedCount > 0 ? state : null;
+  }
+
+  /**
+   * Get the proxy a job asked for
+   * @param {object} job - Job document with proxy credentials selected
+   * @returns {object|null} Proxy configuration, or null to let the worker choose
+   */
+  static getProxy(job) {
+    if (!job.proxy) {
+      return null;
+    }
+
+    const [host, port] = job.proxy.split(':');
+    if (job.proxyCredentials) {
+      return { host, port: parseInt(port), ...StorageEncryption.unprotect(job.proxyCredentials) };
+    }
+
+    // Proxies from the proxy list keep their credentials there
+    return CookieProfileManager.findProxy(job.proxy) || { host, port: parseInt(port) };
+  }
+
+  /**
+   * Get a job by ID
+   * @param {string} jobId - The job ID
+   * @returns {Promise<object|null>} Job representation
+   */
+  static async getJob(jobId) {
+    const job = await RefreshJob.findOne({ jobId }).lean();
+    return job ? toJob(job) : null;
+  }
+
+  /**
+   * Wait for a job to finish
+   * @param {string} jobId - The job ID
+   * @param {number} timeoutMs - Maximum time to wait in milliseconds
+   * @returns {Promise<object|null>} The job in its latest state, or null if unknown
+   */
+  static async waitForJob(jobId, timeoutMs) {
+    const deadline = Date.now() + timeoutMs;
+
+    for (;;) {
+      const job = await RefreshQueue.getJob(jobId);
+      if (!job || !PENDING_STATES.includes(job.state) || Date.now() >= deadline) {
+        return job;
+      }
+      await new Promise(resolve => setTimeout(resolve, Math.min(CONFIG.JOBS.WAIT_POLL_INTERVAL, deadline - Date.now())));
+    }
+  }
+
+  /**
+   * List queued and running jobs in claim order
+   * @param {object} filters - Optional { profile, state }
+   * @param {number} page - Page number
+   * @param {number} limit - Items per page
+   * @returns {Promise<object>} Paginated jobs
+   */
+  static async listPending(filters = {}, page = 1, limit = 50) {
+    const skip = (page - 1) * limit;
+    const query = {
+      state: filters.state || { $in: PENDING_STATES },
+      ...(filters.profile && { profile: filters.profile })
+    };
+
+    const total = await RefreshJob.countDocuments(query);
+    const jobs = await RefreshJob.find(query)
+      .sort({ state: 1, priority: -1, createdAt: 1 })
+      .skip(skip)
+      .limit(limit)
+      .lean();
+
+    return {
+      jobs: jobs.map(toJob),
+      pagination: {
+        total,
+        page,
+        limit,
+        pages: Math.ceil(total / limit)
+      }
+    };
+  }
+
+  /**
+   * Count the jobs waiting to be claimed
+   * @returns {Promise<number>} Queued jobs
+   */
+  static async countQueued() {
+    return RefreshJob.countDocuments({ state: 'queued' });
+  }
+
+  /**
+   * Drop a queued job
+   * @param {string} jobId - The job ID
+   * @returns {Promise<object>} { job, dropped }; job is null if unknown, dropped is false if it already started
+   */
+  static async dropJob(jobId) {
+    const dropped = await RefreshJob.findOneAndDelete({ jobId, state: 'queued' }).lean();
+    if (dropped) {
+      logger.info(`Dropped queued refresh job ${jobId} for profile ${dropped.profile}`);
+      return { job: toJob(dropped), dropped: true };
+    }
+
+    return { job: await RefreshQueue.getJob(jobId), dropped: false };
+  }
+}
+
+export default RefreshQueue;
@@ -0,0 +1,313 @@
+import fs from 'fs';
+import fsPromises from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+import readline from 'readline';
+import zlib from 'zlib';
+import { Readable } from 'stream';
+import { pipeline } from 'stream/promises';
+import { CookieRefresh } from '../models/CookieRefresh.js';
+import { Session } from '../models/Session.js';
+import { CookieVersion } from '../models/CookieVersion.js';
+import { RefreshJob } from '../models/RefreshJob.js';
+import { logger } from './logger.js';
+import { CONFIG } from '../config/serviceConfig.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Collections under retention and the field their age is measured by
+const COLLECTIONS = {
+  refreshes: { model: CookieRefresh, dateField: 'startTime', maxAge: () => CONFIG.RETENTION.REFRESHES },
+  sessions: { model: Session, dateField: 'createdAt', maxAge: () => CONFIG.RETENTION.SESSIONS },
+  cookieVersions: { model: CookieVersion, dateField: 'createdAt', maxAge: () => CONFIG.VERSIONS.MAX_AGE },
+  jobs: { model: RefreshJob, dateField: 'finishedAt', maxAge: () => CONFIG.JOBS.RETENTION }
+};
+
+// "<collection>-<timestamp>-<random>.ndjson.gz"
+const ARCHIVE_NAME = /^([A-Za-z]+)-([\dT-]+Z)-[a-f\d]+\.ndjson\.gz$/;
+
+/**
+ * Split a list into chunks of CONFIG.RETENTION.BATCH_SIZE
+ * @param {Array} items - Items to split
+ * @returns {Array<Array>} Chunks
+ */
+function toBatches(items) {
+  const batches = [];
+  for (let i = 0; i < items.length; i += CONFIG.RETENTION.BATCH_SIZE) {
+    batches.push(items.slice(i, i + CONFIG.RETENTION.BATCH_SIZE));
+  }
+  return batches;
+}
+
+/**
+ * Parse an archive file name
+ * @param {string} name - File name
+ * @returns {object|null} { collection, createdAt }, or null if it is not an archive
+ */
+function parseArchiveName(name) {
+  const match = ARCHIVE_NAME.exec(name);
+  if (!match || !Object.hasOwn(COLLECTIONS, match[1])) {
+    return null;
+  }
+
+  // The timestamp is an ISO date with ':' and '.' replaced by '-'
+  const [date, time] = match[2].split('T');
+  const [hours, minutes, seconds, millis] = time.slice(0, -1).split('-');
+  return {
+    collection: match[1],
+    createdAt: new Date(`${date}T${hours}:${minutes}:${seconds}.${millis}Z`)
+  };
+}
+
+/**
+ * Helper class to enforce record retention and manage archives
+ * Expired records are deleted in batches by _id. With CONFIG.RETENTION.ARCHIVE set,
+ * they are first written as gzipped NDJSON (one stored document per line, encrypted
+ * fields left encrypted) to CONFIG.RETENTION.ARCHIVE_DIR, from where they can be restored.
+ */
+class RetentionManager {
+  /**
+   * Get the collections under retention
+   * @returns {Array<string>} Collection names
+   */
+  static getCollections() {
+    return Object.keys(COLLECTIONS);
+  }
+
+  /**
+   * Apply the configured retention to every collection
+   * @returns {Promise<object>} Purge result per collection
+   */
+  static async applyAll() {
+    const results = {};
+    for (const collection of RetentionManager.getCollections()) {
+      const maxAge = COLLECTIONS[collection].maxAge();
+      if (maxAge > 0) {
+        results[collection] = await RetentionManager.applyPolicy(collection, maxAge);
+      }
+    }
+    return results;
+  }
+
+  /**
+   * Delete a collection's records older than a maximum age
+   * Cookie jar versions also respect CONFIG.VERSIONS.MAX_PER_PROFILE, and the newest
+   * version of each profile is always kept.
+   * @param {string} collection - Collection name
+   * @param {number} maxAge - Maximum age in milliseconds
+   * @param {object} options - { archive } to override CONFIG.RETENTION.ARCHIVE
+   * @returns {Promise<object>} { deletedCount, archive }
+   */
+  static async applyPolicy(collection, maxAge, options = {}) {
+    const { dateField } = COLLECTIONS[collection];
+    const cutoff = new Date(Date.now() - maxAge);
+
+    const filter = collection === 'cookieVersions'
+      ? await RetentionManager.getVersionFilter(cutoff)
+      : { [dateField]: { $lt: cutoff } };
+    if (!filter) {
+      return { deletedCount: 0, archive: null };
+    }
+
+    const result = await RetentionManager.purge(collection, filter, options);
+    if (result.deletedCount > 0) {
+      logger.info(`Retention removed ${result.deletedCount} ${collection} older than ${Math.round(maxAge / DAY)} days`);
+    }
+    return result;
+  }
+
+  /**
+   * Build the filter for cookie jar versions past the retention limits
+   * @param {Date} cutoff - Versions created before this are expired
+   * @returns {Promise<object|null>} Filter, or null if there are no versions
+   */
+  static async getVersionFilter(cutoff) {
+    const profiles = await CookieVersion.aggregate([
+      { $sort: { profile: 1, version: -1 } },
+      { $group: { _id: '$profile', versions: { $push: '$version' } } },
+      {
+        $project: {
+          newest: { $arrayElemAt: ['$versions', 0] },
+          // Versions below this one exceed MAX_PER_PROFILE
+          oldestKept: {
+            $arrayElemAt: ['$versions', { $min: [CONFIG.VERSIONS.MAX_PER_PROFILE - 1, { $subtract: [{ $size: '$versions' }, 1] }] }]
+          }
+        }
+      }
+    ]);
+    if (profiles.length === 0) {
+      return null;
+    }
+
+    return {
+      $or: profiles.map(({ _id: profile, newest, oldestKept }) => ({
+        profile,
+        version: { $lt: newest },
+        $or: [
+          { version: { $lt: oldestKept } },
+          { createdAt: { $lt: cutoff } }
+        ]
+      }))
+    };
+  }
+
+  /**
+   * Delete the records matching a filter, archiving them first if enabled
+   * @param {string} collection - Collection name
+   * @param {object} filter - MongoDB filter
+   * @param {object} options - { archive } to override CONFIG.RETENTION.ARCHIVE
+   * @returns {Promise<object>} { deletedCount, archive } where archive is the file name or null
+   */
+  static async purge(collection, filter, { archive = CONFIG.RETENTION.ARCHIVE } = {}) {
+    const { model } = COLLECTIONS[collection];
+    let ids;
+    let archiveName = null;
+
+    if (archive) {
+      ({ ids, name: archiveName } = await RetentionManager.writeArchive(collection, filter));
+    } else {
+      ids = (await model.find(filter, '_id').lean()).map(doc => doc._id);
+    }
+
+    let deletedCount = 0;
+    for (const batch of toBatches(ids)) {
+      const result = await model.deleteMany({ _id: { $in: batch } });
+      deletedCount += result.deletedCount;
+    }
+
+    return { deletedCount, archive: archiveName };
+  }
+
+  /**
+   * Stream the records matching a filter into a new archive
+   * The archive is written to a temporary file and renamed once complete.
+   * @param {string} collection - Collection name
+   * @param {object} filter - MongoDB filter
+   * @returns {Promise<object>} { ids, name } of the archived records; name is null if none matched
+   */
+  static async writeArchive(collection, filter) {
+    const { model } = COLLECTIONS[collection];
+    const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+    const name = `${collection}-${timestamp}-${crypto.randomBytes(3).toString('hex')}.ndjson.gz`;
+    const filePath = path.join(CONFIG.RETENTION.ARCHIVE_DIR, name);
+    const tempPath = `${filePath}.tmp`;
+    const ids = [];
+
+    await fsPromises.mkdir(CONFIG.RETENTION.ARCHIVE_DIR, { recursive: true });
+
+    async function* lines() {
+      for await (const doc of model.find(filter).lean().cursor()) {
+        ids.push(doc._id);
+        yield `${JSON.stringify(doc)}\n`;
+      }
+    }
+
+    try {
+      await pipeline(
+        Readable.from(lines()),
+        zlib.createGzip(),
+        fs.createWriteStream(tempPath, { mode: 0o600 })
+      );
+      if (ids.length === 0) {
+        await fsPromises.rm(tempPath, { force: true });
+        return { ids, name: null };
+      }
+      await fsPromises.rename(tempPath, filePath);
+    } catch (error) {
+      await fsPromises.rm(tempPath, { force: true });
+      throw error;
+    }
+
+    logger.info(`Archived ${ids.length} ${collection} to ${name}`);
+    return { ids, name };
+  }
+
+  /**
+   * List archives, newest first
+   * @returns {Promise<Array<object>>} Archives: { name, collection, createdAt, size }
+   */
+  static async listArchives() {
+    let names;
+    try {
+      names = await fsPromises.readdir(CONFIG.RETENTION.ARCHIVE_DIR);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return [];
+      }
+      throw error;
+    }
+
+    const archives = [];
+    for (const name of names) {
+      const parsed = parseArchiveName(name);
+      if (parsed) {
+        const { size } = await fsPromises.stat(path.join(CONFIG.RETENTION.ARCHIVE_DIR, name));
+        archives.push({ name, ...parsed, size });
+      }
+    }
+
+    return archives.sort((a, b) => b.createdAt - a.createdAt);
+  }
+
+  /**
+   * Restore the records of an archive
+   * Records that still exist (same _id) are skipped, so restoring twice is harmless.
+   * Stored timestamps are kept as archived.
+   * @param {string} name - Archive file name
+   * @returns {Promise<object|null>} { name, collection, restoredCount, skippedCount }, or null if not found
+   */
+  static async restoreArchive(name) {
+    const parsed = parseArchiveName(name);
+    if (!parsed) {
+      return null;
+    }
+
+    const filePath = path.join(CONFIG.RETENTION.ARCHIVE_DIR, name);
+    try {
+      await fsPromises.access(filePath);
+    } catch {
+      return null;
+    }
+
+    const { model } = COLLECTIONS[parsed.collection];
+    let restoredCount = 0;
+    let skippedCount = 0;
+
+    const insertBatch = async (docs) => {
+      const existing = await model.find({ _id: { $in: docs.map(doc => doc._id) } }, '_id').lean();
+      const existingIds = new Set(existing.map(doc => String(doc._id)));
+      const missing = docs.filter(doc => !existingIds.has(String(doc._id)));
+
+      if (missing.length > 0) {
+        await model.insertMany(missing, { timestamps: false });
+      }
+      restoredCount += missing.length;
+      skippedCount += docs.length - missing.length;
+    };
+
+    const input = readline.createInterface({
+      input: fs.createReadStream(filePath).pipe(zlib.createGunzip()),
+      crlfDelay: Infinity
+    });
+
+    let batch = [];
+    for await (const line of input) {
+      if (!line.trim()) {
+        continue;
+      }
+      batch.push(JSON.parse(line));
+      if (batch.length >= CONFIG.RETENTION.BATCH_SIZE) {
+        await insertBatch(batch);
+        batch = [];
+      }
+    }
+    if (batch.length > 0) {
+      await insertBatch(batch);
+    }
+
+    logger.info(`Restored ${restoredCount} ${parsed.collection} from ${name} (${skippedCount} already present)`);
+    return { name, collection: parsed.collection, restoredCount, skippedCount };
+  }
+}
+
+export default RetentionManager;
@@ -0,0 +1,209 @@
+import { Schedule } from '../models/Schedule.js';
+import { CronExpressionParser } from 'cron-parser';
+import crypto from 'crypto';
+import { logger } from './logger.js';
+
+/**
+ * Helper class to manage cron refresh schedules
+ * Each schedule stores its next run time. The scheduler claims a due schedule by
+ * advancing nextRunAt with a compare-and-set, so only one instance starts each run.
+ * Runs missed while no instance was up are not caught up: a late schedule runs
+ * once and then continues from the current time.
+ */
+class ScheduleManager {
+  /**
+   * Check a cron expression and time zone
+   * @param {string} cron - Five-field cron expression
+   * @param {string} timezone - IANA time zone
+   * @returns {string|null} Error message, or null if both are valid
+   */
+  static validateCron(cron, timezone = 'UTC') {
+    if (typeof cron !== 'string' || cron.trim().split(/\s+/).length !== 5) {
+      return 'cron must have five fields: minute hour day-of-month month day-of-week';
+    }
+
+    try {
+      new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    } catch {
+      return `Unknown time zone: ${timezone}`;
+    }
+
+    try {
+      // An expression that never matches (e.g. February 30th) fails on next()
+      CronExpressionParser.parse(cron, { tz: timezone }).next();
+    } catch (error) {
+      return `Invalid cron expression: ${error.message}`;
+    }
+
+    return null;
+  }
+
+  /**
+   * Iterate the cron times of a schedule
+   * @param {object} schedule - Schedule fields (cron, timezone)
+   * @param {Date} after - Times strictly after this are returned
+   * @returns {object} cron-parser expression; call next() for each time
+   */
+  static iterate(schedule, after) {
+    return CronExpressionParser.parse(schedule.cron, { currentDate: after, tz: schedule.timezone || 'UTC' });
+  }
+
+  /**
+   * Compute the next run of a schedule, jitter included
+   * @param {object} schedule - Schedule fields (cron, timezone, jitter)
+   * @param {Date} after - The run is strictly after this time
+   * @returns {Date} Next run time
+   */
+  static getNextRun(schedule, after = new Date()) {
+    const next = ScheduleManager.iterate(schedule, after).next().getTime();
+    const jitter = Math.floor(Math.random() * ((schedule.jitter || 0) + 1)) * 1000;
+    return new Date(next + jitter);
+  }
+
+  /**
+   * List schedules, oldest first
+   * @param {string} profile - Filter by cookie profile
+   * @returns {Promise<Array<object>>} Schedules
+   */
+  static async listSchedules(profile = null) {
+    return Schedule.find(profile ? { profile } : {}).sort({ createdAt: 1 });
+  }
+
+  /**
+   * Get a schedule by ID
+   * @param {string} scheduleId - The schedule ID
+   * @returns {Promise<object|null>} The schedule
+   */
+  static async getSchedule(scheduleId) {
+    return Schedule.findOne({ scheduleId });
+  }
+
+  /**
+   * Create a schedule
+   * @param {object} fields - Schedule fields (cron required)
+   * @returns {Promise<object>} The created schedule
+   */
+  static async createSchedule(fields) {
+    const schedule = new Schedule({ scheduleId: crypto.randomUUID(), ...fields });
+    schedule.nextRunAt = schedule.enabled ? ScheduleManager.getNextRun(schedule) : null;
+    await schedule.save();
+
+    logger.info(`Created schedule ${schedule.scheduleId} (${schedule.cron}) for profile ${schedule.profile}`);
+    return schedule;
+  }
+
+  /**
+   * Update a schedule, replanning its next run
+   * @param {string} scheduleId - The schedule ID
+   * @param {object} update - Fields to change
+   * @returns {Promise<object|null>} The updated schedule, or null if not found
+   */
+  static async updateSchedule(scheduleId, update) {
+    const schedule = await Schedule.findOne({ scheduleId });
+    if (!schedule) {
+      return null;
+    }
+
+    schedule.set(update);
+    schedule.nextRunAt = schedule.enabled ? ScheduleManager.getNextRun(schedule) : null;
+    await schedule.save();
+
+    logger.info(`Updated schedule ${scheduleId}`, update);
+    return schedule;
+  }
+
+  /**
+   * Delete a schedule
+   * @param {string} scheduleId - The schedule ID
+   * @returns {Promise<object|null>} The deleted schedule, or null if not found
+   */
+  static async deleteSchedule(scheduleId) {
+    return Schedule.findOneAndDelete({ scheduleId });
+  }
+
+  /**
+   * Delete every schedule of a profile
+   * @param {string} profile - Cookie profile
+   * @returns {Promise<number>} Number of deleted schedules
+   */
+  static async deleteSchedules(profile) {
+    const result = await Schedule.deleteMany({ profile });
+    return result.deletedCount;
+  }
+
+  /**
+   * Get the profiles refreshed by an enabled schedule
+   * The interval scheduler leaves these profiles to their schedules.
+   * @returns {Promise<Set<string>>} Profile names
+   */
+  static async getScheduledProfiles() {
+    return new Set(await Schedule.distinct('profile', { enabled: true }));
+  }
+
+  /**
+   * Claim the schedules that are due
+   * Each claimed schedule has its next run planned before it is returned.
+   * @param {Date} now - Current time
+   * @returns {Promise<Array<object>>} Schedules this caller should run
+   */
+  static async claimDueSchedules(now = new Date()) {
+    const due = await Schedule.find({ enabled: true, nextRunAt: { $lte: now } }).sort({ nextRunAt: 1 });
+    const claimed = [];
+
+    for (const schedule of due) {
+      const result = await Schedule.updateOne(
+        { scheduleId: schedule.scheduleId, nextRunAt: schedule.nextRunAt },
+        { nextRunAt: ScheduleManager.getNextRun(schedule, now), lastRunAt: now }
+      );
+      if (result.modifiedCount > 0) {
+        claimed.push(schedule);
+      }
+    }
+
+    return claimed;
+  }
+
+  /**
+   * Record the refresh job started by a schedule run
+   * @param {string} scheduleId - The schedule ID
+   * @param {string} jobId - The refresh job ID
+   */
+  static async recordRun(scheduleId, jobId) {
+    await Schedule.updateOne({ scheduleId }, { lastJobId: jobId });
+  }
+
+  /**
+   * List the next planned runs of all enabled schedules
+   * The first run of a schedule is its stored nextRunAt. Each later run is planned the
+   * way claimDueSchedules plans it: the next cron time after the previous run starts
+   * (or after now, if that run is overdue), plus a freshly drawn jitter. Jitter is
+   * drawn again when the run is actually planned, so only the first time is exact.
+   * @param {number} limit - Number of runs to return
+   * @param {Date} now - Current time
+   * @returns {Promise<Array<object>>} Runs, soonest first: { scheduleId, profile, cron, runAt, jitter }
+   */
+  static async getUpcomingRuns(limit = 10, now = new Date()) {
+    const schedules = await Schedule.find({ enabled: true, nextRunAt: { $ne: null } });
+    const runs = [];
+
+    for (const schedule of schedules) {
+      const times = [schedule.nextRunAt];
+      while (times.length < limit) {
+        const previous = times[times.length - 1];
+        times.push(ScheduleManager.getNextRun(schedule, previous > now ? previous : now));
+      }
+
+      runs.push(...times.map(runAt => ({
+        scheduleId: schedule.scheduleId,
+        profile: schedule.profile,
+        cron: schedule.cron,
+        jitter: schedule.jitter,
+        runAt
+      })));
+    }
+
+    return runs.sort((a, b) => a.runAt - b.runAt).slice(0, limit);
+  }
+}
+
+export default ScheduleManager;
@@ -0,0 +1,143 @@
+import { Session } from '../models/Session.js';
+import crypto from 'crypto';
+import StorageEncryption from './StorageEncryption.js';
+import { logger } from './logger.js';
+
+// Exact-match filters accepted by listSessions
+const FILTER_FIELDS = ['profile', 'eventId', 'refreshId', 'proxy', 'cookieVersionId'];
+
+/**
+ * Convert a session document into its API representation, decrypting the browser identity
+ * @param {object} session - Session document
+ * @returns {object} Session with plaintext fingerprint and userAgent
+ */
+function toSession(session) {
+  const { userAgentHash, ...fields } = session.toObject();
+  return {
+    ...fields,
+    fingerprint: fields.fingerprint == null ? null : StorageEncryption.unprotect(fields.fingerprint),
+    userAgent: fields.userAgent == null ? null : StorageEncryption.unprotect(fields.userAgent)
+  };
+}
+
+/**
+ * Prepare the browser identity of a session for storage
+ * @param {object} fingerprint - Browser fingerprint
+ * @param {string} userAgent - User agent
+ * @returns {object} Encrypted fingerprint and userAgent, plus userAgentHash for filtering
+ */
+function protectIdentity(fingerprint, userAgent) {
+  return {
+    fingerprint: fingerprint == null ? null : StorageEncryption.protect(fingerprint),
+    userAgent: userAgent == null ? null : StorageEncryption.protect(userAgent),
+    userAgentHash: userAgent == null ? null : StorageEncryption.digest(userAgent)
+  };
+}
+
+/**
+ * Helper class to record browser sessions and query them later
+ * The fingerprint and user agent are encrypted with StorageEncryption like cookie jars.
+ */
+class SessionTracker {
+  /**
+   * Record a browser session
+   * @param {object} data - Session fields (refreshId, profile, eventId, proxy, fingerprint, ...)
+   * @returns {Promise<object>} The created session
+   */
+  static async recordSession(data) {
+    const { fingerprint, userAgent, ...fields } = data;
+    const session = await Session.create({
+      sessionId: crypto.randomUUID(),
+      ...fields,
+      ...protectIdentity(fingerprint, userAgent)
+    });
+
+    logger.debug(`Recorded session ${session.sessionId} for refresh ${session.refreshId}`);
+    return toSession(session);
+  }
+
+  /**
+   * List sessions, newest first
+   * @param {object} filters - Exact-match filters (plus userAgent) and optional from/to bounds on createdAt
+   * @param {number} page - Page number
+   * @param {number} limit - Items per page
+   * @returns {Promise<object>} Paginated sessions
+   */
+  static async listSessions(filters = {}, page = 1, limit = 20) {
+    const skip = (page - 1) * limit;
+    const query = {};
+
+    for (const field of FILTER_FIELDS) {
+      if (filters[field]) {
+        query[field] = filters[field];
+      }
+    }
+    // User agents are matched by fingerprint; sessions from before encryption still hold plaintext
+    if (filters.userAgent) {
+      query.$or = [
+        { userAgentHash: StorageEncryption.digest(filters.userAgent) },
+        { userAgent: filters.userAgent }
+      ];
+    }
+    if (filters.from || filters.to) {
+      query.createdAt = {
+        ...(filters.from && { $gte: new Date(filters.from) }),
+        ...(filters.to && { $lte: new Date(filters.to) })
+      };
+    }
+
+    const total = await Session.countDocuments(query);
+    const sessions = await Session.find(query)
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit);
+
+    return {
+      sessions: sessions.map(toSession),
+      pagination: {
+        total,
+        page,
+        limit,
+        pages: Math.ceil(total / limit)
+      }
+    };
+  }
+
+  /**
+   * Get a session by ID
+   * @param {string} sessionId - The session ID
+   * @returns {Promise<object|null>} The session
+   */
+  static async getSession(sessionId) {
+    const session = await Session.findOne({ sessionId });
+    return session ? toSession(session) : null;
+  }
+
+  /**
+   * Re-encrypt session identities that are plaintext or use a retired key
+   * userAgentHash is recomputed as well, since it is keyed with the active key.
+   * @returns {Promise<number>} Number of sessions rewritten
+   */
+  static async reencryptSessions() {
+    if (!StorageEncryption.isEnabled()) {
+      return 0;
+    }
+
+    let rewritten = 0;
+    for await (const session of Session.find({}, 'sessionId fingerprint userAgent').cursor()) {
+      const stale = [session.fingerprint, session.userAgent]
+        .some(value => value != null && StorageEncryption.needsReencryption(value));
+      if (!stale) {
+        continue;
+      }
+
+      const fingerprint = session.fingerprint == null ? null : StorageEncryption.unprotect(session.fingerprint);
+      const userAgent = session.userAgent == null ? null : StorageEncryption.unprotect(session.userAgent);
+      await Session.updateOne({ sessionId: session.sessionId }, { $set: protectIdentity(fingerprint, userAgent) });
+      rewritten++;
+    }
+    return rewritten;
+  }
+}
+
+export default SessionTracker;
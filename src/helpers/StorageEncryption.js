@@ -0,0 +1,238 @@
+import crypto from 'crypto';
+import fs from 'fs';
+
+const ALGORITHM = 'aes-256-gcm';
+const ENVELOPE_FORMAT = 'crs-encrypted';
+const ENVELOPE_VERSION = 1;
+const IV_LENGTH = 12;
+const KEY_LENGTH = 32;
+// HKDF info for the key that fingerprints data, so it never equals an encryption key
+const DIGEST_KEY_INFO = 'crs-digest';
+
+// Keys are read once; index 0 is the active (encrypting) key
+let keyring = null;
+
+/**
+ * Parse a "keyId:secret" entry; the secret is 32 bytes as base64 or hex
+ * @param {string} entry - Key entry
+ * @param {string} source - Where the entry came from, for error messages
+ * @returns {object} { id, key }
+ */
+function parseKeyEntry(entry, source) {
+  const separator = entry.indexOf(':');
+  if (separator < 1) {
+    throw new Error(`Invalid encryption key entry in ${source}: expected "keyId:secret"`);
+  }
+
+  const id = entry.slice(0, separator).trim();
+  const secret = entry.slice(separator + 1).trim();
+  const key = /^[0-9a-f]{64}$/i.test(secret)
+    ? Buffer.from(secret, 'hex')
+    : Buffer.from(secret, 'base64');
+
+  if (key.length !== KEY_LENGTH) {
+    throw new Error(`Encryption key "${id}" in ${source} must be ${KEY_LENGTH} bytes (base64 or hex)`);
+  }
+  return { id, key };
+}
+
+/**
+ * Load the keyring from COOKIE_ENCRYPTION_KEYS or COOKIE_ENCRYPTION_KEY_FILE
+ * @returns {Array<object>} Keys, active key first; empty when encryption is off
+ */
+function loadKeyring() {
+  if (keyring) {
+    return keyring;
+  }
+
+  let entries = [];
+  let source = 'COOKIE_ENCRYPTION_KEYS';
+
+  if (process.env.COOKIE_ENCRYPTION_KEYS) {
+    entries = process.env.COOKIE_ENCRYPTION_KEYS.split(',');
+  } else if (process.env.COOKIE_ENCRYPTION_KEY_FILE) {
+    source = process.env.COOKIE_ENCRYPTION_KEY_FILE;
+    entries = fs.readFileSync(source, 'utf8')
+      .split('\n')
+      .filter(line => line.trim() && !line.trim().startsWith('#'));
+  }
+
+  keyring = entries.map(entry => parseKeyEntry(entry, source));
+
+  const ids = new Set(keyring.map(({ id }) => id));
+  if (ids.size !== keyring.length) {
+    throw new Error(`Duplicate encryption key IDs in ${source}`);
+  }
+  return keyring;
+}
+
+/**
+ * Helper class to encrypt persisted cookie jars with AES-256-GCM
+ * Files are written as a JSON envelope naming the key that encrypted them, so
+ * keys can be rotated by putting a new key first and keeping the old ones for
+ * decryption until the cookie store has re-encrypted everything.
+ */
+class StorageEncryption {
+  /**
+   * Check whether encryption keys are configured
+   * @returns {boolean} True if data is encrypted on write
+   */
+  static isEnabled() {
+    return loadKeyring().length > 0;
+  }
+
+  /**
+   * Get the ID of the key used for new writes
+   * @returns {string|null} Active key ID, or null when encryption is off
+   */
+  static getActiveKeyId() {
+    return loadKeyring()[0]?.id ?? null;
+  }
+
+  /**
+   * Check whether a parsed file is an encryption envelope
+   * @param {*} data - Parsed file contents
+   * @returns {boolean} True if encrypted
+   */
+  static isEncrypted(data) {
+    return data?.format === ENVELOPE_FORMAT;
+  }
+
+  /**
+   * Encrypt a JSON-serializable value with the active key
+   * @param {*} value - Value to encrypt
+   * @returns {object} Encryption envelope
+   */
+  static encrypt(value) {
+    const [{ id, key }] = loadKeyring();
+    const iv = crypto.randomBytes(IV_LENGTH);
+    const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+    // Bind the key ID to the ciphertext so it cannot be swapped
+    cipher.setAAD(Buffer.from(id));
+    const ciphertext = Buffer.concat([cipher.update(JSON.stringify(value), 'utf8'), cipher.final()]);
+
+    return {
+      format: ENVELOPE_FORMAT,
+      version: ENVELOPE_VERSION,
+      algorithm: ALGORITHM,
+      keyId: id,
+      iv: iv.toString('base64'),
+      authTag: cipher.getAuthTag().toString('base64'),
+      ciphertext: ciphertext.toString('base64')
+    };
+  }
+
+  /**
+   * Decrypt an encryption envelope
+   * @param {object} envelope - Envelope written by encrypt()
+   * @returns {*} The decrypted value
+   */
+  static decrypt(envelope) {
+    if (envelope.algorithm !== ALGORITHM) {
+      throw new Error(`Unsupported encryption algorithm: ${envelope.algorithm}`);
+    }
+
+    const entry = loadKeyring().find(({ id }) => id === envelope.keyId);
+    if (!entry) {
+      throw new Error(`Encryption key "${envelope.keyId}" is not configured`);
+    }
+
+    const decipher = crypto.createDecipheriv(ALGORITHM, entry.key, Buffer.from(envelope.iv, 'base64'));
+    decipher.setAAD(Buffer.from(entry.id));
+    decipher.setAuthTag(Buffer.from(envelope.authTag, 'base64'));
+    const plaintext = Buffer.concat([
+      decipher.update(Buffer.from(envelope.ciphertext, 'base64')),
+      decipher.final()
+    ]);
+    return JSON.parse(plaintext.toString('utf8'));
+  }
+
+  /**
+   * Prepare a value for storage: an envelope when keys are configured, else the value itself
+   * @param {*} value - Value to persist
+   * @returns {*} Stored representation
+   */
+  static protect(value) {
+    return StorageEncryption.isEnabled() ? StorageEncryption.encrypt(value) : value;
+  }
+
+  /**
+   * Recover a value written by protect(); plaintext values are passed through
+   * @param {*} data - Stored representation
+   * @returns {*} The stored value
+   */
+  static unprotect(data) {
+    return StorageEncryption.isEncrypted(data) ? StorageEncryption.decrypt(data) : data;
+  }
+
+  /**
+   * Check whether stored data is plaintext or encrypted with a retired key
+   * @param {*} data - Stored representation
+   * @returns {boolean} True if it should be rewritten with protect()
+   */
+  static needsReencryption(data) {
+    return StorageEncryption.isEnabled()
+      && !(StorageEncryption.isEncrypted(data) && data.keyId === StorageEncryption.getActiveKeyId());
+  }
+
+  /**
+   * Serialize a value for writing to disk, encrypted when keys are configured
+   * @param {*} value - Value to persist
+   * @returns {string} File contents
+   */
+  static serialize(value) {
+    return JSON.stringify(StorageEncryption.protect(value), null, 2);
+  }
+
+  /**
+   * Parse file contents written by serialize(); plaintext JSON is still accepted
+   * @param {string} text - File contents
+   * @returns {*} The stored value
+   */
+  static deserialize(text) {
+    return StorageEncryption.unprotect(JSON.parse(text));
+  }
+
+  /**
+   * Fingerprint a value so it can be matched without being stored
+   * With keys configured this is an HMAC-SHA256 under a key derived from the active
+   * key, so fingerprints of known values cannot be precomputed; it changes when the
+   * active key is rotated. Without keys it is a plain SHA-256 digest.
+   * @param {string} text - Value to fingerprint
+   * @returns {string} Hex encoded digest
+   */
+  static digest(text) {
+    const [active] = loadKeyring();
+    if (!active) {
+      return crypto.createHash('sha256').update(text).digest('hex');
+    }
+
+    const digestKey = Buffer.from(crypto.hkdfSync('sha256', active.key, Buffer.alloc(0), DIGEST_KEY_INFO, KEY_LENGTH));
+    return crypto.createHmac('sha256', digestKey).update(text).digest('hex');
+  }
+
+  /**
+   * Fingerprint a cookie jar without storing its values
+   * Covers name, domain, path and value, so re-saving a jar with new expiry
+   * times keeps the same hash.
+   * @param {Array} cookies - Cookies to hash
+   * @returns {string|null} Hex encoded digest (see digest()), or null for an empty jar
+   */
+  static hashCookies(cookies) {
+    if (!Array.isArray(cookies) || cookies.length === 0) {
+      return null;
+    }
+
+    // Sort by code unit rather than locale so the hash is the same on every host
+    const canonical = cookies
+      .map(cookie => [cookie.name, cookie.domain || '', cookie.path || '/', cookie.value])
+      .sort((a, b) => {
+        const keyA = a.join('\t');
+        const keyB = b.join('\t');
+        return keyA < keyB ? -1 : keyA > keyB ? 1 : 0;
+      });
+    return StorageEncryption.digest(JSON.stringify(canonical));
+  }
+}
+
+export default StorageEncryption;
@@ -0,0 +1,247 @@
+import axios from 'axios';
+import crypto from 'crypto';
+import { WebhookSubscription } from '../models/WebhookSubscription.js';
+import { WebhookDelivery } from '../models/WebhookDelivery.js';
+import { CONFIG } from '../config/serviceConfig.js';
+import { logger } from './logger.js';
+
+/**
+ * Event types webhook subscriptions can filter on
+ */
+export const WEBHOOK_EVENTS = ['refresh.succeeded', 'refresh.failed'];
+
+/**
+ * Sign a webhook body
+ * Subscribers recompute HMAC-SHA256(secret, "<timestamp>.<body>") and compare.
+ * @param {string} secret - Subscription secret
+ * @param {number} timestamp - Unix timestamp in seconds, sent as X-Webhook-Timestamp
+ * @param {string} body - Raw JSON body
+ * @returns {string} Signature header value
+ */
+export function signPayload(secret, timestamp, body) {
+  const digest = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `sha256=${digest}`;
+}
+
+/**
+ * Delivers webhook events with retries and exponential backoff
+ * Deliveries are persisted first, so pending retries survive restarts and can be
+ * picked up by any instance; exhausted deliveries are kept as 'dead' for replay.
+ */
+class WebhookDispatcher {
+  constructor() {
+    this.pollInterval = null;
+    this.isPolling = false;
+  }
+
+  /**
+   * Start polling for due retries
+   */
+  start() {
+    if (this.pollInterval) {
+      clearInterval(this.pollInterval);
+    }
+
+    this.pollInterval = setInterval(() => {
+      this.processDueDeliveries().catch(error => {
+        logger.error('Error processing webhook retries:', error);
+      });
+    }, CONFIG.WEBHOOKS.POLL_INTERVAL);
+
+    logger.info('Webhook dispatcher started');
+  }
+
+  /**
+   * Stop polling for due retries
+   */
+  stop() {
+    if (this.pollInterval) {
+      clearInterval(this.pollInterval);
+      this.pollInterval = null;
+    }
+  }
+
+  /**
+   * Queue and send an event to every matching subscription
+   * @param {string} event - Event type
+   * @param {object} payload - Event data
+   * @returns {Promise<number>} Number of deliveries created
+   */
+  async dispatch(event, payload) {
+    const subscriptions = await WebhookSubscription.find({ enabled: true, events: event });
+
+    for (const subscription of subscriptions) {
+      const delivery = await WebhookDelivery.create({
+        deliveryId: crypto.randomUUID(),
+        subscriptionId: subscription.subscriptionId,
+        event,
+        payload,
+        // Claimed by this instance for the first attempt
+        nextAttemptAt: this.getClaimExpiry()
+      });
+
+      this.attemptDelivery(delivery).catch(error => {
+        logger.error(`Webhook delivery ${delivery.deliveryId} errored:`, error);
+      });
+    }
+
+    return subscriptions.length;
+  }
+
+  /**
+   * Retry pending deliveries whose backoff has elapsed
+   * @returns {Promise<number>} Number of deliveries attempted
+   */
+  async processDueDeliveries() {
+    if (this.isPolling) {
+      return 0;
+    }
+
+    this.isPolling = true;
+    let attempted = 0;
+
+    try {
+      while (attempted < CONFIG.WEBHOOKS.BATCH_SIZE) {
+        // Claim one due delivery so other instances skip it
+        const delivery = await WebhookDelivery.findOneAndUpdate(
+          { status: 'pending', nextAttemptAt: { $lte: new Date() } },
+          { nextAttemptAt: this.getClaimExpiry() },
+          { sort: { nextAttemptAt: 1 }, new: true }
+        );
+
+        if (!delivery) {
+          break;
+        }
+
+        await this.attemptDelivery(delivery);
+        attempted++;
+      }
+    } finally {
+      this.isPolling = false;
+    }
+
+    return attempted;
+  }
+
+  /**
+   * Reset a delivery and send it again
+   * @param {string} deliveryId - Delivery to replay
+   * @returns {Promise<object|null>} The delivery after the replay attempt, or null if not found
+   */
+  async replay(deliveryId) {
+    const delivery = await WebhookDelivery.findOneAndUpdate(
+      { deliveryId },
+      {
+        status: 'pending',
+        attempts: 0,
+        nextAttemptAt: this.getClaimExpiry(),
+        $unset: { lastError: 1, lastStatusCode: 1, deliveredAt: 1 }
+      },
+      { new: true }
+    );
+
+    if (!delivery) {
+      return null;
+    }
+
+    logger.info(`Replaying webhook delivery ${deliveryId}`);
+    await this.attemptDelivery(delivery);
+    return WebhookDelivery.findOne({ deliveryId });
+  }
+
+  /**
+   * Send a delivery once and record the outcome
+   * @param {object} delivery - WebhookDelivery document
+   */
+  async attemptDelivery(delivery) {
+    const subscription = await WebhookSubscription.findOne({ subscriptionId: delivery.subscriptionId })
+      .select('+secret');
+
+    if (!subscription || !subscription.enabled) {
+      await WebhookDelivery.updateOne(
+        { deliveryId: delivery.deliveryId },
+        { status: 'dead', lastError: subscription ? 'Subscription disabled' : 'Subscription deleted' }
+      );
+      return;
+    }
+
+    const timestamp = Math.floor(Date.now() / 1000);
+    const body = JSON.stringify({
+      id: delivery.deliveryId,
+      event: delivery.event,
+      timestamp: new Date(timestamp * 1000).toISOString(),
+      data: delivery.payload
+    });
+
+    let statusCode = null;
+    let errorMessage = null;
+
+    try {
+      const response = await axios.post(subscription.url, body, {
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'cookie-refresh-service-webhooks',
+          'X-Webhook-Event': delivery.event,
+          'X-Webhook-Delivery': delivery.deliveryId,
+          'X-Webhook-Timestamp': String(timestamp),
+          'X-Webhook-Signature': signPayload(subscription.secret, timestamp, body)
+        },
+        timeout: CONFIG.WEBHOOKS.TIMEOUT,
+        maxRedirects: 0,
+        validateStatus: () => true
+      });
+
+      statusCode = response.status;
+      if (statusCode < 200 || statusCode >= 300) {
+        errorMessage = `Subscriber responded with HTTP ${statusCode}`;
+      }
+    } catch (error) {
+      errorMessage = error.message;
+    }
+
+    const attempts = delivery.attempts + 1;
+
+    if (!errorMessage) {
+      await WebhookDelivery.updateOne(
+        { deliveryId: delivery.deliveryId },
+        { status: 'delivered', attempts, lastStatusCode: statusCode, deliveredAt: new Date(), $unset: { lastError: 1 } }
+      );
+      logger.debug(`Delivered webhook ${delivery.deliveryId} (${delivery.event}) to ${subscription.url}`);
+      return;
+    }
+
+    if (attempts >= CONFIG.WEBHOOKS.MAX_ATTEMPTS) {
+      await WebhookDelivery.updateOne(
+        { deliveryId: delivery.deliveryId },
+        { status: 'dead', attempts, lastStatusCode: statusCode, lastError: errorMessage }
+      );
+      logger.error(`Webhook delivery ${delivery.deliveryId} moved to dead-letter list after ${attempts} attempts: ${errorMessage}`);
+      return;
+    }
+
+    const backoff = Math.min(
+      CONFIG.WEBHOOKS.BASE_DELAY * Math.pow(2, attempts - 1),
+      CONFIG.WEBHOOKS.MAX_DELAY
+    );
+    await WebhookDelivery.updateOne(
+      { deliveryId: delivery.deliveryId },
+      {
+        attempts,
+        lastStatusCode: statusCode,
+        lastError: errorMessage,
+        nextAttemptAt: new Date(Date.now() + backoff)
+      }
+    );
+    logger.warn(`Webhook delivery ${delivery.deliveryId} failed (attempt ${attempts}), retrying in ${backoff / 1000}s: ${errorMessage}`);
+  }
+
+  /**
+   * Get the time until which a claimed delivery is hidden from other pollers
+   * @returns {Date} Claim expiry
+   */
+  getClaimExpiry() {
+    return new Date(Date.now() + CONFIG.WEBHOOKS.TIMEOUT * 3);
+  }
+}
+
+export const webhookDispatcher = new WebhookDispatcher();
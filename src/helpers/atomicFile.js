@@ -0,0 +1,187 @@
+/**
+ * Crash- and concurrency-safe file primitives for the file cookie store:
+ * write-to-temp-then-rename writes and an advisory lock shared by every
+ * process using the same data directory.
+ */
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { CONFIG } from '../config/serviceConfig.js';
+import { logger } from './logger.js';
+
+/**
+ * Write a file atomically
+ * The data is written and fsynced to a temporary file in the same directory,
+ * then renamed over the target, so readers see either the old or the new
+ * contents and never a partial write.
+ * @param {string} filePath - Target file
+ * @param {string} data - Contents to write
+ */
+export async function writeFileAtomic(filePath, data) {
+  await fs.mkdir(path.dirname(filePath), { recursive: true });
+  const tempPath = `${filePath}.${process.pid}.${crypto.randomBytes(6).toString('hex')}.tmp`;
+
+  try {
+    const handle = await fs.open(tempPath, 'w', 0o600);
+    try {
+      await handle.writeFile(data);
+      await handle.sync();
+    } finally {
+      await handle.close();
+    }
+    await fs.rename(tempPath, filePath);
+  } catch (error) {
+    await fs.rm(tempPath, { force: true });
+    throw error;
+  }
+}
+
+/**
+ * Read the owner token of a lock file
+ * @param {string} lockPath - Lock file
+ * @returns {Promise<string|null>} The token, or null if the lock is gone or unreadable
+ */
+async function readLockToken(lockPath) {
+  try {
+    return JSON.parse(await fs.readFile(lockPath, 'utf8')).token ?? null;
+  } catch (error) {
+    if (error.code === 'ENOENT' || error instanceof SyntaxError) {
+      return null;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Remove a lock file whose holder has not refreshed it for longer than LOCK_STALE
+ * The lock is first renamed aside, which only one waiter can do, and then checked
+ * to still be the stale file that was seen. A lock refreshed or created in the
+ * meantime is linked back in place instead of being removed.
+ * @param {string} lockPath - Lock file
+ * @returns {Promise<boolean>} True if the lock was removed or released, so acquiring can be retried at once
+ * @throws {Error} If a live lock was moved aside and another process locked the file before it could be restored
+ */
+async function removeStaleLock(lockPath) {
+  let seen;
+  try {
+    seen = await fs.stat(lockPath);
+  } catch (error) {
+    // Released between our open() and stat(); just retry
+    if (error.code === 'ENOENT') {
+      return true;
+    }
+    throw error;
+  }
+  if (Date.now() - seen.mtimeMs < CONFIG.STORAGE.LOCK_STALE) {
+    return false;
+  }
+
+  const stalePath = `${lockPath}.${process.pid}.${crypto.randomBytes(6).toString('hex')}.stale`;
+  try {
+    await fs.rename(lockPath, stalePath);
+  } catch (error) {
+    // Released, or already taken over by another waiter
+    if (error.code === 'ENOENT') {
+      return true;
+    }
+    throw error;
+  }
+
+  try {
+    const moved = await fs.stat(stalePath);
+    if (moved.ino === seen.ino && moved.mtimeMs === seen.mtimeMs) {
+      logger.warn(`Removed stale lock ${lockPath}`);
+      return true;
+    }
+
+    try {
+      await fs.link(stalePath, lockPath);
+    } catch (error) {
+      if (error.code === 'EEXIST') {
+        throw new Error(`Lock ${lockPath} was lost: a live lock was moved aside and the file was locked again before it could be restored`);
+      }
+      throw error;
+    }
+    return false;
+  } finally {
+    await fs.rm(stalePath, { force: true });
+  }
+}
+
+/**
+ * Run a function while holding an inter-process lock on a file
+ * The lock is a "<file>.lock" sibling created with O_EXCL, so it works across
+ * processes and containers sharing the data directory. It holds a random owner
+ * token, and its mtime is refreshed while the function runs, so only locks whose
+ * holder stopped refreshing them for LOCK_STALE are broken. The lock is only
+ * removed on release if it still holds this caller's token.
+ * @param {string} filePath - File to lock
+ * @param {Function} fn - Async function to run under the lock
+ * @returns {Promise<*>} The function's result
+ * @throws {Error} If the lock was lost while the function ran
+ */
+export async function withFileLock(filePath, fn) {
+  const lockPath = `${filePath}.lock`;
+  const token = `${process.pid}.${crypto.randomBytes(8).toString('hex')}`;
+  const deadline = Date.now() + CONFIG.STORAGE.LOCK_TIMEOUT;
+  await fs.mkdir(path.dirname(lockPath), { recursive: true });
+
+  while (true) {
+    try {
+      const handle = await fs.open(lockPath, 'wx');
+      await handle.writeFile(JSON.stringify({ pid: process.pid, host: os.hostname(), token, acquiredAt: new Date().toISOString() }));
+      await handle.close();
+      break;
+    } catch (error) {
+      if (error.code !== 'EEXIST') {
+        throw error;
+      }
+      if (await removeStaleLock(lockPath)) {
+        continue;
+      }
+      if (Date.now() >= deadline) {
+        throw new Error(`Timed out waiting for lock on ${filePath}`);
+      }
+      await new Promise(resolve => setTimeout(resolve, CONFIG.STORAGE.LOCK_RETRY_DELAY));
+    }
+  }
+
+  // Keep the lock fresh so a long write is not mistaken for a crashed holder
+  let lost = false;
+  let refreshing = Promise.resolve();
+  const refresh = async () => {
+    if (await readLockToken(lockPath) !== token) {
+      lost = true;
+      clearInterval(refreshTimer);
+      return;
+    }
+    const now = new Date();
+    await fs.utimes(lockPath, now, now);
+  };
+  const refreshTimer = setInterval(() => {
+    refreshing = refresh().catch(error => {
+      logger.warn(`Failed to refresh lock ${lockPath}: ${error.message}`);
+    });
+  }, CONFIG.STORAGE.LOCK_STALE / 3);
+  refreshTimer.unref();
+
+  let result;
+  try {
+    result = await fn();
+  } finally {
+    clearInterval(refreshTimer);
+    await refreshing;
+    if (await readLockToken(lockPath) === token) {
+      await fs.rm(lockPath, { force: true });
+    } else {
+      lost = true;
+    }
+  }
+
+  if (lost) {
+    logger.error(`Lock on ${filePath} was taken over while held`);
+    throw new Error(`Lost lock on ${filePath} while it was held`);
+  }
+  return result;
+}
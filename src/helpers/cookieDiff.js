@@ -0,0 +1,109 @@
+/**
+ * Comparison of two cookie jars for the version history API.
+ * Cookies are matched by name, domain and path; values are masked unless the
+ * caller explicitly asks for them.
+ */
+import { getExpiry } from './cookieFormats.js';
+
+// Attributes compared besides the value; expiry is compared in epoch seconds
+const COMPARED_ATTRIBUTES = ['expires', 'httpOnly', 'secure', 'sameSite'];
+
+/**
+ * Mask a cookie value, keeping the last four characters of long values so
+ * two versions can be told apart at a glance
+ * @param {string} value - Cookie value
+ * @returns {string} Masked value
+ */
+export function maskCookieValue(value) {
+  const text = String(value ?? '');
+  return text.length >= 16 ? `********${text.slice(-4)}` : '********';
+}
+
+/**
+ * Build the identity key of a cookie
+ * @param {object} cookie - Puppeteer cookie
+ * @returns {string} Key made of name, domain and path
+ */
+function cookieKey(cookie) {
+  return [cookie.name, cookie.domain || '', cookie.path || '/'].join('\t');
+}
+
+/**
+ * Describe a cookie for API output
+ * @param {object} cookie - Puppeteer cookie
+ * @param {boolean} reveal - Include the real value instead of a masked one
+ * @returns {object} Cookie summary with the expiry as an ISO date (null for session cookies)
+ */
+export function describeCookie(cookie, reveal = false) {
+  const expiry = getExpiry(cookie);
+  return {
+    name: cookie.name,
+    domain: cookie.domain || '',
+    path: cookie.path || '/',
+    value: reveal ? cookie.value : maskCookieValue(cookie.value),
+    expires: expiry === null ? null : new Date(expiry * 1000).toISOString(),
+    httpOnly: Boolean(cookie.httpOnly),
+    secure: Boolean(cookie.secure),
+    sameSite: cookie.sameSite || null
+  };
+}
+
+/**
+ * Compare two cookie jars
+ * @param {Array} fromCookies - Older jar
+ * @param {Array} toCookies - Newer jar
+ * @param {boolean} reveal - Include real values instead of masked ones
+ * @returns {object} { summary, added, removed, changed }
+ */
+export function diffCookieJars(fromCookies, toCookies, reveal = false) {
+  const before = new Map(fromCookies.map(cookie => [cookieKey(cookie), describeCookie(cookie, true)]));
+  const after = new Map(toCookies.map(cookie => [cookieKey(cookie), describeCookie(cookie, true)]));
+  const show = value => (reveal ? value : maskCookieValue(value));
+
+  const added = [];
+  const removed = [];
+  const changed = [];
+  let unchanged = 0;
+
+  for (const [key, cookie] of after) {
+    const previous = before.get(key);
+    if (!previous) {
+      added.push({ ...cookie, value: show(cookie.value) });
+      continue;
+    }
+
+    const changes = {};
+    if (previous.value !== cookie.value) {
+      changes.value = { from: show(previous.value), to: show(cookie.value) };
+    }
+    for (const attribute of COMPARED_ATTRIBUTES) {
+      if (previous[attribute] !== cookie[attribute]) {
+        changes[attribute] = { from: previous[attribute], to: cookie[attribute] };
+      }
+    }
+
+    if (Object.keys(changes).length === 0) {
+      unchanged++;
+    } else {
+      changed.push({ name: cookie.name, domain: cookie.domain, path: cookie.path, changes });
+    }
+  }
+
+  for (const [key, cookie] of before) {
+    if (!after.has(key)) {
+      removed.push({ ...cookie, value: show(cookie.value) });
+    }
+  }
+
+  return {
+    summary: {
+      added: added.length,
+      removed: removed.length,
+      changed: changed.length,
+      unchanged
+    },
+    added,
+    removed,
+    changed
+  };
+}
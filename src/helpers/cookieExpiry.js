@@ -0,0 +1,180 @@
+/**
+ * Cookie expiry handling: keeps the expiry set by the site, reports how
+ * long each cookie, and the jar as a whole, remains usable, and plans the
+ * next refresh of a jar around it.
+ */
+import { toEpochSeconds, getExpiry } from './cookieFormats.js';
+import { CONFIG } from '../config/serviceConfig.js';
+
+/**
+ * Normalize the expiry fields of a cookie to Puppeteer's convention
+ * `expires` and its `expiry` alias both hold epoch seconds, or -1 for a session
+ * cookie. Older jars stored milliseconds; those are converted, not replaced.
+ * @param {object} cookie - Cookie as captured or stored
+ * @returns {object} Cookie with consistent expires, expiry and session fields
+ */
+export function normalizeCookieExpiry(cookie) {
+  const seconds = cookie.session ? null : toEpochSeconds(cookie.expires ?? cookie.expiry);
+  const expires = seconds ?? -1;
+  return { ...cookie, expires, expiry: expires, session: seconds === null };
+}
+
+/**
+ * Seconds left until a timestamp, never negative
+ * @param {number} timestamp - Epoch milliseconds
+ * @param {number} now - Current epoch milliseconds
+ * @returns {number} Whole seconds remaining
+ */
+function secondsUntil(timestamp, now) {
+  return Math.max(0, Math.floor((timestamp - now) / 1000));
+}
+
+/**
+ * Compute the time left on each cookie and on the jar
+ * @param {Array} cookies - Cookie jar
+ * @param {Date|null} validUntil - Service-level validity of the jar, if known
+ * @param {number} now - Current epoch milliseconds
+ * @returns {object} { jar, cookies } with TTLs in seconds; session cookies have a null ttl
+ */
+export function getCookieTtls(cookies, validUntil = null, now = Date.now()) {
+  const entries = cookies.map(cookie => {
+    const expiry = getExpiry(cookie);
+    const expiresAt = expiry === null ? null : expiry * 1000;
+    return {
+      name: cookie.name,
+      domain: cookie.domain || '',
+      path: cookie.path || '/',
+      session: expiresAt === null,
+      expiresAt: expiresAt === null ? null : new Date(expiresAt).toISOString(),
+      ttl: expiresAt === null ? null : secondsUntil(expiresAt, now),
+      expired: expiresAt !== null && expiresAt <= now
+    };
+  });
+
+  // Soonest expiry among cookies that have not expired yet
+  const earliest = entries
+    .filter(entry => !entry.session && !entry.expired)
+    .reduce((soonest, entry) => (!soonest || entry.ttl < soonest.ttl ? entry : soonest), null);
+
+  const validUntilMs = validUntil ? new Date(validUntil).getTime() : null;
+
+  return {
+    jar: {
+      validUntil: validUntilMs === null ? null : new Date(validUntilMs).toISOString(),
+      ttl: validUntilMs === null ? null : secondsUntil(validUntilMs, now),
+      expired: validUntilMs !== null && validUntilMs <= now,
+      earliestExpiry: earliest
+        ? { name: earliest.name, domain: earliest.domain, expiresAt: earliest.expiresAt, ttl: earliest.ttl }
+        : null,
+      sessionCookies: entries.filter(entry => entry.session).length,
+      expiredCookies: entries.filter(entry => entry.expired).length
+    },
+    cookies: entries
+  };
+}
+
+/**
+ * Describe a duration for refresh plan reasons
+ * @param {number} seconds - Duration in seconds
+ * @returns {string} e.g. "45 seconds", "12 minutes" or "6.5 hours"
+ */
+function describeDuration(seconds) {
+  if (seconds < 120) {
+    return `${seconds} seconds`;
+  }
+  if (seconds < 2 * 60 * 60) {
+    return `${Math.round(seconds / 60)} minutes`;
+  }
+  return `${Math.round(seconds / 360) / 10} hours`;
+}
+
+/**
+ * Plan the next refresh of a jar from the lifetime of its cookies
+ * The delay is CONFIG.REFRESH_PLAN.LIFETIME_FRACTION of the shortest time left among
+ * the essential cookies that expire (among all expiring cookies if none of them do),
+ * kept between MIN_INTERVAL and MAX_INTERVAL. A jar of session cookies only falls
+ * back to the given interval.
+ * @param {Array} cookies - Cookie jar the refresh produced
+ * @param {number} fallbackInterval - Milliseconds to wait when no cookie expires
+ * @param {number} now - Current epoch milliseconds
+ * @returns {object} { delay, plan }: delay in milliseconds, plan is the reasoning to record
+ */
+export function planNextRefresh(cookies, fallbackInterval, now = Date.now()) {
+  const { LIFETIME_FRACTION, MIN_INTERVAL, MAX_INTERVAL } = CONFIG.REFRESH_PLAN;
+  const { cookies: entries } = getCookieTtls(cookies, null, now);
+  const expiring = entries.filter(entry => !entry.session && !entry.expired);
+  const essential = expiring.filter(entry => CONFIG.ESSENTIAL_COOKIES.includes(entry.name));
+  const relevant = essential.length > 0 ? essential : expiring;
+
+  if (relevant.length === 0) {
+    const delay = fallbackInterval;
+    return {
+      delay,
+      plan: {
+        strategy: 'fallback_interval',
+        basis: null,
+        cookie: null,
+        lifetime: null,
+        fraction: null,
+        computedDelay: null,
+        delay: Math.round(delay / 1000),
+        clamped: null,
+        reason: `No cookie in the jar expires; refreshing after the profile interval of ${describeDuration(Math.round(delay / 1000))}`
+      }
+    };
+  }
+
+  const shortest = relevant.reduce((soonest, entry) => (entry.ttl < soonest.ttl ? entry : soonest));
+  const computed = shortest.ttl * 1000 * LIFETIME_FRACTION;
+  const delay = Math.min(Math.max(computed, MIN_INTERVAL), MAX_INTERVAL);
+  const clamped = computed < MIN_INTERVAL ? 'min' : computed > MAX_INTERVAL ? 'max' : null;
+  const basis = essential.length > 0 ? 'essential' : 'all';
+
+  let reason = `${Math.round(LIFETIME_FRACTION * 100)}% of the ${describeDuration(shortest.ttl)} left on `
+    + `${basis === 'essential' ? 'essential' : 'expiring'} cookie ${shortest.name} (${shortest.domain})`;
+  if (clamped) {
+    reason += `, ${clamped === 'min' ? 'raised to the floor' : 'capped at the ceiling'} of ${describeDuration(Math.round(delay / 1000))}`;
+  }
+
+  return {
+    delay,
+    plan: {
+      strategy: 'cookie_expiry',
+      basis,
+      cookie: { name: shortest.name, domain: shortest.domain, expiresAt: shortest.expiresAt },
+      lifetime: shortest.ttl,
+      fraction: LIFETIME_FRACTION,
+      computedDelay: Math.round(computed / 1000),
+      delay: Math.round(delay / 1000),
+      clamped,
+      reason
+    }
+  };
+}
+
+/**
+ * Plan the next refresh after a run that reused the stored jar
+ * The jar keeps the validity its producing refresh planned for it, so reusing it
+ * never extends how long it is served.
+ * @param {object} producer - { refreshId, validUntil } of the refresh that produced the jar
+ * @param {number} now - Current epoch milliseconds
+ * @returns {object} { at, plan }: at is the planned refresh time, plan is the reasoning to record
+ */
+export function planReusedJar(producer, now = Date.now()) {
+  const at = new Date(producer.validUntil);
+  const delay = Math.max(0, Math.round((at.getTime() - now) / 1000));
+  return {
+    at,
+    plan: {
+      strategy: 'reused',
+      basis: null,
+      cookie: null,
+      lifetime: null,
+      fraction: null,
+      computedDelay: null,
+      delay,
+      clamped: null,
+      reason: `Reused the jar of refresh ${producer.refreshId}; keeping its planned refresh at ${at.toISOString()}`
+    }
+  };
+}
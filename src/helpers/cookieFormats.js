@@ -0,0 +1,152 @@
+/**
+ * Serializers for exporting a Puppeteer cookie jar in formats understood by
+ * common HTTP clients (curl, Python requests, Go, tough-cookie).
+ */
+
+/**
+ * Normalize a cookie expiry to epoch seconds
+ * Jars on disk mix seconds and milliseconds, and Puppeteer uses -1 for session cookies.
+ * @param {number} expires - Raw expiry value
+ * @returns {number|null} Expiry in epoch seconds, or null for session cookies
+ */
+export function toEpochSeconds(expires) {
+  if (typeof expires !== 'number' || !Number.isFinite(expires) || expires <= 0) {
+    return null;
+  }
+
+  // Anything past year ~5138 in seconds is really a millisecond timestamp
+  return expires > 1e11 ? Math.floor(expires / 1000) : Math.floor(expires);
+}
+
+/**
+ * Get the effective expiry of a cookie in epoch seconds
+ * @param {object} cookie - Puppeteer cookie
+ * @returns {number|null} Expiry in epoch seconds, or null for session cookies
+ */
+export function getExpiry(cookie) {
+  if (cookie.session) {
+    return null;
+  }
+  return toEpochSeconds(cookie.expires ?? cookie.expiry);
+}
+
+/**
+ * Format cookies as a Netscape cookies.txt file (curl, wget, Python http.cookiejar)
+ * @param {Array} cookies - Puppeteer cookies
+ * @returns {string} cookies.txt contents
+ */
+export function toNetscape(cookies) {
+  const lines = [
+    '# Netscape HTTP Cookie File',
+    '# Generated by Cookie Refresh Service. Edit at your own risk.',
+    ''
+  ];
+
+  for (const cookie of cookies) {
+    const domain = cookie.domain || '';
+    const prefix = cookie.httpOnly ? '#HttpOnly_' : '';
+    lines.push([
+      `${prefix}${domain}`,
+      domain.startsWith('.') ? 'TRUE' : 'FALSE',
+      cookie.path || '/',
+      cookie.secure ? 'TRUE' : 'FALSE',
+      getExpiry(cookie) ?? 0,
+      cookie.name,
+      cookie.value
+    ].join('\t'));
+  }
+
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Format cookies as a single Cookie request header value
+ * @param {Array} cookies - Puppeteer cookies
+ * @returns {string} Header value, e.g. "a=1; b=2"
+ */
+export function toCookieHeader(cookies) {
+  return cookies.map(cookie => `${cookie.name}=${cookie.value}`).join('; ');
+}
+
+/**
+ * Format cookies as a HAR 1.2 cookies array
+ * @param {Array} cookies - Puppeteer cookies
+ * @returns {Array} HAR cookie objects
+ */
+export function toHar(cookies) {
+  return cookies.map(cookie => {
+    const expiry = getExpiry(cookie);
+    return {
+      name: cookie.name,
+      value: cookie.value,
+      path: cookie.path || '/',
+      domain: cookie.domain,
+      ...(expiry !== null && { expires: new Date(expiry * 1000).toISOString() }),
+      httpOnly: Boolean(cookie.httpOnly),
+      secure: Boolean(cookie.secure)
+    };
+  });
+}
+
+/**
+ * Format cookies as a serialized tough-cookie CookieJar (CookieJar.deserialize compatible)
+ * @param {Array} cookies - Puppeteer cookies
+ * @returns {object} Serialized jar
+ */
+export function toToughCookieJar(cookies) {
+  const now = new Date().toISOString();
+
+  return {
+    version: 'tough-cookie@4.1.4',
+    storeType: 'MemoryCookieStore',
+    rejectPublicSuffixes: true,
+    cookies: cookies.map(cookie => {
+      const expiry = getExpiry(cookie);
+      const domain = (cookie.domain || '').replace(/^\./, '');
+      return {
+        key: cookie.name,
+        value: cookie.value,
+        domain,
+        path: cookie.path || '/',
+        ...(expiry !== null && { expires: new Date(expiry * 1000).toISOString() }),
+        ...(cookie.secure && { secure: true }),
+        ...(cookie.httpOnly && { httpOnly: true }),
+        ...(cookie.sameSite && { sameSite: cookie.sameSite.toLowerCase() }),
+        hostOnly: !(cookie.domain || '').startsWith('.'),
+        creation: now,
+        lastAccessed: now
+      };
+    })
+  };
+}
+
+/**
+ * Supported export formats with their serializer, content type and download filename
+ */
+export const COOKIE_FORMATS = {
+  json: {
+    contentType: 'application/json',
+    filename: 'cookies.json',
+    serialize: cookies => JSON.stringify(cookies, null, 2)
+  },
+  netscape: {
+    contentType: 'text/plain; charset=utf-8',
+    filename: 'cookies.txt',
+    serialize: toNetscape
+  },
+  header: {
+    contentType: 'text/plain; charset=utf-8',
+    filename: 'cookie-header.txt',
+    serialize: toCookieHeader
+  },
+  har: {
+    contentType: 'application/json',
+    filename: 'cookies.har.json',
+    serialize: cookies => JSON.stringify(toHar(cookies), null, 2)
+  },
+  'tough-cookie': {
+    contentType: 'application/json',
+    filename: 'cookiejar.json',
+    serialize: cookies => JSON.stringify(toToughCookieJar(cookies), null, 2)
+  }
+};
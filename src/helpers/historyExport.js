@@ -0,0 +1,81 @@
+/**
+ * Serializers for exporting refresh history as CSV or NDJSON for offline analysis.
+ * Both formats carry the same fields; internal metadata (fingerprints, stacks) is left out.
+ */
+
+/**
+ * Refresh record fields included in exports, in column order
+ */
+export const HISTORY_EXPORT_FIELDS = [
+  'refreshId',
+  'profile',
+  'status',
+  'startTime',
+  'completionTime',
+  'duration',
+  'eventId',
+  'proxy',
+  'cookieCount',
+  'retryCount',
+  'errorMessage',
+  'serviceInstance'
+];
+
+/**
+ * Pick the exported fields of a refresh record
+ * @param {object} record - Plain refresh record
+ * @returns {object} Exported fields, with missing values as null and dates as ISO strings
+ */
+export function toExportRow(record) {
+  return Object.fromEntries(HISTORY_EXPORT_FIELDS.map(field => {
+    const value = record[field];
+    return [field, value instanceof Date ? value.toISOString() : value ?? null];
+  }));
+}
+
+/**
+ * Escape a value for a CSV cell
+ * Text starting with a formula character is prefixed with a quote so spreadsheets
+ * do not evaluate error messages taken from remote pages.
+ * @param {*} value - Cell value
+ * @returns {string} CSV cell
+ */
+export function toCsvCell(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+
+  let text = String(value);
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Format a refresh record as a CSV line
+ * @param {object} record - Plain refresh record
+ * @returns {string} CSV line, newline terminated
+ */
+export function toCsvLine(record) {
+  const row = toExportRow(record);
+  return HISTORY_EXPORT_FIELDS.map(field => toCsvCell(row[field])).join(',') + '\r\n';
+}
+
+/**
+ * Supported export formats: content type, download name, leading text and per-record serializer
+ */
+export const HISTORY_EXPORT_FORMATS = {
+  csv: {
+    contentType: 'text/csv; charset=utf-8',
+    filename: 'refresh-history.csv',
+    header: HISTORY_EXPORT_FIELDS.join(',') + '\r\n',
+    serialize: toCsvLine
+  },
+  ndjson: {
+    contentType: 'application/x-ndjson',
+    filename: 'refresh-history.ndjson',
+    header: '',
+    serialize: record => JSON.stringify(toExportRow(record)) + '\n'
+  }
+};
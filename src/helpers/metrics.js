@@ -0,0 +1,219 @@
+import client from 'prom-client';
+import mongoose from 'mongoose';
+import CookieRefreshTracker from './CookieRefreshTracker.js';
+import CookieProfileManager from './CookieProfileManager.js';
+import RefreshQueue from './RefreshQueue.js';
+import { refreshEvents } from './refreshEvents.js';
+import { logger } from './logger.js';
+import { CONFIG } from '../config/serviceConfig.js';
+
+const PREFIX = 'cookie_refresh_';
+const CIRCUIT_BREAKER_STATES = ['CLOSED', 'HALF_OPEN', 'OPEN'];
+
+export const metricsRegistry = new client.Registry();
+client.collectDefaultMetrics({ register: metricsRegistry, prefix: PREFIX });
+
+// Service whose queue and circuit breaker are reported, set once it is initialized
+let cookieRefreshService = null;
+
+/**
+ * Set the service instance read by the queue and circuit breaker gauges
+ * @param {object} service - The CookieRefreshService instance
+ */
+export const setMetricsService = (service) => {
+  cookieRefreshService = service;
+};
+
+const refreshesTotal = new client.Counter({
+  name: `${PREFIX}refreshes_total`,
+  help: 'Completed cookie refreshes by status',
+  labelNames: ['profile', 'status'],
+  registers: [metricsRegistry]
+});
+
+const refreshDuration = new client.Histogram({
+  name: `${PREFIX}duration_seconds`,
+  help: 'Cookie refresh duration, including retries',
+  labelNames: ['profile', 'status'],
+  buckets: [5, 10, 20, 30, 45, 60, 90, 120, 180, 300],
+  registers: [metricsRegistry]
+});
+
+const cookieCount = new client.Histogram({
+  name: `${PREFIX}cookie_count`,
+  help: 'Number of cookies captured per successful refresh',
+  labelNames: ['profile'],
+  buckets: [0, 5, 10, 20, 30, 40, 60, 80, 120],
+  registers: [metricsRegistry]
+});
+
+const retries = new client.Histogram({
+  name: `${PREFIX}retries`,
+  help: 'Retries needed per successful refresh',
+  labelNames: ['profile'],
+  buckets: [0, 1, 2, 3, 5, 8],
+  registers: [metricsRegistry]
+});
+
+const failedAttempts = new client.Counter({
+  name: `${PREFIX}failed_attempts_total`,
+  help: 'Browser attempts that failed inside the retry loop',
+  registers: [metricsRegistry]
+});
+
+const proxySwitches = new client.Counter({
+  name: `${PREFIX}proxy_switches_total`,
+  help: 'Proxy switches made by the retry loop',
+  registers: [metricsRegistry]
+});
+
+const eventSwitches = new client.Counter({
+  name: `${PREFIX}event_switches_total`,
+  help: 'Event ID switches made by the retry loop',
+  registers: [metricsRegistry]
+});
+
+new client.Gauge({
+  name: `${PREFIX}circuit_breaker_state`,
+  help: 'Circuit breaker state; the current state is 1, the others 0',
+  labelNames: ['state'],
+  registers: [metricsRegistry],
+  collect() {
+    const current = cookieRefreshService?.circuitBreaker.state;
+    for (const state of CIRCUIT_BREAKER_STATES) {
+      this.set({ state }, state === current ? 1 : 0);
+    }
+  }
+});
+
+new client.Gauge({
+  name: `${PREFIX}queue_length`,
+  help: 'Refresh jobs waiting in the queue, across all instances',
+  registers: [metricsRegistry],
+  async collect() {
+    // Skip rather than stall the scrape behind Mongoose's command buffering
+    if (mongoose.connection.readyState !== 1) {
+      return;
+    }
+
+    try {
+      this.set(await RefreshQueue.countQueued());
+    } catch (error) {
+      logger.error('Error collecting refresh queue length metric:', error);
+    }
+  }
+});
+
+new client.Gauge({
+  name: `${PREFIX}busy_workers`,
+  help: 'Refresh workers running a refresh',
+  registers: [metricsRegistry],
+  collect() {
+    const workers = cookieRefreshService?.workers ?? [];
+    this.set(workers.filter(worker => worker.state !== 'idle').length);
+  }
+});
+
+new client.Gauge({
+  name: `${PREFIX}jar_age_seconds`,
+  help: 'Seconds since the current cookie jar of each profile was refreshed',
+  labelNames: ['profile'],
+  registers: [metricsRegistry],
+  async collect() {
+    // Skip rather than stall the scrape behind Mongoose's command buffering
+    if (mongoose.connection.readyState !== 1) {
+      return;
+    }
+
+    try {
+      this.reset();
+      for (const profile of await CookieProfileManager.getScheduledProfileNames()) {
+        const latest = await CookieRefreshTracker.getLatestSuccessfulRefresh(profile);
+        if (latest?.completionTime) {
+          this.set({ profile }, (Date.now() - latest.completionTime.getTime()) / 1000);
+        }
+      }
+    } catch (error) {
+      logger.error('Error collecting cookie jar age metric:', error);
+    }
+  }
+});
+
+export const httpRequestsTotal = new client.Counter({
+  name: 'http_requests_total',
+  help: 'HTTP requests by route and status code',
+  labelNames: ['method', 'route', 'status_code'],
+  registers: [metricsRegistry]
+});
+
+export const httpRequestDuration = new client.Histogram({
+  name: 'http_request_duration_seconds',
+  help: 'HTTP request duration by route and status code',
+  labelNames: ['method', 'route', 'status_code'],
+  buckets: [0.005, 0.01, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30],
+  registers: [metricsRegistry]
+});
+
+// Start times of in-flight refreshes, so failed refreshes get a duration too
+const refreshStartTimes = new Map();
+
+/**
+ * Forget start times of refreshes that ran longer than any refresh can
+ * Such refreshes are abandoned by recovery, possibly on another instance, so no
+ * terminal event for them may ever reach this one.
+ * @param {number} now - Current time in milliseconds
+ */
+const pruneRefreshStartTimes = (now) => {
+  for (const [refreshId, startedAt] of refreshStartTimes) {
+    if (now - startedAt > CONFIG.RECOVERY.MAX_REFRESH_AGE) {
+      refreshStartTimes.delete(refreshId);
+    }
+  }
+};
+
+/**
+ * Record a lifecycle event from the refresh event bus
+ * @param {object} event - Published event
+ */
+const recordRefreshEvent = ({ type, data }) => {
+  switch (type) {
+    case 'refresh.started':
+      pruneRefreshStartTimes(Date.now());
+      refreshStartTimes.set(data.refreshId, Date.now());
+      break;
+    case 'refresh.succeeded':
+    case 'refresh.failed': {
+      const status = type === 'refresh.succeeded' ? 'success' : 'failed';
+      const profile = data.profile || CookieProfileManager.DEFAULT_PROFILE;
+      const startedAt = refreshStartTimes.get(data.refreshId);
+      refreshStartTimes.delete(data.refreshId);
+
+      refreshesTotal.inc({ profile, status });
+      const duration = data.duration ?? (startedAt ? Date.now() - startedAt : null);
+      if (duration !== null) {
+        refreshDuration.observe({ profile, status }, duration / 1000);
+      }
+      if (status === 'success') {
+        cookieCount.observe({ profile }, data.cookieCount || 0);
+        retries.observe({ profile }, data.retryCount || 0);
+      }
+      break;
+    }
+    case 'refresh.abandoned':
+      refreshesTotal.inc({ profile: data.profile || CookieProfileManager.DEFAULT_PROFILE, status: 'abandoned' });
+      refreshStartTimes.delete(data.refreshId);
+      pruneRefreshStartTimes(Date.now());
+      break;
+    case 'refresh.attempt_failed':
+      failedAttempts.inc();
+      break;
+    case 'refresh.proxy_switched':
+      proxySwitches.inc();
+      break;
+    case 'refresh.event_switched':
+      eventSwitches.inc();
+      break;
+  }
+};
+
+refreshEvents.on('event', recordRefreshEvent);
@@ -0,0 +1,79 @@
+import { EventEmitter } from 'events';
+
+const HISTORY_SIZE = 100;
+
+/**
+ * In-process bus for refresh lifecycle events
+ * Emitters publish with publish(); subscribers listen for the 'event' event.
+ * A short history is kept so reconnecting clients can resume via Last-Event-ID.
+ */
+class RefreshEventBus extends EventEmitter {
+  constructor() {
+    super();
+    this.sequence = 0;
+    this.history = [];
+    // Every open SSE connection adds a listener
+    this.setMaxListeners(0);
+  }
+
+  /**
+   * Publish a lifecycle event
+   * @param {string} type - Event type, e.g. 'refresh.started'
+   * @param {object} data - Event payload; must not contain credentials
+   * @returns {object} The published event
+   */
+  publish(type, data = {}) {
+    const event = {
+      id: ++this.sequence,
+      type,
+      timestamp: new Date().toISOString(),
+      data
+    };
+
+    this.history.push(event);
+    if (this.history.length > HISTORY_SIZE) {
+      this.history.shift();
+    }
+
+    this.emit('event', event);
+    return event;
+  }
+
+  /**
+   * Get buffered events published after a given ID
+   * @param {number} lastEventId - Last event ID the client saw
+   * @returns {Array<object>} Missed events, oldest first
+   */
+  getEventsSince(lastEventId) {
+    return this.history.filter(event => event.id > lastEventId);
+  }
+}
+
+/**
+ * Lifecycle event types published on the bus
+ */
+export const REFRESH_EVENT_TYPES = [
+  'refresh.started',
+  'refresh.attempt_failed',
+  'refresh.proxy_switched',
+  'refresh.event_switched',
+  'refresh.cookies_captured',
+  'refresh.succeeded',
+  'refresh.failed',
+  'refresh.abandoned',
+  'circuit_breaker.state_changed'
+];
+
+/**
+ * Format a proxy for event payloads without its credentials
+ * @param {object} proxy - Proxy configuration
+ * @returns {string|null} "host:port", or null without a proxy
+ */
+export function describeProxy(proxy) {
+  if (!proxy) {
+    return null;
+  }
+  return proxy.host ? `${proxy.host}:${proxy.port}` : proxy.proxy || null;
+}
+
+export const refreshEvents = new RefreshEventBus();
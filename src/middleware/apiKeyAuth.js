@@ -0,0 +1,94 @@
+import ApiKeyManager from '../helpers/ApiKeyManager.js';
+import { logger } from '../helpers/logger.js';
+
+/**
+ * Extract the API key from the Authorization or X-API-Key header
+ * @param {object} req - Express request object
+ * @returns {string|null} The presented key
+ */
+const getPresentedKey = (req) => {
+  const authorization = req.get('Authorization');
+  if (authorization?.startsWith('Bearer ')) {
+    return authorization.slice('Bearer '.length).trim();
+  }
+  return req.get('X-API-Key') || null;
+};
+
+/**
+ * Log a rejected request without leaking the key itself
+ * @param {object} req - Express request object
+ * @param {string} reason - Why the request was rejected
+ * @param {string} keyId - Public ID of the presented key, if known
+ */
+const logAuthFailure = (req, reason, keyId = null) => {
+  logger.warn('API authentication failed', {
+    reason,
+    method: req.method,
+    path: req.originalUrl,
+    ip: req.ip,
+    keyId
+  });
+};
+
+/**
+ * Authenticate the request by API key
+ * Safe to mount on several nested routers: an already authenticated request passes through.
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ * @param {Function} next - Next middleware
+ */
+export const authenticate = async (req, res, next) => {
+  if (req.apiKey || process.env.API_AUTH_ENABLED === 'false') {
+    return next();
+  }
+
+  const key = getPresentedKey(req);
+  if (!key) {
+    logAuthFailure(req, 'missing key');
+    return res.status(401).json({
+      success: false,
+      error: 'API key required'
+    });
+  }
+
+  try {
+    const identity = await ApiKeyManager.verifyKey(key);
+    if (identity.error) {
+      logAuthFailure(req, identity.error, key.split('_')[1] || null);
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid API key'
+      });
+    }
+
+    req.apiKey = identity;
+    next();
+  } catch (error) {
+    logger.error('Error verifying API key:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Require a scope on the authenticated API key
+ * @param {string} scope - Required scope
+ * @returns {Function} Express middleware
+ */
+export const requireScope = (scope) => (req, res, next) => {
+  if (process.env.API_AUTH_ENABLED === 'false') {
+    return next();
+  }
+
+  if (!req.apiKey || !ApiKeyManager.hasScope(req.apiKey.scopes, scope)) {
+    logAuthFailure(req, `missing scope ${scope}`, req.apiKey?.keyId);
+    return res.status(403).json({
+      success: false,
+      error: `API key lacks required scope: ${scope}`
+    });
+  }
+
+  next();
+};
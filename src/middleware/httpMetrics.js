@@ -0,0 +1,25 @@
+import { httpRequestsTotal, httpRequestDuration } from '../helpers/metrics.js';
+
+/**
+ * Record request count and duration per route
+ * Requests are labelled with the route pattern (e.g. /api/cookie-refresh/jobs/:jobId),
+ * never the raw URL, so IDs do not explode the label set.
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ * @param {Function} next - Next middleware
+ */
+export const httpMetrics = (req, res, next) => {
+  const endTimer = httpRequestDuration.startTimer();
+
+  res.once('finish', () => {
+    const labels = {
+      method: req.method,
+      route: req.route ? `${req.baseUrl}${req.route.path === '/' ? '' : req.route.path}` || '/' : 'unmatched',
+      status_code: res.statusCode
+    };
+    httpRequestsTotal.inc(labels);
+    endTimer(labels);
+  });
+
+  next();
+};
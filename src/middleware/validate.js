@@ -0,0 +1,112 @@
+import Ajv from 'ajv';
+import addFormats from 'ajv-formats';
+import { schemas } from '../openapi/schemas.js';
+import { getOperation } from '../openapi/spec.js';
+import { logger } from '../helpers/logger.js';
+
+/**
+ * Create an Ajv instance that knows the shared component schemas
+ * @param {object} options - Extra Ajv options
+ * @returns {Ajv} Ajv instance
+ */
+const createAjv = (options = {}) => {
+  const instance = new Ajv({ allErrors: true, strict: false, ...options });
+  addFormats(instance);
+  instance.addSchema({ components: { schemas } }, 'openapi');
+  return instance;
+};
+
+// Query strings arrive as text, so they are coerced to the schema types; JSON bodies are checked as sent
+const validatorSets = {
+  query: { ajv: createAjv({ coerceTypes: true, useDefaults: true }), compiled: new Map() },
+  body: { ajv: createAjv(), compiled: new Map() }
+};
+
+/**
+ * Get the compiled validator for a component schema
+ * @param {string} name - Component schema name
+ * @param {string} kind - 'query' to coerce query-string values, 'body' otherwise
+ * @returns {Function} Ajv validate function
+ */
+const getValidator = (name, kind = 'body') => {
+  const { ajv, compiled } = validatorSets[kind];
+  if (!compiled.has(name)) {
+    compiled.set(name, ajv.compile({ $ref: `openapi#/components/schemas/${name}` }));
+  }
+  return compiled.get(name);
+};
+
+/**
+ * Turn Ajv errors into the details list returned to clients
+ * @param {Array} errors - Ajv errors
+ * @param {string} location - Which part of the request was checked
+ * @returns {Array} Error details
+ */
+const formatErrors = (errors, location) => errors.map(error => {
+  const property = error.params?.missingProperty ?? error.params?.additionalProperty;
+  const path = property !== undefined ? `${error.instancePath}/${property}` : error.instancePath;
+  return {
+    location,
+    path: path || '/',
+    message: error.keyword === 'additionalProperties' ? 'is not a recognised property' : error.message
+  };
+});
+
+/**
+ * Validate a request against its OpenAPI operation
+ * Rejects bad query strings and bodies with a structured 400. Responses are checked
+ * against the documented schemas too; a mismatch is logged rather than sent, so a
+ * drifting spec never breaks clients.
+ * @param {string} operationId - Operation ID from openapi/spec.js
+ * @returns {Function} Express middleware
+ */
+export const validate = (operationId) => {
+  const operation = getOperation(operationId);
+
+  return (req, res, next) => {
+    const details = [];
+
+    if (operation.query) {
+      const validateQuery = getValidator(operation.query, 'query');
+      if (!validateQuery(req.query)) {
+        details.push(...formatErrors(validateQuery.errors, 'query'));
+      }
+    }
+
+    if (operation.body) {
+      const validateBody = getValidator(operation.body);
+      if (!validateBody(req.body ?? {})) {
+        details.push(...formatErrors(validateBody.errors, 'body'));
+      }
+    }
+
+    if (details.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details
+      });
+    }
+
+    if (operation.responses) {
+      const json = res.json.bind(res);
+      res.json = (body) => {
+        const schemaName = operation.responses[res.statusCode];
+        if (schemaName) {
+          const validateResponse = getValidator(schemaName);
+          // Check the serialized form so dates and documents look as the client sees them
+          if (!validateResponse(JSON.parse(JSON.stringify(body)))) {
+            logger.error('Response does not match OpenAPI schema', {
+              operationId,
+              status: res.statusCode,
+              errors: formatErrors(validateResponse.errors, 'response')
+            });
+          }
+        }
+        return json(body);
+      };
+    }
+
+    next();
+  };
+};
@@ -0,0 +1,53 @@
+import mongoose from 'mongoose';
+
+const apiKeySchema = new mongoose.Schema(
+  {
+    // Public identifier embedded in the key, used for lookup and revocation
+    keyId: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    // Human readable name of the key holder
+    name: {
+      type: String,
+      required: true,
+    },
+    // SHA-256 hash of the full key; the key itself is never stored
+    keyHash: {
+      type: String,
+      required: true,
+    },
+    // Scopes granted to this key
+    scopes: {
+      type: [String],
+      required: true,
+      default: [],
+    },
+    // Key ID of the admin key that issued this key
+    createdBy: {
+      type: String,
+      required: false,
+    },
+    // Timestamp after which the key is no longer accepted
+    expiresAt: {
+      type: Date,
+      required: false,
+    },
+    // Timestamp when the key was revoked
+    revokedAt: {
+      type: Date,
+      required: false,
+    },
+    // Timestamp of the last successful authentication
+    lastUsedAt: {
+      type: Date,
+      required: false,
+    }
+  },
+  {
+    timestamps: true, // Adds createdAt and updatedAt fields
+  }
+);
+
+export const ApiKey = mongoose.model('ApiKey', apiKeySchema);
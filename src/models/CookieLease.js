@@ -0,0 +1,83 @@
+import mongoose from 'mongoose';
+
+const cookieLeaseSchema = new mongoose.Schema(
+  {
+    // Unique identifier handed to the consumer
+    leaseId: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    // Refresh operation that produced the leased cookie set
+    refreshId: {
+      type: String,
+      required: false,
+    },
+    // Cookie profile whose jar was leased
+    profile: {
+      type: String,
+      required: true,
+      default: 'default',
+    },
+    // Lifecycle state of the lease
+    status: {
+      type: String,
+      enum: ['active', 'released', 'expired'],
+      required: true,
+      default: 'active',
+    },
+    // Outcome reported by the consumer (or 'expired' if never released)
+    outcome: {
+      type: String,
+      enum: ['ok', 'rejected', 'expired'],
+      required: false,
+    },
+    // Free-form consumer identifier, e.g. scraper name
+    consumer: {
+      type: String,
+      required: false,
+    },
+    // Number of cookies handed out
+    cookieCount: {
+      type: Number,
+      required: false,
+      default: 0,
+    },
+    // Time-to-live granted for this lease in seconds
+    ttl: {
+      type: Number,
+      required: true,
+    },
+    // Timestamp when the lease was issued
+    issuedAt: {
+      type: Date,
+      required: true,
+      default: Date.now,
+    },
+    // Timestamp after which the lease is considered expired
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    // Timestamp when the lease was released or expired
+    releasedAt: {
+      type: Date,
+      required: false,
+    },
+    // Optional reason supplied on release (e.g. HTTP status seen downstream)
+    reason: {
+      type: String,
+      required: false,
+    }
+  },
+  {
+    timestamps: true, // Adds createdAt and updatedAt fields
+  }
+);
+
+// Create indexes for common queries
+cookieLeaseSchema.index({ refreshId: 1 });
+cookieLeaseSchema.index({ status: 1, expiresAt: 1 });
+cookieLeaseSchema.index({ profile: 1, issuedAt: -1 });
+
+export const CookieLease = mongoose.model('CookieLease', cookieLeaseSchema);
@@ -0,0 +1,49 @@
+import mongoose from 'mongoose';
+
+const cookieProfileSchema = new mongoose.Schema(
+  {
+    // Unique profile name, also used as the jar directory name
+    name: {
+      type: String,
+      required: true,
+      unique: true,
+      match: /^[a-z0-9][a-z0-9_-]{0,63}$/,
+    },
+    // Human readable description, e.g. owning team or target
+    description: {
+      type: String,
+      required: false,
+    },
+    // Event ID to refresh against; a random event is used if not set
+    eventId: {
+      type: String,
+      required: false,
+    },
+    // Proxy address ("host:port") from the proxy list; credentials are resolved at refresh time
+    proxy: {
+      type: String,
+      required: false,
+    },
+    // Minutes between successful refreshes when the jar has no expiring cookies to plan from
+    refreshInterval: {
+      type: Number,
+      required: true,
+      default: 15,
+      min: 5,
+      max: 1440,
+    },
+    // Whether the scheduler refreshes this profile automatically
+    enabled: {
+      type: Boolean,
+      required: true,
+      default: true,
+    }
+  },
+  {
+    timestamps: true, // Adds createdAt and updatedAt fields
+  }
+);
+
+cookieProfileSchema.index({ enabled: 1 });
+
+export const CookieProfile = mongoose.model('CookieProfile', cookieProfileSchema);
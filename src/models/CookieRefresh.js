@@ -11,9 +11,15 @@ const cookieRefreshSchema = new mongoose.Schema(
     // Status of the refresh operation
     status: {
       type: String,
-      enum: ['success', 'failed', 'in_progress'],
+      enum: ['success', 'failed', 'in_progress', 'abandoned'],
       required: true,
     },
+    // Cookie profile whose jar this refresh produced
+    profile: {
+      type: String,
+      required: true,
+      default: 'default',
+    },
     // Event ID used for the refresh, if any
     eventId: {
       type: String,
@@ -35,6 +41,11 @@ const cookieRefreshSchema = new mongoose.Schema(
       type: Date,
       required: false,
     },
+    // Why nextScheduledRefresh was picked: strategy, deciding cookie, lifetime and clamping
+    refreshPlan: {
+      type: mongoose.Schema.Types.Mixed,
+      required: false,
+    },
     // Number of cookies retrieved in this refresh
     cookieCount: {
       type: Number,
@@ -47,7 +58,7 @@ const cookieRefreshSchema = new mongoose.Schema(
       required: true,
       default: 0,
     },
-    // Error message if the refresh failed
+    // Error message if the refresh failed, or why it was abandoned
     errorMessage: {
       type: String,
       required: false,
@@ -77,10 +88,27 @@ const cookieRefreshSchema = new mongoose.Schema(
       type: mongoose.Schema.Types.Mixed,
       required: false,
     },
-    // Cookies data (encrypted or hashed for security)
+    // SHA-256 fingerprint of the produced jar (names, domains, paths, values); values are never stored
     cookiesHash: {
       type: String,
       required: false,
+    },
+    // Time until which the service treats the produced jar as valid (independent of cookie expiries)
+    validUntil: {
+      type: Date,
+      required: false,
+    },
+    // Validation report of the captured jar (missing cookies, counts per domain)
+    validation: {
+      type: mongoose.Schema.Types.Mixed,
+      required: false,
+    },
+    // Outcomes reported by consumers that leased cookies from this refresh
+    leaseOutcomes: {
+      issued: { type: Number, default: 0 },
+      ok: { type: Number, default: 0 },
+      rejected: { type: Number, default: 0 },
+      expired: { type: Number, default: 0 },
     }
   },
   {
@@ -94,6 +122,8 @@ cookieRefreshSchema.index({ startTime: -1 });
 cookieRefreshSchema.index({ nextScheduledRefresh: 1 });
 cookieRefreshSchema.index({ eventId: 1 });
 cookieRefreshSchema.index({ serviceInstance: 1 });
+cookieRefreshSchema.index({ profile: 1, status: 1, completionTime: -1 });
+cookieRefreshSchema.index({ cookiesHash: 1 });
 
 // Virtual for calculating success rate
 cookieRefreshSchema.virtual('isSuccessful').get(function() {
@@ -109,12 +139,14 @@ cookieRefreshSchema.statics.getRecentStats = async function(limit = 100) {
   const successCount = recentRefreshes.filter(r => r.status === 'success').length;
   const failedCount = recentRefreshes.filter(r => r.status === 'failed').length;
   const inProgressCount = recentRefreshes.filter(r => r.status === 'in_progress').length;
+  const abandonedCount = recentRefreshes.filter(r => r.status === 'abandoned').length;
   
   return {
     total: recentRefreshes.length,
     successCount,
     failedCount,
     inProgressCount,
+    abandonedCount,
     successRate: recentRefreshes.length > 0 
       ? ((successCount / recentRefreshes.length) * 100).toFixed(1) + '%' 
       : 'N/A'
@@ -0,0 +1,33 @@
+import mongoose from 'mongoose';
+
+const cookieStoreEntrySchema = new mongoose.Schema(
+  {
+    // Entry key: "cookies/<profile>" for a jar
+    key: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    // Stored value, or its encryption envelope when encryption is enabled
+    data: {
+      type: mongoose.Schema.Types.Mixed,
+      required: true,
+    },
+    // Number of items in the value, readable without decrypting it
+    count: {
+      type: Number,
+      default: 0,
+    },
+    // Service instance that last wrote the entry
+    updatedBy: {
+      type: String,
+      required: false,
+    }
+  },
+  {
+    timestamps: true, // Adds createdAt and updatedAt fields
+    collection: 'cookie_store'
+  }
+);
+
+export const CookieStoreEntry = mongoose.model('CookieStoreEntry', cookieStoreEntrySchema);
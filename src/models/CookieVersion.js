@@ -0,0 +1,61 @@
+import mongoose from 'mongoose';
+
+const cookieVersionSchema = new mongoose.Schema(
+  {
+    // Unique identifier of the version
+    versionId: {
+      type: String,
+      required: true,
+      unique: true,
+      immutable: true,
+    },
+    // Cookie profile the jar belongs to
+    profile: {
+      type: String,
+      required: true,
+      default: 'default',
+      immutable: true,
+    },
+    // Per-profile sequence number, starting at 1
+    version: {
+      type: Number,
+      required: true,
+      immutable: true,
+    },
+    // Refresh operation that produced the jar
+    refreshId: {
+      type: String,
+      required: true,
+      immutable: true,
+    },
+    // Cookie jar, or its encryption envelope when encryption is enabled.
+    // Only ever rewritten to re-encrypt the same jar with a new key.
+    cookies: {
+      type: mongoose.Schema.Types.Mixed,
+      required: true,
+    },
+    // Number of cookies in the jar, readable without decrypting it
+    cookieCount: {
+      type: Number,
+      required: true,
+      default: 0,
+      immutable: true,
+    },
+    // Fingerprint of the jar (see StorageEncryption.hashCookies)
+    cookiesHash: {
+      type: String,
+      required: false,
+      immutable: true,
+    }
+  },
+  {
+    timestamps: true, // Adds createdAt and updatedAt fields
+  }
+);
+
+// Create indexes for common queries
+cookieVersionSchema.index({ profile: 1, version: -1 }, { unique: true });
+cookieVersionSchema.index({ refreshId: 1 });
+cookieVersionSchema.index({ createdAt: 1 });
+
+export const CookieVersion = mongoose.model('CookieVersion', cookieVersionSchema);
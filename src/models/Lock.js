@@ -0,0 +1,42 @@
+import mongoose from 'mongoose';
+
+const lockSchema = new mongoose.Schema(
+  {
+    // Name of the locked resource, e.g. "scheduler-leader" or "refresh:<profile>"
+    name: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    // Service instance holding the lease
+    holder: {
+      type: String,
+      required: true,
+    },
+    // Fencing token, incremented every time the lock changes hands
+    token: {
+      type: Number,
+      required: true,
+      default: 0,
+    },
+    // Timestamp when the current holder acquired the lock
+    acquiredAt: {
+      type: Date,
+      required: true,
+      default: Date.now,
+    },
+    // Timestamp when the lease runs out unless renewed
+    expiresAt: {
+      type: Date,
+      required: true,
+    }
+  },
+  {
+    timestamps: true, // Adds createdAt and updatedAt fields
+  }
+);
+
+// Create indexes for common queries
+lockSchema.index({ expiresAt: 1 });
+
+export const Lock = mongoose.model('Lock', lockSchema);
@@ -0,0 +1,136 @@
+import mongoose from 'mongoose';
+
+const refreshJobSchema = new mongoose.Schema(
+  {
+    // Unique identifier of the job; also the refreshId of its first attempt
+    jobId: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    // Cookie profile to refresh
+    profile: {
+      type: String,
+      required: true,
+      default: 'default',
+    },
+    // Event ID requested for the refresh; null lets the worker choose
+    eventId: {
+      type: String,
+      required: false,
+      default: null,
+    },
+    // Proxy requested for the refresh, as "host:port"
+    proxy: {
+      type: String,
+      required: false,
+      default: null,
+    },
+    // Credentials of the requested proxy, encrypted when keys are configured
+    proxyCredentials: {
+      type: mongoose.Schema.Types.Mixed,
+      required: false,
+      select: false,
+    },
+    // What queued the job
+    source: {
+      type: String,
+      required: true,
+      enum: ['manual', 'schedule', 'interval', 'recovery'],
+    },
+    // Higher priorities are claimed first; see JOB_PRIORITIES
+    priority: {
+      type: Number,
+      required: true,
+      default: 0,
+    },
+    // Only one queued or running job may carry the same key
+    dedupeKey: {
+      type: String,
+      required: false,
+    },
+    // Set while the job is queued or running, for the dedupe index
+    active: {
+      type: Boolean,
+      required: false,
+    },
+    // Current state of the job
+    state: {
+      type: String,
+      required: true,
+      enum: ['queued', 'in_progress', 'success', 'failed'],
+      default: 'queued',
+    },
+    // Number of times a worker claimed the job
+    attempts: {
+      type: Number,
+      required: true,
+      default: 0,
+    },
+    // Claims after which a failing job is given up
+    maxAttempts: {
+      type: Number,
+      required: true,
+      default: 1,
+    },
+    // Earliest time the job may be claimed
+    availableAt: {
+      type: Date,
+      required: true,
+      default: Date.now,
+    },
+    // Service instance running the job
+    lockedBy: {
+      type: String,
+      required: false,
+    },
+    // The job is handed to another worker if its claim is not extended by then
+    lockedUntil: {
+      type: Date,
+      required: false,
+    },
+    // Refresh record of the latest attempt
+    refreshId: {
+      type: String,
+      required: true,
+    },
+    // Summary of the successful refresh
+    result: {
+      type: mongoose.Schema.Types.Mixed,
+      required: false,
+      default: null,
+    },
+    // Error message of the latest failed attempt
+    error: {
+      type: String,
+      required: false,
+      default: null,
+    },
+    // Timestamp when the latest attempt started
+    startedAt: {
+      type: Date,
+      required: false,
+      default: null,
+    },
+    // Timestamp when the job succeeded or was given up
+    finishedAt: {
+      type: Date,
+      required: false,
+      default: null,
+    }
+  },
+  {
+    timestamps: true, // Adds createdAt and updatedAt fields
+  }
+);
+
+// Create indexes for common queries
+refreshJobSchema.index({ state: 1, priority: -1, createdAt: 1 });
+refreshJobSchema.index({ state: 1, lockedUntil: 1 });
+refreshJobSchema.index({ finishedAt: 1 });
+refreshJobSchema.index(
+  { dedupeKey: 1 },
+  { unique: true, partialFilterExpression: { active: true, dedupeKey: { $type: 'string' } } }
+);
+
+export const RefreshJob = mongoose.model('RefreshJob', refreshJobSchema);
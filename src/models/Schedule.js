@@ -0,0 +1,82 @@
+import mongoose from 'mongoose';
+
+const scheduleSchema = new mongoose.Schema(
+  {
+    // Unique identifier of the schedule
+    scheduleId: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    // Human readable description, e.g. why the schedule exists
+    description: {
+      type: String,
+      required: false,
+    },
+    // Five-field cron expression (minute hour day-of-month month day-of-week)
+    cron: {
+      type: String,
+      required: true,
+    },
+    // IANA time zone the cron expression is evaluated in
+    timezone: {
+      type: String,
+      required: true,
+      default: 'UTC',
+    },
+    // Up to this many seconds are added at random to each run
+    jitter: {
+      type: Number,
+      required: true,
+      default: 0,
+      min: 0,
+      max: 3600,
+    },
+    // Cookie profile to refresh
+    profile: {
+      type: String,
+      required: true,
+      default: 'default',
+    },
+    // Event ID to refresh against; the profile's or a random event is used if not set
+    eventId: {
+      type: String,
+      required: false,
+    },
+    // Proxy address ("host:port") from the proxy list; credentials are resolved at refresh time
+    proxy: {
+      type: String,
+      required: false,
+    },
+    // Whether the schedule starts refreshes
+    enabled: {
+      type: Boolean,
+      required: true,
+      default: true,
+    },
+    // When the schedule next runs, jitter included
+    nextRunAt: {
+      type: Date,
+      required: false,
+    },
+    // When the schedule last started a refresh
+    lastRunAt: {
+      type: Date,
+      required: false,
+    },
+    // Refresh job started by the last run
+    lastJobId: {
+      type: String,
+      required: false,
+    }
+  },
+  {
+    timestamps: true, // Adds createdAt and updatedAt fields
+  }
+);
+
+// Create indexes for common queries
+scheduleSchema.index({ enabled: 1, nextRunAt: 1 });
+scheduleSchema.index({ profile: 1 });
+
+export const Schedule = mongoose.model('Schedule', scheduleSchema);
@@ -0,0 +1,42 @@
+import mongoose from 'mongoose';
+
+const serviceInstanceSchema = new mongoose.Schema(
+  {
+    // Random ID the service process generated at startup
+    instanceId: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    // Host the process runs on
+    hostname: {
+      type: String,
+      required: false,
+    },
+    // Operating system process ID
+    pid: {
+      type: Number,
+      required: false,
+    },
+    // Timestamp when the process started
+    startedAt: {
+      type: Date,
+      required: true,
+      default: Date.now,
+    },
+    // Last time the process reported itself alive
+    lastHeartbeat: {
+      type: Date,
+      required: true,
+      default: Date.now,
+    }
+  },
+  {
+    timestamps: true, // Adds createdAt and updatedAt fields
+  }
+);
+
+// Create indexes for common queries
+serviceInstanceSchema.index({ lastHeartbeat: -1 });
+
+export const ServiceInstance = mongoose.model('ServiceInstance', serviceInstanceSchema);
@@ -0,0 +1,83 @@
+import mongoose from 'mongoose';
+
+const sessionSchema = new mongoose.Schema(
+  {
+    // Unique identifier of the browser session
+    sessionId: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    // Refresh operation the session belongs to
+    refreshId: {
+      type: String,
+      required: true,
+    },
+    // Cookie profile the session refreshed
+    profile: {
+      type: String,
+      required: true,
+      default: 'default',
+    },
+    // Event ID the browser navigated to
+    eventId: {
+      type: String,
+      required: false,
+    },
+    // Proxy used, as "host:port"; credentials are never stored
+    proxy: {
+      type: String,
+      required: false,
+    },
+    // Browser fingerprint presented by the session, encrypted when keys are configured
+    fingerprint: {
+      type: mongoose.Schema.Types.Mixed,
+      required: false,
+    },
+    // User agent of the fingerprint, encrypted like the fingerprint
+    userAgent: {
+      type: mongoose.Schema.Types.Mixed,
+      required: false,
+    },
+    // Keyed fingerprint of the user agent, used for filtering (see StorageEncryption.digest)
+    userAgentHash: {
+      type: String,
+      required: false,
+    },
+    // Cookie jar version the session produced (see CookieVersion)
+    cookieVersionId: {
+      type: String,
+      required: false,
+    },
+    // Fingerprint of the produced jar
+    cookiesHash: {
+      type: String,
+      required: false,
+    },
+    // Number of cookies in the produced jar
+    cookieCount: {
+      type: Number,
+      required: false,
+      default: 0,
+    },
+    // Whether the stored jar was reused instead of opening a browser
+    reused: {
+      type: Boolean,
+      required: false,
+      default: false,
+    }
+  },
+  {
+    timestamps: true, // Adds createdAt and updatedAt fields
+  }
+);
+
+// Create indexes for common queries
+sessionSchema.index({ createdAt: -1 });
+sessionSchema.index({ refreshId: 1 });
+sessionSchema.index({ profile: 1, createdAt: -1 });
+sessionSchema.index({ eventId: 1 });
+sessionSchema.index({ cookieVersionId: 1 });
+sessionSchema.index({ userAgentHash: 1 });
+
+export const Session = mongoose.model('Session', sessionSchema);
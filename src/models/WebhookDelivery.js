@@ -0,0 +1,68 @@
+import mongoose from 'mongoose';
+
+const webhookDeliverySchema = new mongoose.Schema(
+  {
+    // Unique identifier, sent as X-Webhook-Delivery
+    deliveryId: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    // Subscription this delivery belongs to
+    subscriptionId: {
+      type: String,
+      required: true,
+    },
+    // Event type, e.g. 'refresh.succeeded'
+    event: {
+      type: String,
+      required: true,
+    },
+    // JSON payload sent to the subscriber
+    payload: {
+      type: mongoose.Schema.Types.Mixed,
+      required: true,
+    },
+    // Delivery state; 'dead' deliveries exhausted their retries and form the dead-letter list
+    status: {
+      type: String,
+      enum: ['pending', 'delivered', 'dead'],
+      required: true,
+      default: 'pending',
+    },
+    // Number of delivery attempts made
+    attempts: {
+      type: Number,
+      required: true,
+      default: 0,
+    },
+    // Timestamp of the next attempt for pending deliveries
+    nextAttemptAt: {
+      type: Date,
+      required: false,
+    },
+    // HTTP status of the last attempt, if a response was received
+    lastStatusCode: {
+      type: Number,
+      required: false,
+    },
+    // Error from the last failed attempt
+    lastError: {
+      type: String,
+      required: false,
+    },
+    // Timestamp of successful delivery
+    deliveredAt: {
+      type: Date,
+      required: false,
+    }
+  },
+  {
+    timestamps: true, // Adds createdAt and updatedAt fields
+  }
+);
+
+webhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+webhookDeliverySchema.index({ subscriptionId: 1, createdAt: -1 });
+
+export const WebhookDelivery = mongoose.model('WebhookDelivery', webhookDeliverySchema);
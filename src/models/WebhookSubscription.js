@@ -0,0 +1,46 @@
+import mongoose from 'mongoose';
+
+const webhookSubscriptionSchema = new mongoose.Schema(
+  {
+    // Unique identifier for the subscription
+    subscriptionId: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    // Endpoint that receives deliveries
+    url: {
+      type: String,
+      required: true,
+    },
+    // Event types this subscription receives
+    events: {
+      type: [String],
+      required: true,
+    },
+    // Shared secret used to sign deliveries; never returned after creation
+    secret: {
+      type: String,
+      required: true,
+      select: false,
+    },
+    // Human readable description of the subscriber
+    description: {
+      type: String,
+      required: false,
+    },
+    // Whether deliveries are sent
+    enabled: {
+      type: Boolean,
+      required: true,
+      default: true,
+    }
+  },
+  {
+    timestamps: true, // Adds createdAt and updatedAt fields
+  }
+);
+
+webhookSubscriptionSchema.index({ enabled: 1, events: 1 });
+
+export const WebhookSubscription = mongoose.model('WebhookSubscription', webhookSubscriptionSchema);
@@ -0,0 +1,1016 @@
+/**
+ * Shared JSON schemas for the OpenAPI document and request/response validation.
+ * Kept to the OpenAPI 3.0 subset of JSON Schema so the same objects serve both.
+ */
+
+const PROFILE_NAME = {
+  type: 'string',
+  pattern: '^[a-z0-9][a-z0-9_-]{0,63}$',
+  description: 'Cookie profile name',
+  example: 'default'
+};
+
+const DATE_TIME = { type: 'string', format: 'date-time' };
+const NULLABLE_DATE_TIME = { type: 'string', format: 'date-time', nullable: true };
+
+// Rates and averages shared by /stats and /stats/timeseries; null when there is nothing to measure
+const REFRESH_SUMMARY = {
+  successRate: { type: 'number', nullable: true, minimum: 0, maximum: 100, description: 'Successful operations, percent of all', example: 92.5 },
+  averageCookies: { type: 'number', nullable: true, description: 'Average cookie count of successful refreshes', example: 41.3 },
+  averageDuration: { type: 'number', nullable: true, description: 'Average duration of successful refreshes, milliseconds', example: 12300 },
+  durationP50: { type: 'number', nullable: true, description: 'Median duration of successful refreshes, milliseconds' },
+  durationP90: { type: 'number', nullable: true, description: '90th percentile duration of successful refreshes, milliseconds' },
+  durationP99: { type: 'number', nullable: true, description: '99th percentile duration of successful refreshes, milliseconds' }
+};
+
+export const schemas = {
+  // Generic envelopes
+  SuccessResponse: {
+    type: 'object',
+    required: ['success'],
+    properties: {
+      success: { type: 'boolean', enum: [true] }
+    }
+  },
+  ErrorResponse: {
+    type: 'object',
+    required: ['success', 'error'],
+    properties: {
+      success: { type: 'boolean', enum: [false] },
+      error: { type: 'string' },
+      message: { type: 'string' }
+    }
+  },
+  ValidationErrorResponse: {
+    type: 'object',
+    required: ['success', 'error', 'details'],
+    properties: {
+      success: { type: 'boolean', enum: [false] },
+      error: { type: 'string', enum: ['Validation failed'] },
+      details: {
+        type: 'array',
+        items: {
+          type: 'object',
+          required: ['location', 'path', 'message'],
+          properties: {
+            location: { type: 'string', enum: ['query', 'body', 'params'] },
+            path: { type: 'string', description: 'JSON pointer to the offending value', example: '/limit' },
+            message: { type: 'string', example: 'must be <= 1000' }
+          }
+        }
+      }
+    }
+  },
+  Pagination: {
+    type: 'object',
+    required: ['total', 'page', 'limit', 'pages'],
+    properties: {
+      total: { type: 'integer', minimum: 0 },
+      page: { type: 'integer', minimum: 1 },
+      limit: { type: 'integer', minimum: 1 },
+      pages: { type: 'integer', minimum: 0 }
+    }
+  },
+
+  // Refresh records
+  RefreshRecord: {
+    type: 'object',
+    required: ['refreshId', 'status', 'startTime'],
+    properties: {
+      refreshId: { type: 'string' },
+      status: { type: 'string', enum: ['success', 'failed', 'in_progress', 'abandoned'] },
+      profile: PROFILE_NAME,
+      eventId: { type: 'string', nullable: true },
+      startTime: DATE_TIME,
+      completionTime: NULLABLE_DATE_TIME,
+      nextScheduledRefresh: NULLABLE_DATE_TIME,
+      refreshPlan: {
+        anyOf: [{ $ref: '#/components/schemas/RefreshPlan' }, { enum: [null] }],
+        description: 'Why nextScheduledRefresh was picked'
+      },
+      validUntil: { ...NULLABLE_DATE_TIME, description: 'Time until which the produced jar is served as valid' },
+      cookieCount: { type: 'integer', minimum: 0 },
+      retryCount: { type: 'integer', minimum: 0 },
+      errorMessage: { type: 'string', nullable: true },
+      duration: { type: 'number', nullable: true, description: 'Milliseconds' },
+      proxy: { type: 'string', nullable: true },
+      serviceInstance: { type: 'string', nullable: true },
+      validation: { $ref: '#/components/schemas/ValidationReport' }
+    }
+  },
+  RefreshPlan: {
+    type: 'object',
+    required: ['strategy', 'delay', 'reason'],
+    properties: {
+      strategy: {
+        type: 'string',
+        enum: ['cookie_expiry', 'fallback_interval', 'failure_retry', 'reused'],
+        description: 'cookie_expiry: a fraction of the shortest cookie lifetime; fallback_interval: no cookie expires, the profile interval applies; failure_retry: the refresh failed; reused: the stored jar was reused and keeps the plan of the refresh that produced it'
+      },
+      basis: {
+        type: 'string',
+        nullable: true,
+        enum: ['essential', 'all', null],
+        description: 'Cookies considered: the essential ones, or every expiring cookie when no essential cookie expires'
+      },
+      cookie: {
+        type: 'object',
+        nullable: true,
+        description: 'Cookie with the shortest lifetime',
+        properties: {
+          name: { type: 'string' },
+          domain: { type: 'string' },
+          expiresAt: DATE_TIME
+        }
+      },
+      lifetime: { type: 'integer', nullable: true, minimum: 0, description: 'Seconds the cookie had left when the refresh completed' },
+      fraction: { type: 'number', nullable: true, description: 'Share of the lifetime waited (REFRESH_LIFETIME_FRACTION)' },
+      computedDelay: { type: 'integer', nullable: true, minimum: 0, description: 'Seconds before the floor and ceiling were applied' },
+      delay: { type: 'integer', minimum: 0, description: 'Seconds from completion to nextScheduledRefresh' },
+      clamped: { type: 'string', nullable: true, enum: ['min', 'max', null], description: 'Whether the floor or the ceiling applied' },
+      reason: { type: 'string', example: '50% of the 6 hours left on essential cookie TMPS (.ticketmaster.com)' }
+    }
+  },
+  ValidationReport: {
+    type: 'object',
+    required: ['valid', 'checkedAt', 'cookieCount', 'missing', 'domainCounts', 'domainMinimums', 'errors'],
+    properties: {
+      valid: { type: 'boolean' },
+      checkedAt: DATE_TIME,
+      cookieCount: { type: 'integer', minimum: 0 },
+      missing: {
+        type: 'object',
+        required: ['auth', 'essential'],
+        properties: {
+          auth: { type: 'array', items: { type: 'string' }, description: 'Missing AUTH_COOKIES names' },
+          essential: { type: 'array', items: { type: 'string' }, description: 'Missing ESSENTIAL_COOKIES names' }
+        }
+      },
+      domainCounts: {
+        type: 'object',
+        additionalProperties: { type: 'integer', minimum: 0 },
+        description: 'Number of cookies per cookie domain'
+      },
+      domainMinimums: {
+        type: 'array',
+        items: {
+          type: 'object',
+          required: ['domain', 'minimum', 'count', 'ok'],
+          properties: {
+            domain: { type: 'string' },
+            minimum: { type: 'integer', minimum: 0 },
+            count: { type: 'integer', minimum: 0 },
+            ok: { type: 'boolean' }
+          }
+        }
+      },
+      errors: { type: 'array', items: { type: 'string' } }
+    }
+  },
+
+  // GET /cookies/ttl
+  CookieTtlQuery: {
+    type: 'object',
+    additionalProperties: false,
+    properties: {
+      profile: PROFILE_NAME
+    }
+  },
+  CookieTtlResponse: {
+    type: 'object',
+    required: ['success', 'data'],
+    properties: {
+      success: { type: 'boolean', enum: [true] },
+      data: {
+        type: 'object',
+        required: ['profile', 'refreshId', 'count', 'jar', 'cookies', 'timestamp'],
+        properties: {
+          profile: PROFILE_NAME,
+          refreshId: { type: 'string', nullable: true, description: 'Refresh that produced the jar' },
+          count: { type: 'integer', minimum: 0 },
+          jar: {
+            type: 'object',
+            required: ['validUntil', 'ttl', 'expired', 'earliestExpiry', 'sessionCookies', 'expiredCookies'],
+            properties: {
+              validUntil: { ...NULLABLE_DATE_TIME, description: 'Service-level validity of the jar' },
+              ttl: { type: 'integer', minimum: 0, nullable: true, description: 'Seconds until validUntil' },
+              expired: { type: 'boolean' },
+              earliestExpiry: {
+                type: 'object',
+                nullable: true,
+                description: 'Unexpired cookie that expires first',
+                properties: {
+                  name: { type: 'string' },
+                  domain: { type: 'string' },
+                  expiresAt: DATE_TIME,
+                  ttl: { type: 'integer', minimum: 0 }
+                }
+              },
+              sessionCookies: { type: 'integer', minimum: 0 },
+              expiredCookies: { type: 'integer', minimum: 0 }
+            }
+          },
+          cookies: {
+            type: 'array',
+            items: {
+              type: 'object',
+              required: ['name', 'domain', 'path', 'session', 'expiresAt', 'ttl', 'expired'],
+              properties: {
+                name: { type: 'string' },
+                domain: { type: 'string' },
+                path: { type: 'string' },
+                session: { type: 'boolean' },
+                expiresAt: { ...NULLABLE_DATE_TIME, description: 'Null for session cookies' },
+                ttl: { type: 'integer', minimum: 0, nullable: true, description: 'Seconds left; null for session cookies' },
+                expired: { type: 'boolean' }
+              }
+            }
+          },
+          timestamp: DATE_TIME
+        }
+      }
+    }
+  },
+
+  // GET /cookies/validate
+  CookieValidateQuery: {
+    type: 'object',
+    additionalProperties: false,
+    properties: {
+      profile: PROFILE_NAME
+    }
+  },
+  CookieValidateResponse: {
+    type: 'object',
+    required: ['success', 'data'],
+    properties: {
+      success: { type: 'boolean', enum: [true] },
+      data: {
+        allOf: [
+          { $ref: '#/components/schemas/ValidationReport' },
+          {
+            type: 'object',
+            required: ['profile', 'refreshId'],
+            properties: {
+              profile: PROFILE_NAME,
+              refreshId: { type: 'string', nullable: true, description: 'Refresh that produced the jar' }
+            }
+          }
+        ]
+      }
+    }
+  },
+
+  // GET /cookies/versions
+  CookieVersionsQuery: {
+    type: 'object',
+    additionalProperties: false,
+    properties: {
+      page: { type: 'integer', minimum: 1, default: 1 },
+      limit: { type: 'integer', minimum: 1, maximum: 100, default: 20 },
+      profile: PROFILE_NAME
+    }
+  },
+  CookieVersionQuery: {
+    type: 'object',
+    additionalProperties: false,
+    properties: {
+      reveal: {
+        type: 'boolean',
+        default: false,
+        description: 'Return real cookie values instead of masked ones'
+      }
+    }
+  },
+  CookieVersion: {
+    type: 'object',
+    required: ['versionId', 'profile', 'version', 'refreshId', 'cookieCount', 'createdAt'],
+    properties: {
+      versionId: { type: 'string' },
+      profile: PROFILE_NAME,
+      version: { type: 'integer', minimum: 1, description: 'Per-profile sequence number' },
+      refreshId: { type: 'string', description: 'Refresh that produced the jar' },
+      cookieCount: { type: 'integer', minimum: 0 },
+      cookiesHash: { type: 'string', nullable: true },
+      createdAt: DATE_TIME
+    }
+  },
+  VersionedCookie: {
+    type: 'object',
+    required: ['name', 'domain', 'path', 'value', 'expires'],
+    properties: {
+      name: { type: 'string' },
+      domain: { type: 'string' },
+      path: { type: 'string' },
+      value: { type: 'string', description: 'Masked unless reveal=true' },
+      expires: { ...NULLABLE_DATE_TIME, description: 'Null for session cookies' },
+      httpOnly: { type: 'boolean' },
+      secure: { type: 'boolean' },
+      sameSite: { type: 'string', nullable: true }
+    }
+  },
+  CookieVersionsResponse: {
+    type: 'object',
+    required: ['success', 'data'],
+    properties: {
+      success: { type: 'boolean', enum: [true] },
+      data: {
+        type: 'object',
+        required: ['versions', 'pagination'],
+        properties: {
+          versions: { type: 'array', items: { $ref: '#/components/schemas/CookieVersion' } },
+          pagination: { $ref: '#/components/schemas/Pagination' }
+        }
+      }
+    }
+  },
+  CookieVersionResponse: {
+    type: 'object',
+    required: ['success', 'data'],
+    properties: {
+      success: { type: 'boolean', enum: [true] },
+      data: {
+        allOf: [
+          { $ref: '#/components/schemas/CookieVersion' },
+          {
+            type: 'object',
+            required: ['cookies', 'valuesMasked'],
+            properties: {
+              cookies: { type: 'array', items: { $ref: '#/components/schemas/VersionedCookie' } },
+              valuesMasked: { type: 'boolean' }
+            }
+          }
+        ]
+      }
+    }
+  },
+  CookieVersionDiffResponse: {
+    type: 'object',
+    required: ['success', 'data'],
+    properties: {
+      success: { type: 'boolean', enum: [true] },
+      data: {
+        type: 'object',
+        required: ['from', 'to', 'summary', 'added', 'removed', 'changed', 'valuesMasked'],
+        properties: {
+          from: { $ref: '#/components/schemas/CookieVersion' },
+          to: { $ref: '#/components/schemas/CookieVersion' },
+          summary: {
+            type: 'object',
+            required: ['added', 'removed', 'changed', 'unchanged'],
+            properties: {
+              added: { type: 'integer', minimum: 0 },
+              removed: { type: 'integer', minimum: 0 },
+              changed: { type: 'integer', minimum: 0 },
+              unchanged: { type: 'integer', minimum: 0 }
+            }
+          },
+          added: { type: 'array', items: { $ref: '#/components/schemas/VersionedCookie' } },
+          removed: { type: 'array', items: { $ref: '#/components/schemas/VersionedCookie' } },
+          changed: {
+            type: 'array',
+            items: {
+              type: 'object',
+              required: ['name', 'domain', 'path', 'changes'],
+              properties: {
+                name: { type: 'string' },
+                domain: { type: 'string' },
+                path: { type: 'string' },
+                changes: {
+                  type: 'object',
+                  description: 'Changed attributes (value, expires, httpOnly, secure, sameSite) with from/to',
+                  additionalProperties: {
+                    type: 'object',
+                    required: ['from', 'to'],
+                    properties: {
+                      from: { description: 'Previous value; null for session cookie expiry' },
+                      to: { description: 'New value; null for session cookie expiry' }
+                    }
+                  }
+                }
+              }
+            }
+          },
+          valuesMasked: { type: 'boolean' }
+        }
+      }
+    }
+  },
+
+  // POST /trigger
+  TriggerQuery: {
+    type: 'object',
+    additionalProperties: false,
+    properties: {
+      wait: {
+        type: 'number',
+        minimum: 0,
+        maximum: 300,
+        description: 'Seconds to hold the response until the job finishes'
+      }
+    }
+  },
+  TriggerRequest: {
+    type: 'object',
+    additionalProperties: false,
+    properties: {
+      eventId: { type: 'string', minLength: 1, example: 'Z7r9jZ1AdqV' },
+      profile: PROFILE_NAME,
+      proxy: {
+        type: 'object',
+        required: ['host', 'port'],
+        additionalProperties: false,
+        properties: {
+          host: { type: 'string', minLength: 1, example: '127.0.0.1' },
+          port: {
+            anyOf: [
+              { type: 'integer', minimum: 1, maximum: 65535 },
+              { type: 'string', pattern: '^[0-9]{1,5}$' }
+            ],
+            example: 8080
+          },
+          username: { type: 'string' },
+          password: { type: 'string' }
+        }
+      },
+      dedupeKey: {
+        type: 'string',
+        minLength: 1,
+        maxLength: 200,
+        description: 'Return the pending job with this key instead of queueing another one',
+        example: 'nightly-warmup'
+      }
+    }
+  },
+  Job: {
+    type: 'object',
+    required: ['jobId', 'refreshId', 'profile', 'state', 'attempts', 'createdAt'],
+    properties: {
+      jobId: { type: 'string' },
+      refreshId: { type: 'string', description: 'Refresh record of the latest attempt; the first attempt uses the jobId' },
+      profile: PROFILE_NAME,
+      eventId: { type: 'string', nullable: true },
+      proxy: { type: 'string', nullable: true, description: 'Requested proxy as "host:port"' },
+      source: { type: 'string', enum: ['manual', 'schedule', 'interval', 'recovery'], description: 'What queued the job' },
+      priority: { type: 'integer', description: 'Higher priorities are claimed first' },
+      dedupeKey: { type: 'string', nullable: true },
+      state: { type: 'string', enum: ['queued', 'in_progress', 'success', 'failed'] },
+      attempts: { type: 'integer', minimum: 0, description: 'Times a worker claimed the job' },
+      maxAttempts: { type: 'integer', minimum: 1 },
+      result: {
+        type: 'object',
+        nullable: true,
+        properties: {
+          cookieCount: { type: 'integer', minimum: 0 },
+          retryCount: { type: 'integer', minimum: 0 }
+        }
+      },
+      error: { type: 'string', nullable: true },
+      createdAt: DATE_TIME,
+      availableAt: { ...DATE_TIME, description: 'Earliest time a queued job is claimed, later for retries' },
+      startedAt: NULLABLE_DATE_TIME,
+      finishedAt: NULLABLE_DATE_TIME
+    }
+  },
+  TriggerResponse: {
+    type: 'object',
+    required: ['success', 'jobId', 'profile', 'statusUrl', 'job', 'timestamp'],
+    properties: {
+      success: { type: 'boolean', enum: [true] },
+      message: { type: 'string' },
+      jobId: { type: 'string' },
+      profile: PROFILE_NAME,
+      statusUrl: { type: 'string' },
+      job: { $ref: '#/components/schemas/Job' },
+      timestamp: DATE_TIME
+    }
+  },
+
+  // GET /history
+  HistoryQuery: {
+    type: 'object',
+    additionalProperties: false,
+    properties: {
+      page: { type: 'integer', minimum: 1, default: 1 },
+      limit: { type: 'integer', minimum: 1, maximum: 500, default: 20 },
+      status: { type: 'string', enum: ['success', 'failed', 'in_progress', 'abandoned'] },
+      profile: PROFILE_NAME
+    }
+  },
+  HistoryExportQuery: {
+    type: 'object',
+    additionalProperties: false,
+    properties: {
+      format: { type: 'string', enum: ['csv', 'ndjson'], default: 'csv' },
+      status: { type: 'string', enum: ['success', 'failed', 'in_progress', 'abandoned'] },
+      profile: PROFILE_NAME
+    }
+  },
+  HistoryResponse: {
+    type: 'object',
+    required: ['success', 'data'],
+    properties: {
+      success: { type: 'boolean', enum: [true] },
+      data: {
+        type: 'object',
+        required: ['refreshes', 'pagination'],
+        properties: {
+          refreshes: { type: 'array', items: { $ref: '#/components/schemas/RefreshRecord' } },
+          pagination: { $ref: '#/components/schemas/Pagination' }
+        }
+      }
+    }
+  },
+
+  // GET /stats
+  StatsQuery: {
+    type: 'object',
+    additionalProperties: false,
+    properties: {
+      limit: { type: 'integer', minimum: 1, maximum: 1000, default: 100 }
+    }
+  },
+  TimeseriesQuery: {
+    type: 'object',
+    additionalProperties: false,
+    properties: {
+      bucket: { type: 'string', enum: ['hour', 'day'], default: 'hour' },
+      from: { ...DATE_TIME, description: 'Start of the range; defaults to 24 hours (hour) or 30 days (day) before to' },
+      to: { ...DATE_TIME, description: 'End of the range (exclusive); defaults to now' },
+      profile: PROFILE_NAME
+    }
+  },
+  TimeseriesBucket: {
+    type: 'object',
+    required: ['start', 'total', 'successCount', 'failedCount', 'inProgressCount', 'abandonedCount'],
+    properties: {
+      start: { ...DATE_TIME, description: 'Start of the bucket (UTC)' },
+      total: { type: 'integer', minimum: 0 },
+      successCount: { type: 'integer', minimum: 0 },
+      failedCount: { type: 'integer', minimum: 0 },
+      inProgressCount: { type: 'integer', minimum: 0 },
+      abandonedCount: { type: 'integer', minimum: 0 },
+      ...REFRESH_SUMMARY
+    }
+  },
+  TimeseriesResponse: {
+    type: 'object',
+    required: ['success', 'data'],
+    properties: {
+      success: { type: 'boolean', enum: [true] },
+      data: {
+        type: 'object',
+        required: ['bucket', 'from', 'to', 'buckets'],
+        properties: {
+          bucket: { type: 'string', enum: ['hour', 'day'] },
+          from: DATE_TIME,
+          to: DATE_TIME,
+          profile: { type: 'string', nullable: true },
+          buckets: { type: 'array', items: { $ref: '#/components/schemas/TimeseriesBucket' } }
+        }
+      }
+    }
+  },
+  StatsResponse: {
+    type: 'object',
+    required: ['success', 'data'],
+    properties: {
+      success: { type: 'boolean', enum: [true] },
+      data: {
+        type: 'object',
+        required: ['total', 'successCount', 'failedCount', 'inProgressCount'],
+        properties: {
+          total: { type: 'integer', minimum: 0 },
+          successCount: { type: 'integer', minimum: 0 },
+          failedCount: { type: 'integer', minimum: 0 },
+          inProgressCount: { type: 'integer', minimum: 0 },
+          abandonedCount: { type: 'integer', minimum: 0 },
+          ...REFRESH_SUMMARY,
+          nextScheduledRefresh: NULLABLE_DATE_TIME,
+          latestRefresh: {
+            anyOf: [{ $ref: '#/components/schemas/RefreshRecord' }, { enum: [null] }],
+            description: 'Most recent refresh operation, or null if there is none'
+          },
+          serviceStatus: { type: 'object' }
+        }
+      }
+    }
+  },
+
+  // GET /status
+  RefreshWorker: {
+    type: 'object',
+    required: ['workerId', 'state'],
+    properties: {
+      workerId: { type: 'integer', minimum: 1 },
+      state: { type: 'string', enum: ['idle', 'starting', 'waiting_for_lock', 'refreshing'] },
+      profile: { type: 'string', nullable: true },
+      refreshId: { type: 'string', nullable: true },
+      eventId: { type: 'string', nullable: true },
+      proxy: { type: 'string', nullable: true, description: 'Proxy as "host:port"' },
+      startedAt: NULLABLE_DATE_TIME
+    }
+  },
+  ServiceStatusResponse: {
+    type: 'object',
+    required: ['success', 'data'],
+    properties: {
+      success: { type: 'boolean', enum: [true] },
+      data: {
+        type: 'object',
+        required: ['isInitialized', 'isRefreshing', 'serviceInstanceId', 'isLeader', 'leader'],
+        properties: {
+          isInitialized: { type: 'boolean' },
+          isRefreshing: { type: 'boolean' },
+          queueLength: { type: 'integer', minimum: 0 },
+          workers: { type: 'array', items: { $ref: '#/components/schemas/RefreshWorker' } },
+          serviceInstanceId: { type: 'string' },
+          isLeader: { type: 'boolean', description: 'Whether the answering instance runs scheduled work' },
+          leader: {
+            anyOf: [
+              {
+                type: 'object',
+                required: ['serviceInstanceId', 'fencingToken', 'leaseExpiresAt'],
+                properties: {
+                  serviceInstanceId: { type: 'string' },
+                  fencingToken: { type: 'integer', minimum: 1 },
+                  acquiredAt: DATE_TIME,
+                  leaseExpiresAt: DATE_TIME
+                }
+              },
+              { enum: [null] }
+            ],
+            description: 'Instance holding the scheduler leader lock, or null while there is none'
+          },
+          circuitBreaker: { type: 'object' },
+          uptime: { type: 'number' },
+          timestamp: DATE_TIME,
+          version: { type: 'string' }
+        }
+      }
+    }
+  },
+
+  // DELETE /cleanup
+  CleanupQuery: {
+    type: 'object',
+    additionalProperties: false,
+    properties: {
+      days: { type: 'integer', minimum: 1, maximum: 365, default: 30 }
+    }
+  },
+  CleanupResponse: {
+    type: 'object',
+    required: ['success', 'deletedCount', 'daysToKeep', 'timestamp'],
+    properties: {
+      success: { type: 'boolean', enum: [true] },
+      message: { type: 'string' },
+      deletedCount: { type: 'integer', minimum: 0 },
+      daysToKeep: { type: 'integer', minimum: 1, maximum: 365 },
+      archive: { type: 'string', description: 'Archive holding the deleted records, when archiving is enabled' },
+      timestamp: DATE_TIME
+    }
+  },
+
+  // Retention
+  Archive: {
+    type: 'object',
+    required: ['name', 'collection', 'createdAt', 'size'],
+    properties: {
+      name: { type: 'string', example: 'sessions-2026-01-01T00-00-00-000Z-3f9a1c.ndjson.gz' },
+      collection: { type: 'string', enum: ['refreshes', 'sessions', 'cookieVersions', 'jobs'] },
+      createdAt: DATE_TIME,
+      size: { type: 'integer', minimum: 0, description: 'Compressed size in bytes' }
+    }
+  },
+  ArchivesResponse: {
+    type: 'object',
+    required: ['success', 'data'],
+    properties: {
+      success: { type: 'boolean', enum: [true] },
+      data: { type: 'array', items: { $ref: '#/components/schemas/Archive' } }
+    }
+  },
+  ArchiveRestoreResponse: {
+    type: 'object',
+    required: ['success', 'data'],
+    properties: {
+      success: { type: 'boolean', enum: [true] },
+      data: {
+        type: 'object',
+        required: ['name', 'collection', 'restoredCount', 'skippedCount'],
+        properties: {
+          name: { type: 'string' },
+          collection: { type: 'string', enum: ['refreshes', 'sessions', 'cookieVersions', 'jobs'] },
+          restoredCount: { type: 'integer', minimum: 0 },
+          skippedCount: { type: 'integer', minimum: 0, description: 'Records that already existed' }
+        }
+      }
+    }
+  },
+
+  // Refresh job queue
+  QueueQuery: {
+    type: 'object',
+    additionalProperties: false,
+    properties: {
+      page: { type: 'integer', minimum: 1, default: 1 },
+      limit: { type: 'integer', minimum: 1, maximum: 500, default: 50 },
+      profile: PROFILE_NAME,
+      state: { type: 'string', enum: ['queued', 'in_progress'] }
+    }
+  },
+  QueueResponse: {
+    type: 'object',
+    required: ['success', 'data'],
+    properties: {
+      success: { type: 'boolean', enum: [true] },
+      data: {
+        type: 'object',
+        required: ['jobs', 'pagination'],
+        properties: {
+          jobs: { type: 'array', items: { $ref: '#/components/schemas/Job' } },
+          pagination: { $ref: '#/components/schemas/Pagination' }
+        }
+      }
+    }
+  },
+  QueueDropResponse: {
+    type: 'object',
+    required: ['success', 'data'],
+    properties: {
+      success: { type: 'boolean', enum: [true] },
+      message: { type: 'string' },
+      data: { $ref: '#/components/schemas/Job' }
+    }
+  },
+
+  // Sessions
+  SessionsQuery: {
+    type: 'object',
+    additionalProperties: false,
+    properties: {
+      page: { type: 'integer', minimum: 1, default: 1 },
+      limit: { type: 'integer', minimum: 1, maximum: 500, default: 20 },
+      profile: PROFILE_NAME,
+      eventId: { type: 'string' },
+      refreshId: { type: 'string' },
+      proxy: { type: 'string', description: 'Proxy as "host:port"' },
+      cookieVersionId: { type: 'string' },
+      userAgent: { type: 'string' },
+      from: { ...DATE_TIME, description: 'Only sessions created at or after this time' },
+      to: { ...DATE_TIME, description: 'Only sessions created at or before this time' }
+    }
+  },
+  Session: {
+    type: 'object',
+    required: ['sessionId', 'refreshId', 'profile', 'createdAt'],
+    properties: {
+      sessionId: { type: 'string' },
+      refreshId: { type: 'string' },
+      profile: PROFILE_NAME,
+      eventId: { type: 'string', nullable: true },
+      proxy: { type: 'string', nullable: true, description: 'Proxy as "host:port"; credentials are never stored' },
+      fingerprint: { type: 'object', nullable: true },
+      userAgent: { type: 'string', nullable: true },
+      cookieVersionId: { type: 'string', nullable: true, description: 'Cookie jar version the session produced' },
+      cookiesHash: { type: 'string', nullable: true },
+      cookieCount: { type: 'integer', minimum: 0 },
+      reused: { type: 'boolean' },
+      createdAt: DATE_TIME,
+      updatedAt: DATE_TIME
+    }
+  },
+  SessionsResponse: {
+    type: 'object',
+    required: ['success', 'data'],
+    properties: {
+      success: { type: 'boolean', enum: [true] },
+      data: {
+        type: 'object',
+        required: ['sessions', 'pagination'],
+        properties: {
+          sessions: { type: 'array', items: { $ref: '#/components/schemas/Session' } },
+          pagination: { $ref: '#/components/schemas/Pagination' }
+        }
+      }
+    }
+  },
+  SessionResponse: {
+    type: 'object',
+    required: ['success', 'data'],
+    properties: {
+      success: { type: 'boolean', enum: [true] },
+      data: { $ref: '#/components/schemas/Session' }
+    }
+  },
+
+  // Schedules
+  ProfileRequest: {
+    type: 'object',
+    required: ['name'],
+    additionalProperties: false,
+    properties: {
+      name: PROFILE_NAME,
+      description: { type: 'string' },
+      eventId: { type: 'string', nullable: true, description: 'Event the profile refreshes with; a random one when unset' },
+      proxy: { type: 'string', nullable: true, description: 'Proxy as "host:port" from the proxy list' },
+      refreshInterval: {
+        type: 'integer',
+        minimum: 5,
+        maximum: 1440,
+        description: 'Minutes between refreshes, used only when the jar has no expiring cookies; otherwise the next refresh is planned from the cookie lifetimes (see refreshPlan)'
+      },
+      enabled: { type: 'boolean', description: 'Whether the scheduler refreshes the profile automatically' }
+    }
+  },
+  ProfileUpdateRequest: {
+    type: 'object',
+    additionalProperties: false,
+    properties: {
+      description: { type: 'string' },
+      eventId: { type: 'string', nullable: true, description: 'Event the profile refreshes with; a random one when unset' },
+      proxy: { type: 'string', nullable: true, description: 'Proxy as "host:port" from the proxy list' },
+      refreshInterval: {
+        type: 'integer',
+        minimum: 5,
+        maximum: 1440,
+        description: 'Minutes between refreshes, used only when the jar has no expiring cookies; otherwise the next refresh is planned from the cookie lifetimes (see refreshPlan)'
+      },
+      enabled: { type: 'boolean', description: 'Whether the scheduler refreshes the profile automatically' }
+    }
+  },
+  ScheduleRequest: {
+    type: 'object',
+    required: ['cron'],
+    additionalProperties: false,
+    properties: {
+      description: { type: 'string', nullable: true },
+      cron: { type: 'string', description: 'Five-field cron expression: minute hour day-of-month month day-of-week', example: '*/20 * * * *' },
+      timezone: { type: 'string', description: 'IANA time zone the expression is evaluated in', example: 'UTC' },
+      jitter: { type: 'integer', minimum: 0, maximum: 3600, description: 'Up to this many seconds are added at random to each run' },
+      profile: PROFILE_NAME,
+      eventId: { type: 'string', minLength: 1, nullable: true, description: "Defaults to the profile's event or a random one" },
+      proxy: { type: 'string', nullable: true, description: 'Proxy as "host:port" from the proxy list' },
+      enabled: { type: 'boolean' }
+    }
+  },
+  ScheduleUpdateRequest: {
+    type: 'object',
+    additionalProperties: false,
+    properties: {
+      description: { type: 'string', nullable: true },
+      cron: { type: 'string', description: 'Five-field cron expression: minute hour day-of-month month day-of-week', example: '*/20 * * * *' },
+      timezone: { type: 'string', description: 'IANA time zone the expression is evaluated in', example: 'UTC' },
+      jitter: { type: 'integer', minimum: 0, maximum: 3600, description: 'Up to this many seconds are added at random to each run' },
+      profile: PROFILE_NAME,
+      eventId: { type: 'string', minLength: 1, nullable: true, description: "Defaults to the profile's event or a random one" },
+      proxy: { type: 'string', nullable: true, description: 'Proxy as "host:port" from the proxy list' },
+      enabled: { type: 'boolean' }
+    }
+  },
+  SchedulesQuery: {
+    type: 'object',
+    additionalProperties: false,
+    properties: {
+      profile: PROFILE_NAME
+    }
+  },
+  Schedule: {
+    type: 'object',
+    required: ['scheduleId', 'cron', 'timezone', 'jitter', 'profile', 'enabled'],
+    properties: {
+      scheduleId: { type: 'string' },
+      description: { type: 'string', nullable: true },
+      cron: { type: 'string', description: 'Five-field cron expression: minute hour day-of-month month day-of-week', example: '*/20 * * * *' },
+      timezone: { type: 'string', description: 'IANA time zone the expression is evaluated in', example: 'UTC' },
+      jitter: { type: 'integer', minimum: 0, maximum: 3600, description: 'Up to this many seconds are added at random to each run' },
+      profile: PROFILE_NAME,
+      eventId: { type: 'string', minLength: 1, nullable: true, description: "Defaults to the profile's event or a random one" },
+      proxy: { type: 'string', nullable: true, description: 'Proxy as "host:port" from the proxy list' },
+      enabled: { type: 'boolean' },
+      nextRunAt: { ...NULLABLE_DATE_TIME, description: 'Next run, jitter included; null while disabled' },
+      lastRunAt: NULLABLE_DATE_TIME,
+      lastJobId: { type: 'string', nullable: true, description: 'Refresh job started by the last run' },
+      createdAt: DATE_TIME,
+      updatedAt: DATE_TIME
+    }
+  },
+  ScheduleResponse: {
+    type: 'object',
+    required: ['success', 'data'],
+    properties: {
+      success: { type: 'boolean', enum: [true] },
+      data: { $ref: '#/components/schemas/Schedule' }
+    }
+  },
+  SchedulesResponse: {
+    type: 'object',
+    required: ['success', 'data'],
+    properties: {
+      success: { type: 'boolean', enum: [true] },
+      data: { type: 'array', items: { $ref: '#/components/schemas/Schedule' } }
+    }
+  },
+  UpcomingRunsQuery: {
+    type: 'object',
+    additionalProperties: false,
+    properties: {
+      limit: { type: 'integer', minimum: 1, maximum: 100, default: 10 }
+    }
+  },
+  UpcomingRunsResponse: {
+    type: 'object',
+    required: ['success', 'data'],
+    properties: {
+      success: { type: 'boolean', enum: [true] },
+      data: {
+        type: 'array',
+        items: {
+          type: 'object',
+          required: ['scheduleId', 'profile', 'cron', 'jitter', 'runAt'],
+          properties: {
+            scheduleId: { type: 'string' },
+            profile: PROFILE_NAME,
+            cron: { type: 'string' },
+            jitter: { type: 'integer', minimum: 0 },
+            runAt: { ...DATE_TIME, description: 'Planned start; for runs after the next one this includes an estimated jitter, drawn again when the run is planned' }
+          }
+        }
+      }
+    }
+  },
+
+  // Health routes
+  HealthResponse: {
+    type: 'object',
+    required: ['status', 'service', 'timestamp', 'uptime', 'version'],
+    properties: {
+      status: { type: 'string', enum: ['healthy'] },
+      service: { type: 'string' },
+      timestamp: DATE_TIME,
+      uptime: { type: 'number', description: 'Seconds' },
+      version: { type: 'string' }
+    }
+  },
+  DetailedHealthResponse: {
+    type: 'object',
+    required: ['status', 'service', 'timestamp', 'uptime', 'version', 'checks'],
+    properties: {
+      status: { type: 'string', enum: ['healthy', 'unhealthy'] },
+      service: { type: 'string' },
+      timestamp: DATE_TIME,
+      uptime: { type: 'number', description: 'Seconds' },
+      version: { type: 'string' },
+      checks: {
+        type: 'object',
+        required: ['database', 'memory', 'disk'],
+        properties: {
+          database: { type: 'string', enum: ['unknown', 'healthy', 'unhealthy'] },
+          memory: {
+            anyOf: [
+              { type: 'string' },
+              {
+                type: 'object',
+                required: ['status', 'usage'],
+                properties: {
+                  status: { type: 'string', enum: ['healthy', 'warning', 'critical'] },
+                  usage: {
+                    type: 'object',
+                    description: 'Megabytes',
+                    properties: {
+                      rss: { type: 'integer' },
+                      heapTotal: { type: 'integer' },
+                      heapUsed: { type: 'integer' },
+                      external: { type: 'integer' }
+                    }
+                  }
+                }
+              }
+            ]
+          },
+          disk: { type: 'string' }
+        }
+      },
+      error: { type: 'string' }
+    }
+  },
+  ReadinessResponse: {
+    type: 'object',
+    required: ['status', 'timestamp'],
+    properties: {
+      status: { type: 'string', enum: ['ready', 'not ready'] },
+      reason: { type: 'string' },
+      timestamp: DATE_TIME
+    }
+  },
+  LivenessResponse: {
+    type: 'object',
+    required: ['status', 'timestamp', 'uptime'],
+    properties: {
+      status: { type: 'string', enum: ['alive'] },
+      timestamp: DATE_TIME,
+      uptime: { type: 'number', description: 'Seconds' }
+    }
+  }
+};
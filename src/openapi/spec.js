@@ -0,0 +1,615 @@
+import { schemas } from './schemas.js';
+
+/**
+ * Every route the service exposes, in OpenAPI path syntax
+ * `query`, `body` and `responses` name entries in ./schemas.js; routes whose
+ * operation has a `query` or `body` schema validate it with middleware/validate.js.
+ * New routes must be added here so the spec, docs index and validation stay in sync.
+ */
+export const OPERATIONS = [
+  // Cookies
+  {
+    operationId: 'getCurrentCookies',
+    method: 'get',
+    path: '/api/cookie-refresh/cookies',
+    tag: 'Cookies',
+    scope: 'cookies:read',
+    summary: 'Get current cookies (?format=json|netscape|header|har|tough-cookie, ?profile=<name>)'
+  },
+  {
+    operationId: 'getCookieTtl',
+    method: 'get',
+    path: '/api/cookie-refresh/cookies/ttl',
+    tag: 'Cookies',
+    scope: 'cookies:read',
+    summary: 'Get the time left on each cookie and on the jar as a whole (?profile=<name>)',
+    query: 'CookieTtlQuery',
+    responses: { 200: 'CookieTtlResponse' }
+  },
+  {
+    operationId: 'validateCurrentCookies',
+    method: 'get',
+    path: '/api/cookie-refresh/cookies/validate',
+    tag: 'Cookies',
+    scope: 'cookies:read',
+    summary: 'Check the current jar against the required cookie lists and per-domain minimums (?profile=<name>)',
+    query: 'CookieValidateQuery',
+    responses: { 200: 'CookieValidateResponse' }
+  },
+  {
+    operationId: 'leaseCookies',
+    method: 'post',
+    path: '/api/cookie-refresh/cookies/lease',
+    tag: 'Cookies',
+    scope: 'cookies:lease',
+    summary: 'Check out the current cookie set under a lease',
+    responses: { 201: 'SuccessResponse' }
+  },
+  {
+    operationId: 'getCookieLease',
+    method: 'get',
+    path: '/api/cookie-refresh/cookies/lease/{leaseId}',
+    tag: 'Cookies',
+    scope: 'cookies:lease',
+    summary: 'Get details of a cookie lease'
+  },
+  {
+    operationId: 'releaseCookieLease',
+    method: 'post',
+    path: '/api/cookie-refresh/cookies/lease/{leaseId}/release',
+    tag: 'Cookies',
+    scope: 'cookies:lease',
+    summary: 'Release a cookie lease with an outcome (ok, rejected, expired)'
+  },
+  {
+    operationId: 'listCookieVersions',
+    method: 'get',
+    path: '/api/cookie-refresh/cookies/versions',
+    tag: 'Cookies',
+    scope: 'cookies:read',
+    summary: 'List cookie jar versions, newest first (?profile=<name>)',
+    query: 'CookieVersionsQuery',
+    responses: { 200: 'CookieVersionsResponse' }
+  },
+  {
+    operationId: 'getCookieVersion',
+    method: 'get',
+    path: '/api/cookie-refresh/cookies/versions/{versionId}',
+    tag: 'Cookies',
+    scope: 'cookies:read',
+    summary: 'Get a cookie jar version (values masked unless ?reveal=true)',
+    query: 'CookieVersionQuery',
+    responses: { 200: 'CookieVersionResponse' }
+  },
+  {
+    operationId: 'diffCookieVersions',
+    method: 'get',
+    path: '/api/cookie-refresh/cookies/versions/{a}/diff/{b}',
+    tag: 'Cookies',
+    scope: 'cookies:read',
+    summary: 'Compare two cookie jar versions (values masked unless ?reveal=true)',
+    query: 'CookieVersionQuery',
+    responses: { 200: 'CookieVersionDiffResponse' }
+  },
+
+  // Refresh operations
+  {
+    operationId: 'getCookieRefreshStats',
+    method: 'get',
+    path: '/api/cookie-refresh/stats',
+    tag: 'Refresh',
+    scope: 'refresh:read',
+    summary: 'Get cookie refresh statistics',
+    query: 'StatsQuery',
+    responses: { 200: 'StatsResponse' }
+  },
+  {
+    operationId: 'getCookieRefreshTimeseries',
+    method: 'get',
+    path: '/api/cookie-refresh/stats/timeseries',
+    tag: 'Refresh',
+    scope: 'refresh:read',
+    summary: 'Get cookie refresh statistics per hour or day',
+    query: 'TimeseriesQuery',
+    responses: { 200: 'TimeseriesResponse' }
+  },
+  {
+    operationId: 'getServiceStatus',
+    method: 'get',
+    path: '/api/cookie-refresh/status',
+    tag: 'Refresh',
+    scope: 'refresh:read',
+    summary: 'Get service status, including the current scheduler leader',
+    responses: { 200: 'ServiceStatusResponse' }
+  },
+  {
+    operationId: 'getRecentRefreshes',
+    method: 'get',
+    path: '/api/cookie-refresh/history',
+    tag: 'Refresh',
+    scope: 'refresh:read',
+    summary: 'Get list of recent cookie refresh operations',
+    query: 'HistoryQuery',
+    responses: { 200: 'HistoryResponse' }
+  },
+  {
+    operationId: 'exportRefreshHistory',
+    method: 'get',
+    path: '/api/cookie-refresh/history/export',
+    tag: 'Refresh',
+    scope: 'refresh:read',
+    summary: 'Download the full refresh history as CSV (or NDJSON with ?format=ndjson)',
+    query: 'HistoryExportQuery',
+    contentType: 'text/csv'
+  },
+  {
+    operationId: 'triggerRefresh',
+    method: 'post',
+    path: '/api/cookie-refresh/trigger',
+    tag: 'Refresh',
+    scope: 'refresh:trigger',
+    summary: 'Trigger a manual cookie refresh and get a job ID (?wait=<seconds> to block)',
+    query: 'TriggerQuery',
+    body: 'TriggerRequest',
+    responses: { 200: 'TriggerResponse', 202: 'TriggerResponse' }
+  },
+  {
+    operationId: 'getJobStatus',
+    method: 'get',
+    path: '/api/cookie-refresh/jobs/{jobId}',
+    tag: 'Refresh',
+    scope: 'refresh:read',
+    summary: 'Get state, attempts and result of a refresh job (?wait=<seconds> to block)'
+  },
+  {
+    operationId: 'streamRefreshEvents',
+    method: 'get',
+    path: '/api/cookie-refresh/events',
+    tag: 'Refresh',
+    scope: 'refresh:read',
+    summary: 'Server-Sent Events stream of refresh lifecycle events (?types=a,b)',
+    contentType: 'text/event-stream'
+  },
+  {
+    operationId: 'resetCircuitBreaker',
+    method: 'post',
+    path: '/api/cookie-refresh/circuit-breaker/reset',
+    tag: 'Refresh',
+    scope: 'admin',
+    summary: 'Reset the circuit breaker'
+  },
+  {
+    operationId: 'cleanupOldRecords',
+    method: 'delete',
+    path: '/api/cookie-refresh/cleanup',
+    tag: 'Refresh',
+    scope: 'admin',
+    summary: 'Clean up old refresh records',
+    query: 'CleanupQuery',
+    responses: { 200: 'CleanupResponse' }
+  },
+  {
+    operationId: 'getRefreshDetails',
+    method: 'get',
+    path: '/api/cookie-refresh/{refreshId}',
+    tag: 'Refresh',
+    scope: 'refresh:read',
+    summary: 'Get details of a specific cookie refresh'
+  },
+
+  // Profiles
+  {
+    operationId: 'listProfiles',
+    method: 'get',
+    path: '/api/cookie-refresh/profiles',
+    tag: 'Profiles',
+    scope: 'refresh:read',
+    summary: 'List named cookie profiles'
+  },
+  {
+    operationId: 'createProfile',
+    method: 'post',
+    path: '/api/cookie-refresh/profiles',
+    tag: 'Profiles',
+    scope: 'profiles:write',
+    summary: 'Create a named cookie profile',
+    body: 'ProfileRequest',
+    responses: { 201: 'SuccessResponse' }
+  },
+  {
+    operationId: 'getProfile',
+    method: 'get',
+    path: '/api/cookie-refresh/profiles/{name}',
+    tag: 'Profiles',
+    scope: 'refresh:read',
+    summary: 'Get a named cookie profile'
+  },
+  {
+    operationId: 'updateProfile',
+    method: 'patch',
+    path: '/api/cookie-refresh/profiles/{name}',
+    tag: 'Profiles',
+    scope: 'profiles:write',
+    summary: 'Update a named cookie profile',
+    body: 'ProfileUpdateRequest'
+  },
+  {
+    operationId: 'deleteProfile',
+    method: 'delete',
+    path: '/api/cookie-refresh/profiles/{name}',
+    tag: 'Profiles',
+    scope: 'profiles:write',
+    summary: 'Delete a named cookie profile and its jar'
+  },
+
+  // API keys
+  {
+    operationId: 'listApiKeys',
+    method: 'get',
+    path: '/api/cookie-refresh/api-keys',
+    tag: 'API keys',
+    scope: 'admin',
+    summary: 'List API keys'
+  },
+  {
+    operationId: 'issueApiKey',
+    method: 'post',
+    path: '/api/cookie-refresh/api-keys',
+    tag: 'API keys',
+    scope: 'admin',
+    summary: 'Issue an API key',
+    responses: { 201: 'SuccessResponse' }
+  },
+  {
+    operationId: 'revokeApiKey',
+    method: 'delete',
+    path: '/api/cookie-refresh/api-keys/{keyId}',
+    tag: 'API keys',
+    scope: 'admin',
+    summary: 'Revoke an API key'
+  },
+
+  // Webhooks
+  {
+    operationId: 'listWebhooks',
+    method: 'get',
+    path: '/api/cookie-refresh/webhooks',
+    tag: 'Webhooks',
+    scope: 'admin',
+    summary: 'List webhook subscriptions'
+  },
+  {
+    operationId: 'createWebhook',
+    method: 'post',
+    path: '/api/cookie-refresh/webhooks',
+    tag: 'Webhooks',
+    scope: 'admin',
+    summary: 'Create a webhook subscription',
+    responses: { 201: 'SuccessResponse' }
+  },
+  {
+    operationId: 'deleteWebhook',
+    method: 'delete',
+    path: '/api/cookie-refresh/webhooks/{subscriptionId}',
+    tag: 'Webhooks',
+    scope: 'admin',
+    summary: 'Delete a webhook subscription'
+  },
+  {
+    operationId: 'listWebhookDeliveries',
+    method: 'get',
+    path: '/api/cookie-refresh/webhooks/deliveries',
+    tag: 'Webhooks',
+    scope: 'admin',
+    summary: 'List webhook deliveries, ?status=dead for the dead-letter list'
+  },
+  {
+    operationId: 'replayWebhookDelivery',
+    method: 'post',
+    path: '/api/cookie-refresh/webhooks/deliveries/{deliveryId}/replay',
+    tag: 'Webhooks',
+    scope: 'admin',
+    summary: 'Replay a webhook delivery'
+  },
+
+  // Queue
+  {
+    operationId: 'listQueue',
+    method: 'get',
+    path: '/api/cookie-refresh/queue',
+    tag: 'Queue',
+    scope: 'refresh:read',
+    summary: 'List queued and running refresh jobs in the order workers claim them',
+    query: 'QueueQuery',
+    responses: { 200: 'QueueResponse' }
+  },
+  {
+    operationId: 'dropQueuedJob',
+    method: 'delete',
+    path: '/api/cookie-refresh/queue/{jobId}',
+    tag: 'Queue',
+    scope: 'refresh:trigger',
+    summary: 'Drop a refresh job that has not started yet',
+    responses: { 200: 'QueueDropResponse' }
+  },
+
+  // Sessions
+  {
+    operationId: 'listSessions',
+    method: 'get',
+    path: '/api/cookie-refresh/sessions',
+    tag: 'Sessions',
+    scope: 'refresh:read',
+    summary: 'List browser sessions, newest first, with filters',
+    query: 'SessionsQuery',
+    responses: { 200: 'SessionsResponse' }
+  },
+  {
+    operationId: 'getSession',
+    method: 'get',
+    path: '/api/cookie-refresh/sessions/{sessionId}',
+    tag: 'Sessions',
+    scope: 'refresh:read',
+    summary: 'Get a browser session',
+    responses: { 200: 'SessionResponse' }
+  },
+
+  // Schedules
+  {
+    operationId: 'listSchedules',
+    method: 'get',
+    path: '/api/cookie-refresh/schedules',
+    tag: 'Schedules',
+    scope: 'refresh:read',
+    summary: 'List refresh schedules',
+    query: 'SchedulesQuery',
+    responses: { 200: 'SchedulesResponse' }
+  },
+  {
+    operationId: 'getUpcomingRuns',
+    method: 'get',
+    path: '/api/cookie-refresh/schedules/upcoming',
+    tag: 'Schedules',
+    scope: 'refresh:read',
+    summary: 'List the next planned runs of all enabled schedules',
+    query: 'UpcomingRunsQuery',
+    responses: { 200: 'UpcomingRunsResponse' }
+  },
+  {
+    operationId: 'createSchedule',
+    method: 'post',
+    path: '/api/cookie-refresh/schedules',
+    tag: 'Schedules',
+    scope: 'profiles:write',
+    summary: 'Create a cron refresh schedule',
+    body: 'ScheduleRequest',
+    responses: { 201: 'ScheduleResponse' }
+  },
+  {
+    operationId: 'getSchedule',
+    method: 'get',
+    path: '/api/cookie-refresh/schedules/{scheduleId}',
+    tag: 'Schedules',
+    scope: 'refresh:read',
+    summary: 'Get a refresh schedule',
+    responses: { 200: 'ScheduleResponse' }
+  },
+  {
+    operationId: 'updateSchedule',
+    method: 'patch',
+    path: '/api/cookie-refresh/schedules/{scheduleId}',
+    tag: 'Schedules',
+    scope: 'profiles:write',
+    summary: 'Update a refresh schedule and plan its next run again',
+    body: 'ScheduleUpdateRequest',
+    responses: { 200: 'ScheduleResponse' }
+  },
+  {
+    operationId: 'deleteSchedule',
+    method: 'delete',
+    path: '/api/cookie-refresh/schedules/{scheduleId}',
+    tag: 'Schedules',
+    scope: 'profiles:write',
+    summary: 'Delete a refresh schedule'
+  },
+
+  // Retention
+  {
+    operationId: 'listArchives',
+    method: 'get',
+    path: '/api/cookie-refresh/archives',
+    tag: 'Retention',
+    scope: 'admin',
+    summary: 'List retention archives, newest first',
+    responses: { 200: 'ArchivesResponse' }
+  },
+  {
+    operationId: 'restoreArchive',
+    method: 'post',
+    path: '/api/cookie-refresh/archives/{name}/restore',
+    tag: 'Retention',
+    scope: 'admin',
+    summary: 'Restore the records of a retention archive',
+    responses: { 200: 'ArchiveRestoreResponse' }
+  },
+
+  // Metrics
+  {
+    operationId: 'getMetrics',
+    method: 'get',
+    path: '/metrics',
+    tag: 'Metrics',
+    scope: 'metrics:read',
+    summary: 'Prometheus metrics in the text exposition format',
+    contentType: 'text/plain'
+  },
+
+  // Health
+  {
+    operationId: 'getHealth',
+    method: 'get',
+    path: '/api/health',
+    tag: 'Health',
+    summary: 'Basic health check',
+    responses: { 200: 'HealthResponse' }
+  },
+  {
+    operationId: 'getDetailedHealth',
+    method: 'get',
+    path: '/api/health/detailed',
+    tag: 'Health',
+    scope: 'refresh:read',
+    summary: 'Detailed health check with dependencies',
+    responses: { 200: 'DetailedHealthResponse', 503: 'DetailedHealthResponse' }
+  },
+  {
+    operationId: 'getReadiness',
+    method: 'get',
+    path: '/api/health/ready',
+    tag: 'Health',
+    summary: 'Readiness probe',
+    responses: { 200: 'ReadinessResponse', 503: 'ReadinessResponse' }
+  },
+  {
+    operationId: 'getLiveness',
+    method: 'get',
+    path: '/api/health/live',
+    tag: 'Health',
+    summary: 'Liveness probe',
+    responses: { 200: 'LivenessResponse' }
+  }
+];
+
+/**
+ * Look up an operation by its ID
+ * @param {string} operationId - Operation ID from OPERATIONS
+ * @returns {object} The operation
+ */
+export function getOperation(operationId) {
+  const operation = OPERATIONS.find(op => op.operationId === operationId);
+  if (!operation) {
+    throw new Error(`Unknown OpenAPI operation: ${operationId}`);
+  }
+  return operation;
+}
+
+/**
+ * Reference a component schema
+ * @param {string} name - Schema name
+ * @returns {object} $ref object
+ */
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+
+/**
+ * Describe a JSON response
+ * @param {string} description - Response description
+ * @param {string} schemaName - Component schema name
+ * @returns {object} OpenAPI response object
+ */
+const jsonResponse = (description, schemaName) => ({
+  description,
+  content: { 'application/json': { schema: ref(schemaName) } }
+});
+
+/**
+ * Build the OpenAPI parameters for an operation from its path and query schema
+ * @param {object} operation - Operation from OPERATIONS
+ * @returns {Array} OpenAPI parameter objects
+ */
+function buildParameters(operation) {
+  const pathParameters = [...operation.path.matchAll(/\{(\w+)\}/g)].map(([, name]) => ({
+    name,
+    in: 'path',
+    required: true,
+    schema: { type: 'string' }
+  }));
+
+  const querySchema = operation.query ? schemas[operation.query] : null;
+  const queryParameters = Object.entries(querySchema?.properties || {}).map(([name, schema]) => ({
+    name,
+    in: 'query',
+    required: (querySchema.required || []).includes(name),
+    ...(schema.description && { description: schema.description }),
+    schema
+  }));
+
+  return [...pathParameters, ...queryParameters];
+}
+
+/**
+ * Build the OpenAPI responses for an operation
+ * @param {object} operation - Operation from OPERATIONS
+ * @returns {object} OpenAPI responses object
+ */
+function buildResponses(operation) {
+  const responses = {};
+
+  for (const [status, schemaName] of Object.entries(operation.responses || {})) {
+    responses[status] = jsonResponse(status === '202' ? 'Accepted' : 'Success', schemaName);
+  }
+
+  if (Object.keys(responses).length === 0) {
+    responses[200] = operation.contentType
+      ? { description: 'Success', content: { [operation.contentType]: { schema: { type: 'string' } } } }
+      : jsonResponse('Success', 'SuccessResponse');
+  }
+
+  if (operation.query || operation.body) {
+    responses[400] = jsonResponse('Invalid request', 'ValidationErrorResponse');
+  }
+  if (operation.scope) {
+    responses[401] = jsonResponse('Missing or invalid API key', 'ErrorResponse');
+    responses[403] = jsonResponse(`API key lacks the ${operation.scope} scope`, 'ErrorResponse');
+  }
+  if (operation.tag !== 'Health') {
+    responses[500] = jsonResponse('Internal error', 'ErrorResponse');
+  }
+
+  return responses;
+}
+
+/**
+ * Build the OpenAPI 3 document for the service
+ * @returns {object} OpenAPI document
+ */
+export function buildOpenApiSpec() {
+  const paths = {};
+
+  for (const operation of OPERATIONS) {
+    paths[operation.path] = paths[operation.path] || {};
+    paths[operation.path][operation.method] = {
+      operationId: operation.operationId,
+      tags: [operation.tag],
+      summary: operation.summary,
+      ...(operation.scope && { description: `Requires an API key with the \`${operation.scope}\` scope.` }),
+      security: operation.scope ? [{ ApiKeyHeader: [] }, { BearerAuth: [] }] : [],
+      parameters: buildParameters(operation),
+      ...(operation.body && {
+        requestBody: {
+          required: false,
+          content: { 'application/json': { schema: ref(operation.body) } }
+        }
+      }),
+      responses: buildResponses(operation)
+    };
+  }
+
+  return {
+    openapi: '3.0.3',
+    info: {
+      title: 'Cookie Refresh Service',
+      version: process.env.npm_package_version || '1.0.0',
+      description: 'Keeps browser cookie jars fresh and serves them to scrapers.'
+    },
+    servers: [{ url: '/' }],
+    tags: [...new Set(OPERATIONS.map(op => op.tag))].map(name => ({ name })),
+    paths,
+    components: {
+      schemas,
+      securitySchemes: {
+        ApiKeyHeader: { type: 'apiKey', in: 'header', name: 'X-API-Key' },
+        BearerAuth: { type: 'http', scheme: 'bearer' }
+      }
+    }
+  };
+}
@@ -0,0 +1,23 @@
+import express from 'express';
+import { authenticate, requireScope } from '../middleware/apiKeyAuth.js';
+import {
+  issueApiKey,
+  listApiKeys,
+  revokeApiKey
+} from '../controllers/apiKeyController.js';
+
+const router = express.Router();
+
+// All key management requires an admin key
+router.use(authenticate, requireScope('admin'));
+
+// List API keys
+router.get('/', listApiKeys);
+
+// Issue a new API key
+router.post('/', issueApiKey);
+
+// Revoke an API key
+router.delete('/:keyId', revokeApiKey);
+
+export default router;
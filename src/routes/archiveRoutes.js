@@ -0,0 +1,16 @@
+import express from 'express';
+import { authenticate, requireScope } from '../middleware/apiKeyAuth.js';
+import { validate } from '../middleware/validate.js';
+import { listArchives, restoreArchive } from '../controllers/archiveController.js';
+
+const router = express.Router();
+
+router.use(authenticate);
+
+// List retention archives
+router.get('/', requireScope('admin'), validate('listArchives'), listArchives);
+
+// Restore the records of an archive
+router.post('/:name/restore', requireScope('admin'), validate('restoreArchive'), restoreArchive);
+
+export default router;
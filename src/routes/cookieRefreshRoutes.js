@@ -1,37 +1,65 @@
 import express from 'express';
 import {
   getCurrentCookies,
+  getCookieTtl,
+  validateCurrentCookies,
+  leaseCookies,
+  releaseCookieLease,
+  getCookieLease,
   getCookieRefreshStats,
+  getCookieRefreshTimeseries,
   getRecentRefreshes,
+  exportRefreshHistory,
   triggerRefresh,
+  getJobStatus,
   getRefreshDetails,
   getServiceStatus,
   resetCircuitBreaker,
   cleanupOldRecords
 } from '../controllers/cookieRefreshController.js';
+import { streamRefreshEvents } from '../controllers/eventStreamController.js';
+import {
+  listCookieVersions,
+  getCookieVersion,
+  diffCookieVersions
+} from '../controllers/cookieVersionController.js';
+import profileRoutes from './profileRoutes.js';
+import apiKeyRoutes from './apiKeyRoutes.js';
+import webhookRoutes from './webhookRoutes.js';
+import sessionRoutes from './sessionRoutes.js';
+import archiveRoutes from './archiveRoutes.js';
+import scheduleRoutes from './scheduleRoutes.js';
+import queueRoutes from './queueRoutes.js';
+import { authenticate, requireScope } from '../middleware/apiKeyAuth.js';
+import { validate } from '../middleware/validate.js';
+import { OPERATIONS } from '../openapi/spec.js';
 
 const router = express.Router();
 
+// Every route requires an API key; scopes are checked per route
+router.use(authenticate);
+
 // API documentation endpoint
 router.get('/', (req, res) => {
   res.json({
     service: 'Cookie Refresh Service',
     version: '1.0.0',
-    endpoints: {
-      'GET /cookies': 'Get current cookies',
-      'GET /stats': 'Get cookie refresh statistics',
-      'GET /history': 'Get list of recent cookie refresh operations',
-      'GET /status': 'Get service status and health information',
-      'GET /:refreshId': 'Get details of a specific cookie refresh',
-      'POST /trigger': 'Trigger a manual cookie refresh',
-      'POST /circuit-breaker/reset': 'Reset the circuit breaker',
-      'DELETE /cleanup': 'Clean up old refresh records'
+    authentication: 'Send an API key as "Authorization: Bearer <key>" or "X-API-Key: <key>"',
+    documentation: {
+      openapi: '/api/openapi.json',
+      swaggerUi: '/api/docs'
     },
+    endpoints: Object.fromEntries(
+      OPERATIONS
+        .filter(op => op.path.startsWith(req.baseUrl))
+        .map(op => [`${op.method.toUpperCase()} ${op.path.slice(req.baseUrl.length).replace(/\{(\w+)\}/g, ':$1')}`, op.summary])
+    ),
     examples: {
       triggerRefresh: {
         url: 'POST /api/cookie-refresh/trigger',
         body: {
           eventId: 'Z7r9jZ1AdqV',
+          profile: 'default',
           proxy: {
             host: '127.0.0.1',
             port: 8080,
@@ -43,38 +71,131 @@ router.get('/', (req, res) => {
       getCookies: {
         url: 'GET /api/cookie-refresh/cookies'
       },
+      diffCookieVersions: {
+        url: 'GET /api/cookie-refresh/cookies/versions/:a/diff/:b?reveal=false'
+      },
+      exportCookies: {
+        url: 'GET /api/cookie-refresh/cookies?format=netscape'
+      },
+      leaseCookies: {
+        url: 'POST /api/cookie-refresh/cookies/lease',
+        body: {
+          ttl: 300,
+          consumer: 'scraper-1'
+        }
+      },
+      releaseLease: {
+        url: 'POST /api/cookie-refresh/cookies/lease/:leaseId/release',
+        body: {
+          outcome: 'rejected',
+          reason: 'HTTP 403 from event API'
+        }
+      },
+      createProfile: {
+        url: 'POST /api/cookie-refresh/profiles',
+        body: {
+          name: 'team-east',
+          description: 'East coast scrapers',
+          proxy: '139.171.167.138:12789',
+          refreshInterval: 20,
+          enabled: true
+        }
+      },
       getStats: {
         url: 'GET /api/cookie-refresh/stats?limit=50'
       },
+      getJob: {
+        url: 'GET /api/cookie-refresh/jobs/:jobId?wait=30'
+      },
       getHistory: {
         url: 'GET /api/cookie-refresh/history?page=1&limit=20&status=success'
+      },
+      getSessions: {
+        url: 'GET /api/cookie-refresh/sessions?profile=default&from=2024-01-01T00:00:00Z&limit=50'
       }
     }
   });
 });
 
 // Get current cookies
-router.get('/cookies', getCurrentCookies);
+router.get('/cookies', requireScope('cookies:read'), getCurrentCookies);
+
+// Get the time left on each cookie and on the jar
+router.get('/cookies/ttl', requireScope('cookies:read'), validate('getCookieTtl'), getCookieTtl);
+
+// Validate the current jar against the required cookies
+router.get('/cookies/validate', requireScope('cookies:read'), validate('validateCurrentCookies'), validateCurrentCookies);
+
+// List cookie jar versions
+router.get('/cookies/versions', requireScope('cookies:read'), validate('listCookieVersions'), listCookieVersions);
+
+// Get a cookie jar version
+router.get('/cookies/versions/:versionId', requireScope('cookies:read'), validate('getCookieVersion'), getCookieVersion);
+
+// Compare two cookie jar versions
+router.get('/cookies/versions/:a/diff/:b', requireScope('cookies:read'), validate('diffCookieVersions'), diffCookieVersions);
+
+// Lease the current cookie set
+router.post('/cookies/lease', requireScope('cookies:lease'), leaseCookies);
+
+// Get details of a cookie lease
+router.get('/cookies/lease/:leaseId', requireScope('cookies:lease'), getCookieLease);
+
+// Release a cookie lease with an outcome
+router.post('/cookies/lease/:leaseId/release', requireScope('cookies:lease'), releaseCookieLease);
 
 // Get cookie refresh statistics
-router.get('/stats', getCookieRefreshStats);
+router.get('/stats', requireScope('refresh:read'), validate('getCookieRefreshStats'), getCookieRefreshStats);
+
+// Get cookie refresh statistics per hour or day
+router.get('/stats/timeseries', requireScope('refresh:read'), validate('getCookieRefreshTimeseries'), getCookieRefreshTimeseries);
 
 // Get service status
-router.get('/status', getServiceStatus);
+router.get('/status', requireScope('refresh:read'), getServiceStatus);
 
 // Get list of recent cookie refresh operations
-router.get('/history', getRecentRefreshes);
+router.get('/history', requireScope('refresh:read'), validate('getRecentRefreshes'), getRecentRefreshes);
+
+// Download the full refresh history as CSV or NDJSON
+router.get('/history/export', requireScope('refresh:read'), validate('exportRefreshHistory'), exportRefreshHistory);
 
 // Trigger a manual cookie refresh
-router.post('/trigger', triggerRefresh);
+router.post('/trigger', requireScope('refresh:trigger'), validate('triggerRefresh'), triggerRefresh);
+
+// Get the state of a refresh job
+router.get('/jobs/:jobId', requireScope('refresh:read'), getJobStatus);
+
+// Stream refresh lifecycle events
+router.get('/events', requireScope('refresh:read'), streamRefreshEvents);
 
 // Reset circuit breaker
-router.post('/circuit-breaker/reset', resetCircuitBreaker);
+router.post('/circuit-breaker/reset', requireScope('admin'), resetCircuitBreaker);
 
 // Clean up old refresh records
-router.delete('/cleanup', cleanupOldRecords);
+router.delete('/cleanup', requireScope('admin'), validate('cleanupOldRecords'), cleanupOldRecords);
+
+// Named cookie profiles
+router.use('/profiles', profileRoutes);
+
+// API key management
+router.use('/api-keys', apiKeyRoutes);
+
+// Outbound webhooks
+router.use('/webhooks', webhookRoutes);
+
+// Browser sessions
+router.use('/sessions', sessionRoutes);
+
+// Cron refresh schedules
+router.use('/schedules', scheduleRoutes);
+
+// Durable refresh job queue
+router.use('/queue', queueRoutes);
+
+// Retention archives
+router.use('/archives', archiveRoutes);
 
 // Get details of a specific cookie refresh
-router.get('/:refreshId', getRefreshDetails);
+router.get('/:refreshId', requireScope('refresh:read'), getRefreshDetails);
 
 export default router;
\ No newline at end of file
@@ -1,13 +1,15 @@
 import express from 'express';
 import mongoose from 'mongoose';
 import { logger } from '../helpers/logger.js';
+import { authenticate, requireScope } from '../middleware/apiKeyAuth.js';
+import { validate } from '../middleware/validate.js';
 
 const router = express.Router();
 
 /**
  * Basic health check endpoint
  */
-router.get('/', (req, res) => {
+router.get('/', validate('getHealth'), (req, res) => {
   res.json({
     status: 'healthy',
     service: 'Cookie Refresh Service',
@@ -19,8 +21,9 @@ router.get('/', (req, res) => {
 
 /**
  * Detailed health check with dependencies
+ * Requires an API key since it exposes process internals; the probes stay open for orchestrators.
  */
-router.get('/detailed', async (req, res) => {
+router.get('/detailed', authenticate, requireScope('refresh:read'), validate('getDetailedHealth'), async (req, res) => {
   const health = {
     status: 'healthy',
     service: 'Cookie Refresh Service',
@@ -82,7 +85,7 @@ router.get('/detailed', async (req, res) => {
 /**
  * Readiness probe - checks if service is ready to accept requests
  */
-router.get('/ready', async (req, res) => {
+router.get('/ready', validate('getReadiness'), async (req, res) => {
   try {
     // Check if database is connected
     if (mongoose.connection.readyState !== 1) {
@@ -113,7 +116,7 @@ router.get('/ready', async (req, res) => {
 /**
  * Liveness probe - checks if service is alive
  */
-router.get('/live', (req, res) => {
+router.get('/live', validate('getLiveness'), (req, res) => {
   res.json({
     status: 'alive',
     timestamp: new Date().toISOString(),
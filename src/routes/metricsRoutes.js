@@ -0,0 +1,10 @@
+import express from 'express';
+import { getMetrics } from '../controllers/metricsController.js';
+import { authenticate, requireScope } from '../middleware/apiKeyAuth.js';
+
+const router = express.Router();
+
+// Prometheus scrape endpoint
+router.get('/', authenticate, requireScope('metrics:read'), getMetrics);
+
+export default router;
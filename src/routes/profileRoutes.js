@@ -0,0 +1,31 @@
+import express from 'express';
+import { authenticate, requireScope } from '../middleware/apiKeyAuth.js';
+import { validate } from '../middleware/validate.js';
+import {
+  listProfiles,
+  createProfile,
+  getProfile,
+  updateProfile,
+  deleteProfile
+} from '../controllers/profileController.js';
+
+const router = express.Router();
+
+router.use(authenticate);
+
+// List named cookie profiles
+router.get('/', requireScope('refresh:read'), listProfiles);
+
+// Create a named cookie profile
+router.post('/', requireScope('profiles:write'), validate('createProfile'), createProfile);
+
+// Get a named cookie profile
+router.get('/:name', requireScope('refresh:read'), getProfile);
+
+// Update a named cookie profile
+router.patch('/:name', requireScope('profiles:write'), validate('updateProfile'), updateProfile);
+
+// Delete a named cookie profile and its jar
+router.delete('/:name', requireScope('profiles:write'), deleteProfile);
+
+export default router;
@@ -0,0 +1,16 @@
+import express from 'express';
+import { authenticate, requireScope } from '../middleware/apiKeyAuth.js';
+import { validate } from '../middleware/validate.js';
+import { listQueue, dropQueuedJob } from '../controllers/queueController.js';
+
+const router = express.Router();
+
+router.use(authenticate);
+
+// List queued and running refresh jobs
+router.get('/', requireScope('refresh:read'), validate('listQueue'), listQueue);
+
+// Drop a queued refresh job
+router.delete('/:jobId', requireScope('refresh:trigger'), validate('dropQueuedJob'), dropQueuedJob);
+
+export default router;
@@ -0,0 +1,35 @@
+import express from 'express';
+import { authenticate, requireScope } from '../middleware/apiKeyAuth.js';
+import { validate } from '../middleware/validate.js';
+import {
+  listSchedules,
+  getUpcomingRuns,
+  createSchedule,
+  getSchedule,
+  updateSchedule,
+  deleteSchedule
+} from '../controllers/scheduleController.js';
+
+const router = express.Router();
+
+router.use(authenticate);
+
+// List refresh schedules
+router.get('/', requireScope('refresh:read'), validate('listSchedules'), listSchedules);
+
+// List the next planned runs of all schedules
+router.get('/upcoming', requireScope('refresh:read'), validate('getUpcomingRuns'), getUpcomingRuns);
+
+// Create a refresh schedule
+router.post('/', requireScope('profiles:write'), validate('createSchedule'), createSchedule);
+
+// Get a refresh schedule
+router.get('/:scheduleId', requireScope('refresh:read'), validate('getSchedule'), getSchedule);
+
+// Update a refresh schedule
+router.patch('/:scheduleId', requireScope('profiles:write'), validate('updateSchedule'), updateSchedule);
+
+// Delete a refresh schedule
+router.delete('/:scheduleId', requireScope('profiles:write'), validate('deleteSchedule'), deleteSchedule);
+
+export default router;
@@ -0,0 +1,16 @@
+import express from 'express';
+import { authenticate, requireScope } from '../middleware/apiKeyAuth.js';
+import { validate } from '../middleware/validate.js';
+import { listSessions, getSession } from '../controllers/sessionController.js';
+
+const router = express.Router();
+
+router.use(authenticate);
+
+// List browser sessions
+router.get('/', requireScope('refresh:read'), validate('listSessions'), listSessions);
+
+// Get a browser session
+router.get('/:sessionId', requireScope('refresh:read'), validate('getSession'), getSession);
+
+export default router;
@@ -0,0 +1,31 @@
+import express from 'express';
+import { authenticate, requireScope } from '../middleware/apiKeyAuth.js';
+import {
+  listWebhooks,
+  createWebhook,
+  deleteWebhook,
+  listWebhookDeliveries,
+  replayWebhookDelivery
+} from '../controllers/webhookController.js';
+
+const router = express.Router();
+
+// Webhook management requires an admin key
+router.use(authenticate, requireScope('admin'));
+
+// List webhook subscriptions
+router.get('/', listWebhooks);
+
+// Create a webhook subscription
+router.post('/', createWebhook);
+
+// List deliveries (?status=dead for the dead-letter list)
+router.get('/deliveries', listWebhookDeliveries);
+
+// Replay a delivery
+router.post('/deliveries/:deliveryId/replay', replayWebhookDelivery);
+
+// Delete a webhook subscription
+router.delete('/:subscriptionId', deleteWebhook);
+
+export default router;
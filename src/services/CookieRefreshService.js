@@ -1,19 +1,34 @@
 
-import fs from 'fs/promises';
-import path from 'path';
-import { fileURLToPath } from 'url';
 import CookieRefreshTracker from '../helpers/CookieRefreshTracker.js';
+import CookieLeaseTracker from '../helpers/CookieLeaseTracker.js';
+import CookieVersionTracker from '../helpers/CookieVersionTracker.js';
+import CookieValidator from '../helpers/CookieValidator.js';
+import SessionTracker from '../helpers/SessionTracker.js';
+import InstanceRegistry from '../helpers/InstanceRegistry.js';
+import LeaseLock from '../helpers/LeaseLock.js';
+import RetentionManager from '../helpers/RetentionManager.js';
+import ScheduleManager from '../helpers/ScheduleManager.js';
+import RefreshQueue from '../helpers/RefreshQueue.js';
+import CookieProfileManager from '../helpers/CookieProfileManager.js';
 import CircuitBreaker from '../helpers/CircuitBreaker.js';
+import StorageEncryption from '../helpers/StorageEncryption.js';
 import { logger } from '../helpers/logger.js';
 import { CONFIG } from '../config/serviceConfig.js';
 import { Event } from '../models/eventModel.js';
 import proxyData from '../proxy.js';
 import crypto from 'crypto';
-import { refreshCookies, loadCookiesFromFile, captureCookies } from './browser-cookies.js';
+import { refreshCookies, captureCookies } from './browser-cookies.js';
 import { BrowserFingerprint } from './browserFingerprint.js';
+import { refreshEvents, describeProxy } from '../helpers/refreshEvents.js';
+import { planNextRefresh, planReusedJar } from '../helpers/cookieExpiry.js';
+import { webhookDispatcher } from '../helpers/WebhookDispatcher.js';
+import { cookieStore } from '../stores/index.js';
 
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
+// Lock held by the instance that runs scheduled work
+const LEADER_LOCK = 'scheduler-leader';
+
+// State of a worker without a refresh
+const IDLE_WORKER = { state: 'idle', jobId: null, profile: null, refreshId: null, eventId: null, proxy: null, startedAt: null };
 
 /**
  * Main service class for handling cookie refresh operations
@@ -21,17 +36,26 @@ const __dirname = path.dirname(__filename);
 export class CookieRefreshService {
   constructor() {
     this.isInitialized = false;
-    this.isRefreshing = false;
-    this.refreshQueue = [];
+    this.isShuttingDown = false;
+    this.workers = Array.from({ length: CONFIG.SCHEDULER.MAX_CONCURRENT_REFRESHES }, (_, index) => ({
+      workerId: index + 1,
+      ...IDLE_WORKER
+    }));
+    // Tail of the chain of random event picks
+    this.eventPick = Promise.resolve();
+    // Set while workers claim jobs, and when another claim round was requested meanwhile
+    this.isDispatching = false;
+    this.dispatchRequested = false;
     this.circuitBreaker = new CircuitBreaker();
     // Fingerprint generation now handled by BrowserFingerprint service
     this.serviceInstanceId = crypto.randomUUID();
     this.schedulerInterval = null;
-    this.cookiesPath = path.join(__dirname, '../../data/cookies.json');
-    this.sessionsPath = path.join(__dirname, '../../data/sessions.json');
-    
-    // Ensure data directory exists
-    this.ensureDataDirectory();
+    this.heartbeatInterval = null;
+    this.recoveryInterval = null;
+    this.retentionInterval = null;
+    this.leaderInterval = null;
+    this.leaderLock = null;
+    this.queueInterval = null;
   }
 
   /**
@@ -40,9 +64,32 @@ export class CookieRefreshService {
   async initialize() {
     try {
       logger.info('Initializing Cookie Refresh Service...');
+
+      // Prepare the configured cookie store
+      await cookieStore.initialize();
+      logger.info(`Using the ${cookieStore.name} cookie store`);
+
+      // Encrypt plaintext data and move data off retired keys
+      await this.reencryptStoredData();
+
+      // Announce this instance, then clean up refreshes left behind by crashed ones
+      await InstanceRegistry.heartbeat(this.serviceInstanceId);
+      this.startRecovery();
+
+      // Compete for leadership; only the leader runs scheduled refreshes and retention
+      await this.startLeaderElection();
+
+      // Delete (and optionally archive) records past their retention
+      this.startRetention();
       
       // Start the scheduler
       this.startScheduler();
+
+      // Start taking jobs from the refresh queue
+      this.startQueue();
+
+      // Start retrying pending webhook deliveries
+      webhookDispatcher.start();
       
       this.isInitialized = true;
       logger.info(`Cookie Refresh Service initialized with instance ID: ${this.serviceInstanceId}`);
@@ -53,39 +100,192 @@ export class CookieRefreshService {
   }
 
   /**
-   * Ensure data directory exists
+   * Re-encrypt cookie jars, jar versions and sessions with the active encryption key
+   * Covers data written before encryption was enabled and data written with a
+   * key that has since been rotated out of first place.
    */
-  async ensureDataDirectory() {
-    const dataDir = path.join(__dirname, '../../data');
-    try {
-      await fs.access(dataDir);
-      logger.debug('Data directory exists');
-    } catch {
-      await fs.mkdir(dataDir, { recursive: true });
-      logger.info('Created data directory');
-      
-      // Create initial empty files if they don't exist
-      const cookiesFile = path.join(dataDir, 'cookies.json');
-      const sessionsFile = path.join(dataDir, 'sessions.json');
-      
-      try {
-        await fs.access(cookiesFile);
-      } catch {
-        await fs.writeFile(cookiesFile, '[]');
-        logger.info('Created initial cookies.json file');
+  async reencryptStoredData() {
+    if (!StorageEncryption.isEnabled()) {
+      logger.warn('COOKIE_ENCRYPTION_KEYS is not set - cookie jars are stored in plaintext');
+      return;
+    }
+
+    const rewritten = await cookieStore.reencrypt()
+      + await CookieVersionTracker.reencryptVersions()
+      + await SessionTracker.reencryptSessions();
+    logger.info(`Storage encryption active with key ${StorageEncryption.getActiveKeyId()} (${rewritten} entries re-encrypted)`);
+  }
+
+  /**
+   * Start the heartbeat and the periodic orphaned-refresh recovery
+   * Recovery runs once immediately so a restarted instance cleans up after its predecessor.
+   */
+  startRecovery() {
+    clearInterval(this.heartbeatInterval);
+    clearInterval(this.recoveryInterval);
+
+    this.heartbeatInterval = setInterval(() => {
+      InstanceRegistry.heartbeat(this.serviceInstanceId).catch(error => {
+        logger.error('Failed to record instance heartbeat:', error);
+      });
+    }, CONFIG.RECOVERY.HEARTBEAT_INTERVAL);
+
+    const recover = () => this.recoverAbandonedRefreshes().catch(error => {
+      logger.error('Error recovering abandoned refreshes:', error);
+    });
+    this.recoveryInterval = setInterval(recover, CONFIG.RECOVERY.CHECK_INTERVAL);
+    recover();
+  }
+
+  /**
+   * Mark in_progress refreshes that can no longer complete as abandoned
+   * A refresh is orphaned when its instance stopped sending heartbeats or it has run
+   * longer than CONFIG.RECOVERY.MAX_REFRESH_AGE. With CONFIG.RECOVERY.REQUEUE set, a
+   * new refresh job is started once per affected profile.
+   * @returns {Promise<Array<object>>} The abandoned refresh records
+   */
+  async recoverAbandonedRefreshes() {
+    await InstanceRegistry.pruneDeadInstances();
+
+    const liveInstanceIds = await InstanceRegistry.getLiveInstanceIds();
+    const orphans = await CookieRefreshTracker.findOrphanedRefreshes(liveInstanceIds, CONFIG.RECOVERY.MAX_REFRESH_AGE);
+
+    const abandoned = [];
+    for (const orphan of orphans) {
+      const instanceAlive = liveInstanceIds.includes(orphan.serviceInstance);
+
+      // Our own refresh may legitimately still be running
+      if (orphan.serviceInstance === this.serviceInstanceId && this.workers.some(worker => worker.refreshId === orphan.refreshId)) {
+        continue;
       }
-      
-      try {
-        await fs.access(sessionsFile);
-      } catch {
-        await fs.writeFile(sessionsFile, '[]');
-        logger.info('Created initial sessions.json file');
+
+      const reason = instanceAlive
+        ? `Abandoned: still in progress after ${Math.round(CONFIG.RECOVERY.MAX_REFRESH_AGE / 60000)} minutes`
+        : `Abandoned: service instance ${orphan.serviceInstance} stopped responding`;
+      const record = await CookieRefreshTracker.markAbandoned(orphan.refreshId, reason);
+      if (!record) {
+        continue;
+      }
+
+      abandoned.push(record);
+      refreshEvents.publish('refresh.abandoned', {
+        refreshId: record.refreshId,
+        profile: record.profile,
+        serviceInstance: record.serviceInstance,
+        reason
+      });
+    }
+
+    if (abandoned.length > 0) {
+      logger.warn(`Marked ${abandoned.length} orphaned refreshes as abandoned`);
+    }
+
+    if (CONFIG.RECOVERY.REQUEUE) {
+      const requeued = new Set();
+      for (const record of abandoned) {
+        if (requeued.has(record.profile)) {
+          continue;
+        }
+        requeued.add(record.profile);
+
+        const proxy = record.proxy !== 'no_proxy' ? CookieProfileManager.findProxy(record.proxy) : null;
+        const job = await this.startRefreshJob(record.eventId, proxy, record.profile, {
+          source: 'recovery',
+          dedupeKey: `profile:${record.profile}`
+        });
+        logger.info(`Re-queued abandoned refresh ${record.refreshId} for profile ${record.profile} as job ${job.jobId}`);
       }
     }
+
+    return abandoned;
+  }
+
+  /**
+   * Start competing for the scheduler leader lock
+   * The leader renews its lease every CONFIG.LOCKS.RENEW_INTERVAL; the other instances
+   * try to take the lock over on the same interval, which succeeds once the lease expires.
+   */
+  async startLeaderElection() {
+    clearInterval(this.leaderInterval);
+
+    const elect = () => this.electLeader().catch(error => {
+      logger.error('Error during leader election:', error);
+    });
+    this.leaderInterval = setInterval(elect, CONFIG.LOCKS.RENEW_INTERVAL);
+    await elect();
+  }
+
+  /**
+   * Renew the leader lock if held, otherwise try to acquire it
+   * @returns {Promise<boolean>} Whether this instance is the leader
+   */
+  async electLeader() {
+    if (this.leaderLock) {
+      const renewed = await LeaseLock.renew(this.leaderLock, CONFIG.LOCKS.LEADER_TTL);
+      if (!renewed) {
+        logger.warn(`Instance ${this.serviceInstanceId} lost scheduler leadership`);
+      }
+      this.leaderLock = renewed;
+    } else {
+      this.leaderLock = await LeaseLock.acquire(LEADER_LOCK, this.serviceInstanceId, CONFIG.LOCKS.LEADER_TTL);
+      if (this.leaderLock) {
+        logger.info(`Instance ${this.serviceInstanceId} is now the scheduler leader (token ${this.leaderLock.token})`);
+      }
+    }
+
+    return this.isLeader();
+  }
+
+  /**
+   * Whether this instance holds a live lease on the leader lock
+   * A lease that could not be renewed in time is treated as lost.
+   * @returns {boolean} True for the leader
+   */
+  isLeader() {
+    return Boolean(this.leaderLock) && this.leaderLock.expiresAt > new Date();
+  }
+
+  /**
+   * Start applying the retention policy periodically, on the leader only
+   */
+  startRetention() {
+    clearInterval(this.retentionInterval);
+
+    this.retentionInterval = setInterval(() => {
+      if (!this.isLeader()) {
+        return;
+      }
+      RetentionManager.applyAll().catch(error => {
+        logger.error('Error applying retention policy:', error);
+      });
+    }, CONFIG.RETENTION.CHECK_INTERVAL);
+  }
+
+  /**
+   * Start a refresh job for every cron schedule that is due
+   * @returns {Promise<number>} Number of schedules started
+   */
+  async runDueSchedules() {
+    const schedules = await ScheduleManager.claimDueSchedules();
+
+    for (const schedule of schedules) {
+      const proxy = schedule.proxy ? CookieProfileManager.findProxy(schedule.proxy) : null;
+      const job = await this.startRefreshJob(schedule.eventId || null, proxy, schedule.profile, {
+        source: 'schedule',
+        dedupeKey: `profile:${schedule.profile}`
+      });
+      logger.info(`Schedule ${schedule.scheduleId} started refresh job ${job.jobId} for profile ${schedule.profile}`);
+      await ScheduleManager.recordRun(schedule.scheduleId, job.jobId);
+    }
+
+    return schedules.length;
   }
 
   /**
    * Start the refresh scheduler
+   * Each tick queues jobs for due cron schedules and for profiles whose refresh interval
+   * has elapsed. Profiles with an enabled schedule are left to it. Ticks do nothing on
+   * instances that are not the leader.
    */
   startScheduler() {
     if (this.schedulerInterval) {
@@ -93,12 +293,29 @@ export class CookieRefreshService {
     }
 
     this.schedulerInterval = setInterval(async () => {
+      if (!this.isLeader()) {
+        return;
+      }
+
       try {
-        if (await CookieRefreshTracker.isRefreshDue() && !this.isRefreshing) {
-          logger.info('Scheduled refresh is due, starting refresh...');
-          this.refreshCookies().catch(error => {
-            logger.error('Scheduled refresh failed:', error);
-          });
+        // Expire leases whose consumers never checked them back in
+        await CookieLeaseTracker.expireStaleLeases();
+
+        await this.runDueSchedules();
+
+        // Queue due profiles; a profile already queued or running keeps its job
+        const cronProfiles = await ScheduleManager.getScheduledProfiles();
+        for (const profile of await CookieProfileManager.getScheduledProfileNames()) {
+          if (cronProfiles.has(profile)) {
+            continue;
+          }
+          if (await CookieRefreshTracker.isRefreshDue(profile)) {
+            const job = await this.startRefreshJob(null, null, profile, {
+              source: 'interval',
+              dedupeKey: `profile:${profile}`
+            });
+            logger.info(`Scheduled refresh is due for profile ${profile}, queued as job ${job.jobId}`);
+          }
         }
       } catch (error) {
         logger.error('Error in scheduler:', error);
@@ -109,21 +326,113 @@ export class CookieRefreshService {
   }
 
   /**
-   * Main cookie refresh method
-   * @param {string} eventId - Optional event ID to use for refresh
-   * @param {object} proxy - Optional proxy configuration
-   * @returns {Promise<object>} Refresh result
+   * Start polling the refresh queue
+   * Workers are also handed jobs as soon as this instance queues one or a worker frees up;
+   * the poll picks up jobs queued by other instances and retries that came due.
    */
-  async refreshCookies(eventId = null, proxy = null) {
-    if (this.isRefreshing) {
-      logger.warn('Cookie refresh already in progress, queuing request');
-      return new Promise((resolve, reject) => {
-        this.refreshQueue.push({ resolve, reject, eventId, proxy });
+  startQueue() {
+    clearInterval(this.queueInterval);
+
+    this.queueInterval = setInterval(() => this.dispatchRefreshes(), CONFIG.QUEUE.POLL_INTERVAL);
+    this.dispatchRefreshes();
+  }
+
+  /**
+   * Claim queued jobs for the idle workers
+   * Only one claim round runs at a time; a round requested meanwhile runs right after it.
+   */
+  async dispatchRefreshes() {
+    if (this.isDispatching) {
+      this.dispatchRequested = true;
+      return;
+    }
+
+    this.isDispatching = true;
+    try {
+      do {
+        this.dispatchRequested = false;
+        for (const worker of this.workers) {
+          if (this.isShuttingDown) {
+            return;
+          }
+          if (worker.state !== 'idle') {
+            continue;
+          }
+
+          const job = await RefreshQueue.claimNext(this.serviceInstanceId);
+          if (!job) {
+            break;
+          }
+          this.runWorker(worker, job);
+        }
+      } while (this.dispatchRequested);
+    } catch (error) {
+      logger.error('Error claiming refresh jobs:', error);
+    } finally {
+      this.isDispatching = false;
+    }
+  }
+
+  /**
+   * Run a claimed job on a worker, then free the worker for the next one
+   * Each attempt of a job is its own refresh record: the first uses the jobId as
+   * refreshId, later ones "<jobId>-<attempt>".
+   * @param {object} worker - Idle worker
+   * @param {object} job - Claimed job document
+   */
+  async runWorker(worker, job) {
+    Object.assign(worker, { state: 'starting', jobId: job.jobId, profile: job.profile, startedAt: new Date() });
+    const refreshId = job.attempts > 1 ? `${job.jobId}-${job.attempts}` : job.jobId;
+
+    // Keep other workers from taking the job over while it runs
+    const extendInterval = setInterval(() => {
+      RefreshQueue.extend(job).catch(error => {
+        logger.error(`Failed to extend the claim on refresh job ${job.jobId}:`, error);
       });
+    }, CONFIG.QUEUE.EXTEND_INTERVAL);
+
+    try {
+      const result = await this.performRefresh(worker, job.eventId, RefreshQueue.getProxy(job), job.profile, refreshId);
+      await RefreshQueue.complete(
+        job,
+        { cookieCount: result.cookieCount, retryCount: result.retryCount, lastRefresh: result.lastRefresh },
+        { refreshId: worker.refreshId, eventId: worker.eventId }
+      );
+      logger.info(`Refresh job ${job.jobId} completed successfully`);
+    } catch (error) {
+      const state = await RefreshQueue.fail(job, error.message, { refreshId: worker.refreshId }).catch(failError => {
+        logger.error(`Failed to record the failure of refresh job ${job.jobId}:`, failError);
+        return null;
+      });
+      logger.error(`Refresh job ${job.jobId} attempt ${job.attempts}/${job.maxAttempts} failed${state === 'queued' ? ', will retry' : ''}:`, error);
+    } finally {
+      clearInterval(extendInterval);
+      Object.assign(worker, IDLE_WORKER);
+      this.dispatchRefreshes();
     }
+  }
+
+  /**
+   * Count the workers without a refresh
+   * @returns {number} Idle workers
+   */
+  getIdleWorkerCount() {
+    return this.workers.filter(worker => worker.state === 'idle').length;
+  }
 
-    this.isRefreshing = true;
+  /**
+   * Refresh a profile on a worker
+   * @param {object} worker - Worker running the refresh; its state is kept up to date
+   * @param {string} eventId - Optional event ID to use for refresh
+   * @param {object} proxy - Optional proxy configuration
+   * @param {string} profile - Cookie profile to refresh
+   * @param {string} refreshId - Refresh ID for the refresh record
+   * @returns {Promise<object>} Refresh result
+   */
+  async performRefresh(worker, eventId, proxy, profile, refreshId) {
     let refreshRecord = null;
+    let lock = null;
+    let stopRenewal = null;
 
     try {
       // Check circuit breaker
@@ -131,26 +440,59 @@ export class CookieRefreshService {
         throw new Error('Circuit breaker is open - too many recent failures');
       }
 
-      // Get event ID and proxy if not provided
-      const selectedEventId = eventId || await this.getRandomEventId();
-      const selectedProxy = proxy || this.getRandomProxy();
+      const profileConfig = await CookieProfileManager.getProfile(profile);
+      if (!CookieProfileManager.isDefault(profile) && !profileConfig) {
+        throw new Error(`Cookie profile not found: ${profile}`);
+      }
+
+      // Get event ID and proxy if not provided, falling back to the profile's settings,
+      // then to ones no other worker is using
+      const selectedEventId = eventId || profileConfig?.eventId || await this.pickRandomEventId(worker);
+      const selectedProxy = proxy
+        || (profileConfig?.proxy && CookieProfileManager.findProxy(profileConfig.proxy))
+        || this.getRandomProxy(this.workers.filter(other => other !== worker && other.proxy).map(other => other.proxy));
+      Object.assign(worker, { state: 'waiting_for_lock', eventId: selectedEventId, proxy: describeProxy(selectedProxy) });
+
+      // Only one instance refreshes a profile at a time; wait for another instance's refresh to finish
+      lock = await LeaseLock.acquireWithin(
+        `refresh:${profile}`,
+        this.serviceInstanceId,
+        CONFIG.LOCKS.REFRESH_TTL,
+        CONFIG.LOCKS.WAIT_TIMEOUT
+      );
+      if (!lock) {
+        const holder = await LeaseLock.getHolder(`refresh:${profile}`);
+        throw new Error(`Profile ${profile} is still being refreshed by instance ${holder?.holder ?? 'unknown'}`);
+      }
+      stopRenewal = LeaseLock.keepAlive(lock, CONFIG.LOCKS.REFRESH_TTL);
+      const fence = () => LeaseLock.isHeld(lock);
       
       // Start tracking
       refreshRecord = await CookieRefreshTracker.startRefresh(
         selectedEventId,
         selectedProxy,
-        this.serviceInstanceId
+        this.serviceInstanceId,
+        profile,
+        refreshId
       );
+      Object.assign(worker, { state: 'refreshing', refreshId: refreshRecord.refreshId, eventId: refreshRecord.eventId });
+      refreshEvents.publish('refresh.started', {
+        refreshId: refreshRecord.refreshId,
+        profile,
+        eventId: refreshRecord.eventId,
+        proxy: describeProxy(selectedProxy)
+      });
       
       logger.info(`Starting cookie refresh for event ${selectedEventId} with proxy ${selectedProxy ? selectedProxy.host + ':' + selectedProxy.port : 'none'}`);
 
       // Execute refresh with circuit breaker
       const result = await this.circuitBreaker.execute(async () => {
-        return await this.performCookieRefresh(refreshRecord.eventId, selectedProxy);
+        return await this.performCookieRefresh(refreshRecord.eventId, selectedProxy, profile, refreshRecord.refreshId, fence);
       });
+      result.refreshId = refreshRecord.refreshId;
 
       // Mark as successful
-      await CookieRefreshTracker.markSuccess(
+      const successRecord = await CookieRefreshTracker.markSuccess(
         refreshRecord.refreshId,
         result.cookieCount,
         result.retryCount,
@@ -158,13 +500,48 @@ export class CookieRefreshService {
           fingerprint: result.fingerprint,
           userAgent: result.userAgent,
           viewport: result.viewport
-        }
+        },
+        // A reused jar keeps the plan of the refresh that produced it, so its lifetime is not extended
+        result.reused && result.producer
+          ? planReusedJar(result.producer)
+          : planNextRefresh(
+            result.cookies,
+            profileConfig ? profileConfig.refreshInterval * 60 * 1000 : CONFIG.COOKIE_REFRESH_INTERVAL
+          ),
+        result.cookiesHash
       );
 
-      logger.info(`Cookie refresh completed successfully: ${result.cookieCount} cookies`);
-      
-      // Process queued requests
-      this.processQueue(null, result);
+      // Keep the jar in the version history; a history failure must not fail the refresh
+      try {
+        const version = await CookieVersionTracker.recordVersion(profile, refreshRecord.refreshId, result.cookies);
+        result.versionId = version.versionId;
+      } catch (versionError) {
+        logger.error(`Failed to record cookie jar version for refresh ${refreshRecord.refreshId}:`, versionError);
+      }
+
+      // Record the browser session against the refresh and the jar version it produced
+      await this.saveSession({
+        refreshId: refreshRecord.refreshId,
+        profile,
+        eventId: refreshRecord.eventId,
+        proxy: describeProxy(result.proxy),
+        fingerprint: result.fingerprint,
+        userAgent: result.userAgent,
+        cookieVersionId: result.versionId || null,
+        cookiesHash: result.cookiesHash,
+        cookieCount: result.cookieCount,
+        reused: result.reused
+      });
+
+      logger.info(`Cookie refresh completed successfully for profile ${profile}: ${result.cookieCount} cookies`);
+      refreshEvents.publish('refresh.succeeded', {
+        refreshId: refreshRecord.refreshId,
+        profile,
+        cookieCount: result.cookieCount,
+        retryCount: result.retryCount,
+        duration: successRecord?.duration ?? null,
+        nextScheduledRefresh: successRecord?.nextScheduledRefresh ?? null
+      });
       
       return result;
 
@@ -175,17 +552,24 @@ export class CookieRefreshService {
         await CookieRefreshTracker.markFailed(
           refreshRecord.refreshId,
           error.message,
-          0,
+          error.attempts ? error.attempts - 1 : 0,
           { error: error.stack }
         );
       }
-      
-      // Process queued requests with error
-      this.processQueue(error, null);
+      refreshEvents.publish('refresh.failed', {
+        refreshId: refreshRecord?.refreshId || null,
+        profile,
+        error: error.message
+      });
       
       throw error;
     } finally {
-      this.isRefreshing = false;
+      if (lock) {
+        stopRenewal();
+        await LeaseLock.release(lock).catch(releaseError => {
+          logger.error(`Failed to release the refresh lock for profile ${profile}:`, releaseError);
+        });
+      }
     }
   }
 
@@ -193,48 +577,52 @@ export class CookieRefreshService {
    * Perform the actual cookie refresh operation using enhanced browser-cookies service
    * @param {string} eventId - Event ID to use
    * @param {object} proxy - Proxy configuration (if null, will use random proxy)
+   * @param {string} profile - Cookie profile whose jar is refreshed
+   * @param {string} refreshId - Refresh record ID, used to correlate lifecycle events
+   * @param {Function} fence - Optional async check that the profile's refresh lock is still held
    * @returns {Promise<object>} Refresh result
    */
-  async performCookieRefresh(eventId, proxy = null) {
+  async performCookieRefresh(eventId, proxy = null, profile = CookieProfileManager.DEFAULT_PROFILE, refreshId = null, fence = null) {
     try {
       logger.info(`Starting enhanced cookie refresh for event: ${eventId}`);
       
       // Use the enhanced refreshCookies function from browser-cookies service
-      const result = await refreshCookies(eventId, proxy);
+      const result = await refreshCookies(eventId, proxy, { profile, refreshId, fence });
       
       // Check if we got valid results from refreshCookies
       if (result && result.cookies) {
-        // Save cookies using existing method
-        if (result.cookies.length > 0) {
-          await this.saveCookies(result.cookies);
+        // A jar that fails validation must never replace the stored one
+        const validation = result.validation || CookieValidator.validate(result.cookies);
+        if (refreshId) {
+          await CookieRefreshTracker.recordValidation(refreshId, validation);
         }
-        
-        // Save session data with enhanced fingerprint
-        const sessionData = {
-          cookies: result.cookies || [],
-          fingerprint: result.fingerprint,
-          eventId,
-          proxy: proxy,
-          timestamp: Date.now(),
-          userAgent: result.fingerprint?.userAgent,
-          viewport: result.fingerprint?.viewport,
-          lastRefresh: result.lastRefresh,
-          enhanced: true
-        };
-        
-        await this.saveSession(sessionData);
+        if (!validation.valid) {
+          throw new Error(`Captured cookie jar failed validation: ${validation.errors.join('; ')}`);
+        }
+
+        // Never overwrite the jar once another instance has taken the profile over
+        if (fence && !(await fence())) {
+          throw new Error(`Lost the refresh lock for profile ${profile} - cookies were not saved`);
+        }
+
+        // Save cookies using existing method
+        await this.saveCookies(result.cookies, profile);
         
         logger.info(`Enhanced cookie refresh completed: ${result.cookies.length} cookies captured`);
         
         return {
            cookieCount: result.cookies.length,
-           retryCount: 0, // refreshCookies handles retries internally
+           retryCount: Math.max((result.attempts || 1) - 1, 0), // refreshCookies handles retries internally
+           attempts: result.attempts,
            fingerprint: result.fingerprint,
            userAgent: result.fingerprint?.userAgent,
            viewport: result.fingerprint?.viewport,
            proxy: proxy,
            enhanced: true,
            cookies: result.cookies,
+           cookiesHash: StorageEncryption.hashCookies(result.cookies),
+           reused: Boolean(result.reused),
+           producer: result.producer ?? null,
            lastRefresh: result.lastRefresh
          };
        } else {
@@ -243,18 +631,24 @@ export class CookieRefreshService {
        
     } catch (error) {
       logger.error(`Enhanced cookie refresh failed for event ${eventId}:`, error);
+      if (error.validation && refreshId) {
+        await CookieRefreshTracker.recordValidation(refreshId, error.validation).catch(recordError => {
+          logger.error(`Failed to record validation report for refresh ${refreshId}:`, recordError);
+        });
+      }
       throw error;
     }
   }
 
   /**
-   * Save cookies to file
+   * Save cookies to the cookie store
    * @param {Array} cookies - Cookies to save
+   * @param {string} profile - Cookie profile whose jar is written
    */
-  async saveCookies(cookies) {
+  async saveCookies(cookies, profile = CookieProfileManager.DEFAULT_PROFILE) {
     try {
-      await fs.writeFile(this.cookiesPath, JSON.stringify(cookies, null, 2));
-      logger.debug(`Saved ${cookies.length} cookies to ${this.cookiesPath}`);
+      await cookieStore.saveCookies(profile, cookies);
+      logger.debug(`Saved ${cookies.length} cookies for profile ${profile} to the ${cookieStore.name} store`);
     } catch (error) {
       logger.error('Failed to save cookies:', error);
       throw error;
@@ -262,21 +656,17 @@ export class CookieRefreshService {
   }
 
   /**
-   * Get current cookies from file using enhanced browser-cookies service
-   * @returns {Promise<Array>} Current cookies
+   * Get current cookies from the cookie store
+   * @param {string} profile - Cookie profile to read
+   * @returns {Promise<Array>} Current cookies; empty if the profile has no jar yet
    */
-  async getCurrentCookies() {
+  async getCurrentCookies(profile = CookieProfileManager.DEFAULT_PROFILE) {
     try {
-      // Use the enhanced loadCookiesFromFile function
-      const cookies = await loadCookiesFromFile();
-      logger.debug(`Retrieved ${cookies.length} cookies from enhanced storage`);
+      const cookies = await cookieStore.getCookies(profile);
+      logger.debug(`Retrieved ${cookies.length} cookies from the ${cookieStore.name} store`);
       return cookies;
     } catch (error) {
-      logger.error('Failed to read cookies using enhanced service:', error);
-      if (error.code === 'ENOENT') {
-        logger.warn('Cookies file not found, returning empty array');
-        return [];
-      }
+      logger.error('Failed to read cookies from the cookie store:', error);
       throw error;
     }
   }
@@ -333,41 +723,43 @@ export class CookieRefreshService {
   }
 
   /**
-   * Save session data
-   * @param {object} sessionData - Session data to save
+   * Record a browser session; failures are logged and never fail the refresh
+   * @param {object} sessionData - Session fields; proxy must be a "host:port" reference without credentials
    */
   async saveSession(sessionData) {
     try {
-      let sessions = [];
-      try {
-        const existingData = await fs.readFile(this.sessionsPath, 'utf8');
-        sessions = JSON.parse(existingData);
-      } catch {
-        // File doesn't exist or is invalid, start with empty array
-      }
-
-      // Add new session
-      sessions.unshift(sessionData);
-      
-      // Keep only last 10 sessions
-      sessions = sessions.slice(0, 10);
-      
-      await fs.writeFile(this.sessionsPath, JSON.stringify(sessions, null, 2));
-      logger.debug('Saved session data');
+      await SessionTracker.recordSession(sessionData);
     } catch (error) {
       logger.error('Failed to save session:', error);
     }
   }
 
+  /**
+   * Pick a random event for a worker, avoiding the events of the other workers
+   * Picks are made one at a time so that parallel workers see each other's choice.
+   * @param {object} worker - Worker the event is for
+   * @returns {Promise<string>} Random event ID
+   */
+  pickRandomEventId(worker) {
+    const pick = this.eventPick.then(async () => {
+      const exclude = this.workers.filter(other => other !== worker && other.eventId).map(other => other.eventId);
+      worker.eventId = await this.getRandomEventId(exclude);
+      return worker.eventId;
+    });
+    this.eventPick = pick.catch(() => {});
+    return pick;
+  }
+
   /**
    * Get a random event ID from the database
+   * @param {Array<string>} exclude - Event IDs to avoid, used unless no other event is left
    * @returns {Promise<string>} Random event ID
    */
-  async getRandomEventId() {
+  async getRandomEventId(exclude = []) {
     try {
       // Get a random event from database that is not skipped
       const randomEvents = await Event.aggregate([
-        { $match: { Skip_Scraping: false } },
+        { $match: { Skip_Scraping: false, ...(exclude.length > 0 && { Event_ID: { $nin: exclude } }) } },
         { $sample: { size: 1 } }
       ]);
       
@@ -375,6 +767,9 @@ export class CookieRefreshService {
         logger.info(`Selected random event ID: ${randomEvents[0].Event_ID}`);
         return randomEvents[0].Event_ID;
       }
+      if (exclude.length > 0) {
+        return this.getRandomEventId();
+      }
       
       // No events found - throw error instead of using fallback
       throw new Error('No events found in database');
@@ -386,17 +781,20 @@ export class CookieRefreshService {
 
   /**
    * Get a random proxy from the proxy list
+   * @param {Array<string>} exclude - Proxies to avoid, as "host:port", used unless no other proxy is left
    * @returns {object|null} Random proxy configuration
    */
-  getRandomProxy() {
+  getRandomProxy(exclude = []) {
     try {
       if (!proxyData.proxies || proxyData.proxies.length === 0) {
         logger.warn('No proxies available');
         return null;
       }
       
-      const randomIndex = Math.floor(Math.random() * proxyData.proxies.length);
-      const selectedProxy = proxyData.proxies[randomIndex];
+      const available = proxyData.proxies.filter(entry => !exclude.includes(entry.proxy));
+      const candidates = available.length > 0 ? available : proxyData.proxies;
+      const randomIndex = Math.floor(Math.random() * candidates.length);
+      const selectedProxy = candidates[randomIndex];
       
       // Parse proxy string (format: "host:port")
       const [host, port] = selectedProxy.proxy.split(':');
@@ -417,33 +815,45 @@ export class CookieRefreshService {
   }
 
   /**
-   * Process queued refresh requests
-   * @param {Error} error - Error if refresh failed
-   * @param {object} result - Result if refresh succeeded
+   * Queue a refresh as a pollable job
+   * The job is persisted, so it survives restarts and may run on any instance.
+   * @param {string} eventId - Optional event ID to use for refresh
+   * @param {object} proxy - Optional proxy configuration
+   * @param {string} profile - Cookie profile to refresh
+   * @param {object} options - { source, dedupeKey, maxAttempts }; source defaults to manual
+   * @returns {Promise<object>} The queued job, or the pending job with the same dedupeKey
    */
-  processQueue(error, result) {
-    const queue = [...this.refreshQueue];
-    this.refreshQueue = [];
-    
-    queue.forEach(({ resolve, reject }) => {
-      if (error) {
-        reject(error);
-      } else {
-        resolve(result);
-      }
-    });
+  async startRefreshJob(eventId = null, proxy = null, profile = CookieProfileManager.DEFAULT_PROFILE, options = {}) {
+    const { job, created } = await RefreshQueue.enqueue({ ...options, eventId, proxy, profile });
+
+    if (created) {
+      this.dispatchRefreshes();
+    }
+    return job;
   }
 
   /**
    * Get service status
-   * @returns {object} Service status
+   * @returns {Promise<object>} Service status, including the current scheduler leader
    */
-  getStatus() {
+  async getStatus() {
+    const leaderLock = await LeaseLock.getHolder(LEADER_LOCK);
+
     return {
       isInitialized: this.isInitialized,
-      isRefreshing: this.isRefreshing,
-      queueLength: this.refreshQueue.length,
+      isRefreshing: this.getIdleWorkerCount() < this.workers.length,
+      queueLength: await RefreshQueue.countQueued(),
+      workers: this.workers.map(worker => ({ ...worker })),
       serviceInstanceId: this.serviceInstanceId,
+      isLeader: this.isLeader(),
+      leader: leaderLock
+        ? {
+          serviceInstanceId: leaderLock.holder,
+          fencingToken: leaderLock.token,
+          acquiredAt: leaderLock.acquiredAt,
+          leaseExpiresAt: leaderLock.expiresAt
+        }
+        : null,
       circuitBreaker: this.circuitBreaker.getStatus(),
       uptime: process.uptime()
     };
@@ -458,11 +868,30 @@ export class CookieRefreshService {
     if (this.schedulerInterval) {
       clearInterval(this.schedulerInterval);
     }
+    clearInterval(this.heartbeatInterval);
+    clearInterval(this.recoveryInterval);
+    clearInterval(this.retentionInterval);
+    clearInterval(this.leaderInterval);
+    clearInterval(this.queueInterval);
+    this.isShuttingDown = true;
+
+    webhookDispatcher.stop();
     
-    // Wait for current refresh to complete
-    while (this.isRefreshing) {
+    // Wait for running refreshes to complete; queued jobs stay for the other instances
+    while (this.getIdleWorkerCount() < this.workers.length) {
       await new Promise(resolve => setTimeout(resolve, 1000));
     }
+
+    // Hand leadership over and deregister so other instances do not wait out the timeouts
+    try {
+      if (this.leaderLock) {
+        await LeaseLock.release(this.leaderLock);
+        this.leaderLock = null;
+      }
+      await InstanceRegistry.deregister(this.serviceInstanceId);
+    } catch (error) {
+      logger.error('Failed to deregister service instance:', error);
+    }
     
     logger.info('Cookie Refresh Service shutdown complete');
   }
@@ -1,7 +1,12 @@
 import puppeteer from "puppeteer";
-import fs from "fs/promises";
-import path from "path";
 import { BrowserFingerprint } from "./browserFingerprint.js";
+import { refreshEvents, describeProxy } from "../helpers/refreshEvents.js";
+import CookieProfileManager from "../helpers/CookieProfileManager.js";
+import { cookieStore } from "../stores/index.js";
+import CookieRefreshTracker from "../helpers/CookieRefreshTracker.js";
+import StorageEncryption from "../helpers/StorageEncryption.js";
+import { normalizeCookieExpiry } from "../helpers/cookieExpiry.js";
+import CookieValidator from "../helpers/CookieValidator.js";
 
 // Device settings
 const iphone13 = {
@@ -17,9 +22,7 @@ const iphone13 = {
 };
 
 // Constants
-const COOKIES_FILE = "cookies.json";
 const CONFIG = {
-  COOKIE_REFRESH_INTERVAL: 30 * 60 * 1000, // 30 minutes (standardized timing)
   PAGE_TIMEOUT: 45000,
   MAX_RETRIES: 5,
   RETRY_DELAY: 10000,
@@ -29,7 +32,8 @@ const CONFIG = {
   BROWSER_RESTART_TIMEOUT: 2 * 60 * 1000, // 2 minutes - when to restart browser
 };
 
-let browser = null;
+// Browsers currently open, one per refresh attempt
+const openBrowsers = new Set();
 
 /**
  * Gets a random location for browser fingerprinting
@@ -173,7 +177,9 @@ async function simulateMobileInteractions(page) {
           top: y,
           behavior: "smooth",
         });
-      }, scrollY);      // Random pause between scrolls (500-2000ms)
+      }, scrollY);
+
+      // Random pause between scrolls (500-2000ms)
       await new Promise(resolve => setTimeout(resolve, 500 + Math.floor(Math.random() * 1500)));
     }
 
@@ -194,101 +200,111 @@ async function simulateMobileInteractions(page) {
 
 /**
  * Initialize the browser with enhanced fingerprinting
+ * Every call launches its own browser, so parallel refreshes keep their own proxy and
+ * cookie jar. The caller closes it with safeCloseBrowser.
  */
 async function initBrowser(proxy) {
+  let browser = null;
   try {
     // Get randomized human-like properties
-    const location = getRandomLocation();    // For persisting browser sessions, use same browser if possible
-    if (!browser || !browser.isConnected()) {      // Launch options
-      const launchOptions = {
-        headless: 'new', // Set to false for debugging, true for production
-        args: [
-          "--disable-blink-features=AutomationControlled",
-          "--disable-features=IsolateOrigins,site-per-process",
-          "--disable-web-security",
-          "--disable-features=VizDisplayCompositor",
-          "--disable-ipc-flooding-protection",
-          "--no-sandbox",
-          "--disable-setuid-sandbox",
-          "--no-first-run",
-          "--no-default-browser-check",
-          "--disable-infobars",
-          "--disable-notifications",
-          "--disable-dev-shm-usage",
-          "--disable-gpu",
-          "--disable-background-timer-throttling",
-          "--disable-backgrounding-occluded-windows",
-          "--disable-renderer-backgrounding",
-          "--disable-extensions",
-          "--disable-plugins",
-          "--disable-default-apps",
-          "--disable-hang-monitor",
-          "--disable-prompt-on-repost",
-          "--disable-sync",
-          "--disable-translate",
-          "--metrics-recording-only",
-          "--no-experiments",
-          "--allow-running-insecure-content",
-          "--ignore-certificate-errors",
-          "--ignore-ssl-errors",
-          "--ignore-certificate-errors-spki-list",
-          "--disable-cors-policy",
-          "--allow-cross-origin-auth-prompt",
-          "--disable-site-isolation-trials",
-          "--disable-features=TranslateUI"
-        ],
-        defaultViewport: null,
-        timeout: 60000,
-        ignoreDefaultArgs: ['--enable-automation'],
-      };if (proxy && typeof proxy === "object" && (proxy.proxy || (proxy.host && proxy.port))) {
-        try {
-          let hostname, port;
-          
-          if (proxy.proxy) {
-            // Extract hostname and port from proxy string
-            const proxyString = proxy.proxy;
-
-            // Ensure proxyString is a string before using string methods
-            if (typeof proxyString !== "string") {
-              throw new Error(
-                "Invalid proxy format: proxy.proxy must be a string, got " +
-                  typeof proxyString
-              );
-            }
+    const location = getRandomLocation();
+
+    // Launch options
+    const launchOptions = {
+      headless: 'new', // Set to false for debugging, true for production
+      args: [
+        "--disable-blink-features=AutomationControlled",
+        "--disable-features=IsolateOrigins,site-per-process",
+        "--disable-web-security",
+        "--disable-features=VizDisplayCompositor",
+        "--disable-ipc-flooding-protection",
+        "--no-sandbox",
+        "--disable-setuid-sandbox",
+        "--no-first-run",
+        "--no-default-browser-check",
+        "--disable-infobars",
+        "--disable-notifications",
+        "--disable-dev-shm-usage",
+        "--disable-gpu",
+        "--disable-background-timer-throttling",
+        "--disable-backgrounding-occluded-windows",
+        "--disable-renderer-backgrounding",
+        "--disable-extensions",
+        "--disable-plugins",
+        "--disable-default-apps",
+        "--disable-hang-monitor",
+        "--disable-prompt-on-repost",
+        "--disable-sync",
+        "--disable-translate",
+        "--metrics-recording-only",
+        "--no-experiments",
+        "--allow-running-insecure-content",
+        "--ignore-certificate-errors",
+        "--ignore-ssl-errors",
+        "--ignore-certificate-errors-spki-list",
+        "--disable-cors-policy",
+        "--allow-cross-origin-auth-prompt",
+        "--disable-site-isolation-trials",
+        "--disable-features=TranslateUI"
+      ],
+      defaultViewport: null,
+      timeout: 60000,
+      ignoreDefaultArgs: ['--enable-automation'],
+    };
 
-            // Check if proxy string is in correct format (host:port)
-            if (!proxyString.includes(":")) {
-              throw new Error("Invalid proxy format: " + proxyString);
-            }
+    if (proxy && typeof proxy === "object" && (proxy.proxy || (proxy.host && proxy.port))) {
+      try {
+        let hostname, port;
+        
+        if (proxy.proxy) {
+          // Extract hostname and port from proxy string
+          const proxyString = proxy.proxy;
+
+          // Ensure proxyString is a string before using string methods
+          if (typeof proxyString !== "string") {
+            throw new Error(
+              "Invalid proxy format: proxy.proxy must be a string, got " +
+                typeof proxyString
+            );
+          }
 
-            [hostname, port] = proxyString.split(":");
-          } else if (proxy.host && proxy.port) {
-            // Extract hostname and port from separate properties
-            hostname = proxy.host;
-            port = proxy.port.toString();
-          } else {
-            throw new Error("Invalid proxy configuration: missing host/port");
+          // Check if proxy string is in correct format (host:port)
+          if (!proxyString.includes(":")) {
+            throw new Error("Invalid proxy format: " + proxyString);
           }
 
-          const portNum = parseInt(port) || 80;          launchOptions.args.push(`--proxy-server=http://${hostname}:${portNum}`);
+          [hostname, port] = proxyString.split(":");
+        } else if (proxy.host && proxy.port) {
+          // Extract hostname and port from separate properties
+          hostname = proxy.host;
+          port = proxy.port.toString();
+        } else {
+          throw new Error("Invalid proxy configuration: missing host/port");
+        }
 
-          console.log(`Configuring browser with proxy: ${hostname}:${portNum}`);
-          if (proxy.username && proxy.password) {
-            console.log(`Proxy authentication will be configured with username: ${proxy.username}`);
-          } else {
-            console.warn(`Proxy configured but no authentication credentials provided`);
-          }
-        } catch (error) {
-          console.warn(
-            "Invalid proxy configuration, launching without proxy:",
-            error
-          );
+        const portNum = parseInt(port) || 80;
+
+        launchOptions.args.push(`--proxy-server=http://${hostname}:${portNum}`);
+
+        console.log(`Configuring browser with proxy: ${hostname}:${portNum}`);
+        if (proxy.username && proxy.password) {
+          console.log(`Proxy authentication will be configured with username: ${proxy.username}`);
+        } else {
+          console.warn(`Proxy configured but no authentication credentials provided`);
         }
+      } catch (error) {
+        console.warn(
+          "Invalid proxy configuration, launching without proxy:",
+          error
+        );
       }
+    }
 
-      // Launch browser
-      browser = await puppeteer.launch(launchOptions);
-    }    // Create new page with enhanced fingerprinting
+    // Launch browser
+    browser = await puppeteer.launch(launchOptions);
+    openBrowsers.add(browser);
+
+    // Create new page with enhanced fingerprinting
     const page = await browser.newPage();
 
     // Enable request interception for CORS handling
@@ -337,7 +353,9 @@ async function initBrowser(proxy) {
       } catch (error) {
         // Ignore errors in response handling
       }
-    });// Configure proxy authentication if proxy credentials are provided
+    });
+
+    // Configure proxy authentication if proxy credentials are provided
     if (proxy && proxy.username && proxy.password) {
       console.log(`Setting up proxy authentication for user: ${proxy.username}`);
       try {
@@ -365,7 +383,9 @@ async function initBrowser(proxy) {
       isMobile: true,
       hasTouch: true,
       isLandscape: false,
-    });    // Set extra HTTP headers
+    });
+
+    // Set extra HTTP headers
     await page.setExtraHTTPHeaders({
       Accept:
         "text/html,application/xhtml+xml,application/xml;q=0.9,image/webp,image/apng,*/*;q=0.8,application/signed-exchange;v=b3;q=0.9",
@@ -405,7 +425,9 @@ async function initBrowser(proxy) {
       "notifications",
       "microphone",
       "camera",
-    ]);    // Add script to override webdriver detection and CORS policies
+    ]);
+
+    // Add script to override webdriver detection and CORS policies
     await page.evaluateOnNewDocument(() => {
       Object.defineProperty(navigator, 'webdriver', {
         get: () => undefined,
@@ -447,7 +469,9 @@ async function initBrowser(proxy) {
       } catch (e) {
         // Ignore errors if domain cannot be set
       }
-    });// Add waitForTimeout method to page if it doesn't exist
+    });
+
+    // Add waitForTimeout method to page if it doesn't exist
     if (!page.waitForTimeout) {
       page.waitForTimeout = (ms) => new Promise(resolve => setTimeout(resolve, ms));
     }
@@ -457,7 +481,9 @@ async function initBrowser(proxy) {
       await simulateMobileInteractions(page);
     } catch (simulationError) {
       console.warn("Error during initial simulation, continuing:", simulationError.message);
-    }    return { 
+    }
+
+    return { 
       context: { 
         cookies: async () => await page.cookies(),
         addCookies: async (cookies) => await page.setCookie(...cookies),
@@ -469,6 +495,7 @@ async function initBrowser(proxy) {
     };
   } catch (error) {
     console.error("Error initializing browser:", error.message);
+    await safeCloseBrowser(browser);
     throw error;
   }
 }
@@ -536,7 +563,9 @@ async function handleTicketmasterChallenge(page) {
       if (!buttonClicked) {
         console.warn(
           "Could not find challenge button, continuing without resolution"
-        );        return false;
+        );
+
+        return false;
       }
 
       await new Promise(resolve => setTimeout(resolve, 2000));
@@ -592,9 +621,16 @@ async function checkForTicketmasterChallenge(page) {
 
 /**
  * Capture cookies from the browser
+ * Does not write the cookie store; the caller saves the returned jar.
+ * @param {object} page - Puppeteer page
+ * @param {object} fingerprint - Browser fingerprint in use
+ * @param {Function} fence - Optional async check run before returning a jar; resolves false once the caller's refresh lock is lost
+ * @returns {Promise<object>} { cookies, fingerprint, validation, fenced }; cookies is null if no valid jar was captured
+ *   or the fence failed
  */
-async function captureCookies(page, fingerprint) {
+async function captureCookies(page, fingerprint, fence = null) {
   let retryCount = 0;
+  let validation = null;
   const MAX_RETRIES = 5;
 
   while (retryCount < MAX_RETRIES) {
@@ -616,7 +652,7 @@ async function captureCookies(page, fingerprint) {
         if (!challengeResolved) {
           if (retryCount === MAX_RETRIES - 1) {
             console.log("Max retries reached during challenge resolution");
-            return { cookies: null, fingerprint };
+            return { cookies: null, fingerprint, validation };
           }
           await new Promise(resolve => setTimeout(resolve, CONFIG.RETRY_DELAY));
           retryCount++;
@@ -625,10 +661,12 @@ async function captureCookies(page, fingerprint) {
       }
 
       // Get cookies from page
-      let cookies = await page.cookies().catch(() => []);      if (!cookies?.length) {
+      let cookies = await page.cookies().catch(() => []);
+
+      if (!cookies?.length) {
         console.log(`Attempt ${retryCount + 1}: No cookies captured`);
         if (retryCount === MAX_RETRIES - 1) {
-          return { cookies: null, fingerprint };
+          return { cookies: null, fingerprint, validation };
         }
         await new Promise(resolve => setTimeout(resolve, CONFIG.RETRY_DELAY));
         retryCount++;
@@ -642,125 +680,97 @@ async function captureCookies(page, fingerprint) {
           !cookie.domain.includes("google.com")
       );
 
-      // Check if we have enough cookies from ticketmaster.com
-      const ticketmasterCookies = cookies.filter(
-        (cookie) =>
-          cookie.domain.includes("ticketmaster.com") ||
-          cookie.domain.includes(".ticketmaster.com")
-      );      if (ticketmasterCookies.length < 3) {
+      // Check the jar against the required cookie lists and per-domain minimums
+      validation = CookieValidator.validate(cookies);
+      if (!validation.valid) {
         console.log(
-          `Attempt ${retryCount + 1}: Not enough Ticketmaster cookies`
+          `Attempt ${retryCount + 1}: Cookie jar failed validation - ${validation.errors.join("; ")}`
         );
         if (retryCount === MAX_RETRIES - 1) {
-          return { cookies: null, fingerprint };
-        }
-        await new Promise(resolve => setTimeout(resolve, CONFIG.RETRY_DELAY));
-        retryCount++;
-        continue;
-      }
-
-      // Check JSON size
-      const cookiesJson = JSON.stringify(cookies, null, 2);
-      const lineCount = cookiesJson.split("\n").length;
-
-      if (lineCount < 200) {
-        console.log(
-          `Attempt ${
-            retryCount + 1
-          }: Cookie JSON too small (${lineCount} lines)`
-        );        if (retryCount === MAX_RETRIES - 1) {
-          return { cookies: null, fingerprint };
+          return { cookies: null, fingerprint, validation };
         }
         await new Promise(resolve => setTimeout(resolve, CONFIG.RETRY_DELAY));
         retryCount++;
         continue;
       }
 
-      const oneHourFromNow = Date.now() + CONFIG.COOKIE_REFRESH_INTERVAL;
-      cookies = cookies.map((cookie) => ({
-        ...cookie,
-        expires: oneHourFromNow / 1000,
-        expiry: oneHourFromNow / 1000,
-      }));
+      // Keep the expiry set by the site; how long the jar is served is tracked on the refresh record
+      cookies = cookies.map(normalizeCookieExpiry);
 
-      // Add cookies one at a time with error handling
-      for (const cookie of cookies) {
-        try {
-          await page.setCookie(cookie);
-        } catch (error) {
-          console.warn(`Error adding cookie ${cookie.name}:`, error.message);
-        }
+      // A refresh that lost its lock must stop before handing back a jar to save
+      if (fence && !(await fence())) {
+        console.log("Refresh lock lost - captured cookies were discarded");
+        return { cookies: null, fingerprint, validation, fenced: true };
       }
 
-      // Save cookies to file
-      await saveCookiesToFile(cookies);
       console.log(`Successfully captured cookies on attempt ${retryCount + 1}`);
-      return { cookies, fingerprint };
+      return { cookies, fingerprint, validation };
     } catch (error) {
       console.error(
         `Error capturing cookies on attempt ${retryCount + 1}:`,
         error
-      );      if (retryCount === MAX_RETRIES - 1) {
-        return { cookies: null, fingerprint };
+      );
+
+      if (retryCount === MAX_RETRIES - 1) {
+        return { cookies: null, fingerprint, validation };
       }
       await new Promise(resolve => setTimeout(resolve, CONFIG.RETRY_DELAY));
       retryCount++;
     }
   }
 
-  return { cookies: null, fingerprint };
+  return { cookies: null, fingerprint, validation };
 }
 
 /**
- * Save cookies to a file
+ * Save cookies to the cookie store
+ * @param {Array} cookies - Cookies to save
+ * @param {string} profile - Cookie profile whose jar is written, defaults to the default profile
  */
-async function saveCookiesToFile(cookies) {
+async function saveCookiesToStore(cookies, profile = CookieProfileManager.DEFAULT_PROFILE) {
   try {
-    // Format the cookies with updated expiration
-    const cookieData = cookies.map((cookie) => ({
-      ...cookie,
-      expires: cookie.expires || Date.now() + CONFIG.COOKIE_REFRESH_INTERVAL,
-      expiry: cookie.expiry || Date.now() + CONFIG.COOKIE_REFRESH_INTERVAL,
-    }));
-
-    await fs.writeFile(COOKIES_FILE, JSON.stringify(cookieData, null, 2));
-    console.log(`Saved ${cookies.length} cookies to ${COOKIES_FILE}`);
+    // Store expiries consistently in epoch seconds (-1 for session cookies)
+    const cookieData = cookies.map(normalizeCookieExpiry);
+
+    await cookieStore.saveCookies(profile, cookieData);
+    console.log(`Saved ${cookies.length} cookies for profile ${profile} to the ${cookieStore.name} store`);
     return true;
   } catch (error) {
-    console.error(`Error saving cookies to file: ${error.message}`);
+    console.error(`Error saving cookies to store: ${error.message}`);
     return false;
   }
 }
 
 /**
- * Load cookies from file
+ * Load cookies from the cookie store
+ * @param {string} profile - Cookie profile to read, defaults to the default profile
+ * @returns {Promise<Array>} Cookies; empty if the jar is empty or unreadable
  */
-async function loadCookiesFromFile() {
+async function loadCookiesFromStore(profile = CookieProfileManager.DEFAULT_PROFILE) {
   try {
-    const cookiesFile = path.join(process.cwd(), COOKIES_FILE);
-
-    // Check if file exists
-    try {
-      await fs.access(cookiesFile);
-    } catch (error) {
-      console.log("Cookies file does not exist");
-      return null;
-    }
-
-    // Read and parse
-    const fileData = await fs.readFile(cookiesFile, "utf8");
-    const cookies = JSON.parse(fileData);
+    const cookies = await cookieStore.getCookies(profile);
 
-    if (!Array.isArray(cookies) || cookies.length === 0) {
-      console.log("Invalid or empty cookies file");
-      return null;
+    if (cookies.length === 0) {
+      console.log(`No stored cookies for profile ${profile}`);
+      return cookies;
     }
 
-    console.log(`Loaded ${cookies.length} cookies from file`);
+    console.log(`Loaded ${cookies.length} cookies from the ${cookieStore.name} store`);
     return cookies;
   } catch (error) {
-    console.error(`Error loading cookies from file: ${error.message}`);
-    return null;
+    console.error(`Error loading cookies from store: ${error.message}`);
+    return [];
+  }
+}
+
+/**
+ * Stop a refresh attempt that has already timed out
+ * The timeout rejects the attempt, but its steps keep running until they check this.
+ * @param {object} attempt - { aborted } state of the attempt
+ */
+function throwIfAborted(attempt) {
+  if (attempt.aborted) {
+    throw new Error("Refresh attempt stopped after its timeout");
   }
 }
 
@@ -777,8 +787,17 @@ async function loadCookiesFromFile() {
  * - Comprehensive logging of retry process
  * - Database integration for alternative event IDs
  * - ProxyManager integration for alternative proxies
+ *
+ * @param {string} eventId - Event ID to navigate to
+ * @param {object} proxy - Optional proxy configuration
+ * @param {object} options - Optional settings
+ * @param {string} options.profile - Cookie profile whose stored jar may be reused, defaults to the default profile
+ * @param {string} options.refreshId - Refresh record ID, used to correlate lifecycle events
+ * @param {Function} options.fence - Async check run before a captured jar is returned; resolves false once
+ *   the refresh lock is lost, which fails the refresh without retrying
  */
-async function refreshCookies(eventId, proxy = null) {
+async function refreshCookies(eventId, proxy = null, options = {}) {
+  const { profile = CookieProfileManager.DEFAULT_PROFILE, refreshId = null, fence = null } = options;
   let retryCount = 0;
   let lastError = null;
   let currentEventId = eventId;
@@ -803,6 +822,8 @@ async function refreshCookies(eventId, proxy = null) {
     let browserInstance = null;
     let timeoutId = null;
     let refreshStartTime = Date.now();
+    // Set on timeout, so the attempt stops at its next step instead of running on
+    const attempt = { aborted: false };
 
     try {
       console.log(
@@ -816,31 +837,51 @@ async function refreshCookies(eventId, proxy = null) {
 
       // Try to load existing cookies first (only on first attempt)
       if (retryCount === 0) {
-        const existingCookies = await loadCookiesFromFile();
-        if (existingCookies && existingCookies.length >= 3) {
-          const cookieAge = existingCookies[0]?.expiry
-            ? existingCookies[0].expiry * 1000 - Date.now()
+        const existingCookies = await loadCookiesFromStore(profile);
+        if (existingCookies.length >= 3) {
+          // Reuse the jar while the refresh that produced it still vouches for it
+          const producer = await CookieRefreshTracker.findByCookiesHash(
+            StorageEncryption.hashCookies(existingCookies),
+            profile
+          );
+          const timeLeft = producer?.validUntil
+            ? producer.validUntil.getTime() - Date.now()
             : 0;
+          const validation = CookieValidator.validate(existingCookies);
 
-          if (cookieAge > 0 && cookieAge < CONFIG.COOKIE_REFRESH_INTERVAL) {
+          if (timeLeft > 0 && validation.valid) {
             console.log(
-              `Using existing cookies (age: ${Math.floor(
-                cookieAge / 1000 / 60
-              )} minutes)`
+              `Using existing cookies (valid for ${Math.floor(
+                timeLeft / 1000 / 60
+              )} more minutes)`
             );
+            refreshEvents.publish("refresh.cookies_captured", {
+              refreshId,
+              eventId: currentEventId,
+              cookieCount: existingCookies.length,
+              attempt: 0,
+              reused: true,
+            });
             return {
               cookies: existingCookies,
               fingerprint: BrowserFingerprint.generate(),
               lastRefresh: Date.now(),
+              validation,
+              reused: true,
+              producer: { refreshId: producer.refreshId, validUntil: producer.validUntil },
+              attempts: 0,
             };
           }
         }
-      }      // Create a promise that will be resolved/rejected based on timeout
+      }
+
+      // Create a promise that will be resolved/rejected based on timeout
       const refreshPromise = new Promise(async (resolve, reject) => {
         // Set up 2-minute timeout for browser restart
         console.log(`Setting up ${CONFIG.BROWSER_RESTART_TIMEOUT / 1000}s timeout for browser restart...`);
         timeoutId = setTimeout(() => {
           console.log(`Timeout triggered after ${CONFIG.BROWSER_RESTART_TIMEOUT / 1000} seconds`);
+          attempt.aborted = true;
           reject(
             new Error(
               `Cookie refresh timeout after ${
@@ -854,7 +895,10 @@ async function refreshCookies(eventId, proxy = null) {
           // Initialize browser with improved error handling
           let initAttempts = 0;
           let initSuccess = false;
-          let initError = null;          while (initAttempts < 3 && !initSuccess) {
+          let initError = null;
+
+          while (initAttempts < 3 && !initSuccess) {
+            throwIfAborted(attempt);
             try {
               const result = await initBrowser(currentProxy);
               if (!result || !result.context || !result.fingerprint) {
@@ -884,7 +928,10 @@ async function refreshCookies(eventId, proxy = null) {
           if (!initSuccess) {
             console.error("All browser initialization attempts failed");
             throw initError || new Error("Failed to initialize browser");
-          }          // Navigate to event page
+          }
+          throwIfAborted(attempt);
+
+          // Navigate to event page
           const url = `https://www.ticketmaster.com/event/${currentEventId}`;
           console.log(`Navigating to ${url}`);
 
@@ -937,6 +984,8 @@ async function refreshCookies(eventId, proxy = null) {
             }
           }
 
+          throwIfAborted(attempt);
+
           // Check if the page loaded properly
           const currentUrl = page.url();
           const pageLoadSuccessful = currentUrl.includes(
@@ -969,7 +1018,10 @@ async function refreshCookies(eventId, proxy = null) {
             }
           }
 
-          console.log(`Successfully loaded page for event ${currentEventId}`);          // Check for Ticketmaster challenge
+          throwIfAborted(attempt);
+          console.log(`Successfully loaded page for event ${currentEventId}`);
+
+          // Check for Ticketmaster challenge
           const isChallengePresent = await checkForTicketmasterChallenge(page);
           if (isChallengePresent) {
             console.warn(
@@ -986,17 +1038,42 @@ async function refreshCookies(eventId, proxy = null) {
           }
 
           // Wait for cookies to be set
-          await new Promise(resolve => setTimeout(resolve, 2000));          // Capture cookies
+          await new Promise(resolve => setTimeout(resolve, 2000));
+          throwIfAborted(attempt);
+
+          // Capture cookies
           const fingerprint = BrowserFingerprint.generate();
           console.log(`Starting cookie capture with fingerprint generated...`);
-          const { cookies } = await captureCookies(page, fingerprint);
+          const { cookies, validation, fenced } = await captureCookies(page, fingerprint, fence);
+          throwIfAborted(attempt);
+
+          if (fenced) {
+            const fenceError = new Error(`Lost the refresh lock for profile ${profile} - cookies were not saved`);
+            fenceError.fenced = true;
+            throw fenceError;
+          }
 
           if (!cookies || cookies.length === 0) {
-            console.error("Cookie capture failed - no cookies returned");
-            throw new Error("Failed to capture cookies");
+            console.error("Cookie capture failed - no valid cookies returned");
+            const captureError = new Error(
+              validation && !validation.valid
+                ? `Captured cookie jar failed validation: ${validation.errors.join("; ")}`
+                : "Failed to capture cookies"
+            );
+            captureError.validation = validation;
+            throw captureError;
           }
 
-          console.log(`Cookie capture successful - ${cookies.length} cookies captured`);          // Clear timeout and resolve with success
+          console.log(`Cookie capture successful - ${cookies.length} cookies captured`);
+          refreshEvents.publish("refresh.cookies_captured", {
+            refreshId,
+            eventId: currentEventId,
+            cookieCount: cookies.length,
+            attempt: retryCount + 1,
+            reused: false,
+          });
+
+          // Clear timeout and resolve with success
           console.log(`Clearing timeout and resolving with success...`);
           clearTimeout(timeoutId);
 
@@ -1022,10 +1099,21 @@ async function refreshCookies(eventId, proxy = null) {
             cookies,
             fingerprint,
             lastRefresh: Date.now(),
-          });        } catch (error) {
+            validation,
+            reused: false,
+            attempts: retryCount + 1,
+          });
+        } catch (error) {
           console.log(`Error in refresh promise, clearing timeout:`, error.message);
           clearTimeout(timeoutId);
           reject(error);
+        } finally {
+          // The attempt's cleanup already ran on timeout; close what it opened since
+          if (attempt.aborted) {
+            await safeClosePage(page);
+            await safeCloseContext(localContext);
+            await safeCloseBrowser(browserInstance);
+          }
         }
       });
 
@@ -1037,6 +1125,20 @@ async function refreshCookies(eventId, proxy = null) {
       console.error(
         `Cookie refresh attempt ${retryCount + 1} failed: ${error.message}`
       );
+      refreshEvents.publish("refresh.attempt_failed", {
+        refreshId,
+        attempt: retryCount + 1,
+        maxAttempts: CONFIG.MAX_REFRESH_RETRIES + 1,
+        eventId: currentEventId,
+        proxy: describeProxy(currentProxy),
+        error: error.message,
+      });
+
+      // Another instance owns the profile now; retrying cannot win the lock back
+      if (error.fenced) {
+        error.attempts = retryCount + 1;
+        throw error;
+      }
 
       // Check if this was a timeout error (2-minute browser restart timeout)
       const isBrowserRestartTimeout = error.message.includes(
@@ -1058,21 +1160,13 @@ async function refreshCookies(eventId, proxy = null) {
         console.log(`1. Closing existing browser`);
         console.log(`2. Getting new proxy`);
         console.log(`3. Getting new event ID`);
-        console.log(`4. Opening fresh browser instance`);        // Step 1: Force close existing browser to ensure clean restart
-        try {
-          if (browserInstance) {
-            console.log(`Forcefully closing existing browser...`);
-            await browserInstance.close();
-            browserInstance = null;
-          }
-          // Also close global browser if it exists
-          if (browser) {
-            console.log(`Closing global browser instance...`);
-            await browser.close();
-            browser = null;
-          }
-        } catch (closeError) {
-          console.warn(`Error closing browser: ${closeError.message}`);
+        console.log(`4. Opening fresh browser instance`);
+
+        // Step 1: Force close existing browser to ensure clean restart
+        if (browserInstance) {
+          console.log(`Forcefully closing existing browser...`);
+          await safeCloseBrowser(browserInstance);
+          browserInstance = null;
         }
 
         // Step 2: Get a new proxy for retry
@@ -1082,6 +1176,11 @@ async function refreshCookies(eventId, proxy = null) {
             console.log(
               `✓ New proxy obtained: ${newProxy.host}:${newProxy.port}`
             );
+            refreshEvents.publish("refresh.proxy_switched", {
+              refreshId,
+              from: describeProxy(currentProxy),
+              to: describeProxy(newProxy),
+            });
             currentProxy = newProxy;
           } else {
             console.log(
@@ -1097,6 +1196,11 @@ async function refreshCookies(eventId, proxy = null) {
           const newEventId = await generateAlternativeEventId(currentEventId);
           if (newEventId && newEventId !== currentEventId) {
             console.log(`✓ New event ID obtained: ${newEventId}`);
+            refreshEvents.publish("refresh.event_switched", {
+              refreshId,
+              from: currentEventId,
+              to: newEventId,
+            });
             currentEventId = newEventId;
           } else {
             console.log(
@@ -1125,6 +1229,7 @@ async function refreshCookies(eventId, proxy = null) {
         );
         console.error(`Last error: ${lastError.message}`);
         console.error(`=== END FAILURE REPORT ===\n`);
+        lastError.attempts = retryCount;
         throw lastError;
       }
 
@@ -1133,10 +1238,12 @@ async function refreshCookies(eventId, proxy = null) {
       console.log(
         `Waiting ${waitTime / 1000} seconds before retry ${retryCount + 1}...`
       );
-      await new Promise((resolve) => setTimeout(resolve, waitTime));    } finally {
-      // Close page and context safely
+      await new Promise((resolve) => setTimeout(resolve, waitTime));
+    } finally {
+      // Close page, context and this attempt's browser safely
       await safeClosePage(page);
       await safeCloseContext(localContext);
+      await safeCloseBrowser(browserInstance);
     }
   }
 
@@ -1152,7 +1259,9 @@ async function generateAlternativeEventId(originalEventId) {
   try {
     console.log(
       `Searching for alternative event ID (original: ${originalEventId})...`
-    );    // Try to import Event model and get a different random event
+    );
+
+    // Try to import Event model and get a different random event
     try {
       const { Event } = await import("../models/eventModel.js");
 
@@ -1181,7 +1290,9 @@ async function generateAlternativeEventId(originalEventId) {
           `✓ Found alternative event: ${alternativeId} (${
             selectedEvent.Event_Name || "Unknown Event"
           })`
-        );        return alternativeId;
+        );
+
+        return alternativeId;
       } else {
         console.warn(`No alternative events found in database`);
         return originalEventId;
@@ -1202,8 +1313,11 @@ async function generateAlternativeEventId(originalEventId) {
  */
 async function getAlternativeProxy(currentProxy) {
   try {
-    console.log(`Searching for alternative proxy...`);    // Try to get a fresh proxy from the proxy management system
-    try {      const proxyData = await import("../proxy.js");
+    console.log(`Searching for alternative proxy...`);
+
+    // Try to get a fresh proxy from the proxy management system
+    try {
+      const proxyData = await import("../proxy.js");
       const proxies = proxyData.default.proxies;
 
       if (proxies && proxies.length > 0) {
@@ -1234,8 +1348,11 @@ async function getAlternativeProxy(currentProxy) {
           console.log(`⚠ No alternative proxies available in proxy list`);
         }
       }
-    } catch (proxyError) {      console.warn(`Failed to get proxy from proxy list: ${proxyError.message}`);
-    }    console.warn(`Could not generate alternative proxy`);
+    } catch (proxyError) {
+      console.warn(`Failed to get proxy from proxy list: ${proxyError.message}`);
+    }
+
+    console.warn(`Could not generate alternative proxy`);
     return null;
   } catch (error) {
     console.warn(`Failed to get alternative proxy: ${error.message}`);
@@ -1247,20 +1364,26 @@ async function getAlternativeProxy(currentProxy) {
  * Clean up browser resources
  */
 async function cleanup() {
-  if (browser) {
-    try {
-      if (browser.isConnected()) {
-        await browser.close();
-      }
-      browser = null;
-    } catch (error) {
-      // Ignore common browser closure errors
-      if (!error.message.includes('Protocol error') && 
-          !error.message.includes('Connection closed') &&
-          !error.message.includes('Target closed')) {
-        console.warn("Error closing browser:", error.message);
-      }
-      browser = null; // Set to null regardless
+  await Promise.all([...openBrowsers].map(safeCloseBrowser));
+}
+
+/**
+ * Safely close a browser, ignoring common closure errors
+ */
+async function safeCloseBrowser(browserInstance) {
+  if (!browserInstance) return;
+
+  openBrowsers.delete(browserInstance);
+  try {
+    if (browserInstance.isConnected()) {
+      await browserInstance.close();
+    }
+  } catch (error) {
+    // Ignore common browser closure errors
+    if (!error.message.includes('Protocol error') && 
+        !error.message.includes('Connection closed') &&
+        !error.message.includes('Target closed')) {
+      console.warn("Error closing browser:", error.message);
     }
   }
 }
@@ -1309,8 +1432,8 @@ export {
   initBrowser,
   captureCookies,
   refreshCookies,
-  loadCookiesFromFile,
-  saveCookiesToFile,
+  loadCookiesFromStore,
+  saveCookiesToStore,
   cleanup,  handleTicketmasterChallenge,
   checkForTicketmasterChallenge,
   enhancedFingerprint,
@@ -1321,4 +1444,5 @@ export {
   simulateMobileInteractions,
   safeClosePage,
   safeCloseContext,
+  safeCloseBrowser,
 };
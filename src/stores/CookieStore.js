@@ -0,0 +1,58 @@
+/**
+ * Base class for cookie jar persistence backends
+ * Every read and write of cookie jars goes through a store, so
+ * instances configured with a shared backend serve the same current cookies.
+ * Implementations encrypt what they persist with StorageEncryption.
+ *
+ * Empty-jar contract: a profile that has no jar, or whose jar was saved empty,
+ * reads as []. Reads never return null; unreadable data is an error.
+ */
+class CookieStore {
+  /**
+   * @param {string} name - Backend name, used in logs
+   */
+  constructor(name) {
+    this.name = name;
+  }
+
+  /**
+   * Prepare the backend (create directories, indexes, ...)
+   */
+  async initialize() {}
+
+  /**
+   * Get the current cookie jar of a profile
+   * @param {string} profile - Profile name
+   * @returns {Promise<Array>} Cookies; empty if the profile has no jar yet
+   */
+  async getCookies(profile) {
+    throw new Error(`${this.name} cookie store does not implement getCookies`);
+  }
+
+  /**
+   * Replace the cookie jar of a profile
+   * @param {string} profile - Profile name
+   * @param {Array} cookies - Cookies to store
+   */
+  async saveCookies(profile, cookies) {
+    throw new Error(`${this.name} cookie store does not implement saveCookies`);
+  }
+
+  /**
+   * Delete the cookie jar of a profile
+   * @param {string} profile - Profile name
+   */
+  async deleteCookies(profile) {
+    throw new Error(`${this.name} cookie store does not implement deleteCookies`);
+  }
+
+  /**
+   * Rewrite stored data that is plaintext or encrypted with a retired key
+   * @returns {Promise<number>} Number of jars rewritten
+   */
+  async reencrypt() {
+    return 0;
+  }
+}
+
+export default CookieStore;
@@ -0,0 +1,153 @@
+import fs from 'fs/promises';
+import path from 'path';
+import CookieStore from './CookieStore.js';
+import CookieProfileManager from '../helpers/CookieProfileManager.js';
+import StorageEncryption from '../helpers/StorageEncryption.js';
+import { writeFileAtomic, withFileLock } from '../helpers/atomicFile.js';
+import { CONFIG } from '../config/serviceConfig.js';
+import { logger } from '../helpers/logger.js';
+
+/**
+ * Cookie store backed by JSON files under DATA_DIR
+ * The default profile keeps <DATA_DIR>/cookies.json; named profiles get
+ * <DATA_DIR>/profiles/<name>/cookies.json.
+ * Writes are atomic and serialized across processes with a lock file, so
+ * several instances may share one data directory.
+ */
+class FileCookieStore extends CookieStore {
+  /**
+   * @param {string} dataDir - Directory holding the files, defaults to CONFIG.STORAGE.DATA_DIR
+   */
+  constructor(dataDir = CONFIG.STORAGE.DATA_DIR) {
+    super('file');
+    this.dataDir = dataDir;
+    this.profilesDir = path.join(dataDir, 'profiles');
+  }
+
+  /**
+   * Get the jar file of a profile
+   * @param {string} profile - Profile name
+   * @returns {string} Absolute jar path
+   */
+  getCookiesPath(profile) {
+    return CookieProfileManager.isDefault(profile)
+      ? path.join(this.dataDir, 'cookies.json')
+      : path.join(this.profilesDir, profile, 'cookies.json');
+  }
+
+  /**
+   * Read a file and parse it without decrypting
+   * @param {string} filePath - File to read
+   * @returns {Promise<*>} Stored representation, or null if the file is missing or blank
+   */
+  async readRaw(filePath) {
+    let text;
+    try {
+      text = await fs.readFile(filePath, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+
+    // Blank files were left behind by the old non-atomic writer; treat them as empty
+    return text.trim() ? JSON.parse(text) : null;
+  }
+
+  /**
+   * Read and decrypt a list file
+   * @param {string} filePath - File to read
+   * @returns {Promise<Array>} Stored list; empty if the file does not exist
+   */
+  async readList(filePath) {
+    const data = await this.readRaw(filePath);
+    if (data === null) {
+      return [];
+    }
+
+    const value = StorageEncryption.unprotect(data);
+    if (!Array.isArray(value)) {
+      throw new Error(`Corrupt cookie store file ${filePath}: expected a JSON array`);
+    }
+    return value;
+  }
+
+  /**
+   * Encrypt and atomically write a list file; the caller must hold its lock
+   * @param {string} filePath - File to write
+   * @param {Array} value - List to store
+   */
+  async writeListLocked(filePath, value) {
+    await writeFileAtomic(filePath, StorageEncryption.serialize(value));
+  }
+
+  async initialize() {
+    await fs.mkdir(this.dataDir, { recursive: true });
+    logger.info(`File cookie store data directory: ${this.dataDir}`);
+  }
+
+  async getCookies(profile) {
+    return this.readList(this.getCookiesPath(profile));
+  }
+
+  async saveCookies(profile, cookies) {
+    const cookiesPath = this.getCookiesPath(profile);
+    await withFileLock(cookiesPath, () => this.writeListLocked(cookiesPath, cookies));
+    logger.debug(`Saved ${cookies.length} cookies to ${cookiesPath}`);
+  }
+
+  async deleteCookies(profile) {
+    const cookiesPath = this.getCookiesPath(profile);
+    if (CookieProfileManager.isDefault(profile)) {
+      await withFileLock(cookiesPath, () => fs.rm(cookiesPath, { force: true }));
+      return;
+    }
+    await fs.rm(path.dirname(cookiesPath), { recursive: true, force: true });
+  }
+
+  async reencrypt() {
+    if (!StorageEncryption.isEnabled()) {
+      return 0;
+    }
+
+    let profileDirs = [];
+    try {
+      profileDirs = (await fs.readdir(this.profilesDir, { withFileTypes: true }))
+        .filter(entry => entry.isDirectory())
+        .map(entry => entry.name);
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw error;
+      }
+    }
+
+    const files = [
+      this.getCookiesPath(CookieProfileManager.DEFAULT_PROFILE),
+      ...profileDirs.map(profile => this.getCookiesPath(profile))
+    ];
+
+    let rewritten = 0;
+    for (const file of files) {
+      try {
+        const changed = await withFileLock(file, async () => {
+          const data = await this.readRaw(file);
+          if (data === null || !StorageEncryption.needsReencryption(data)) {
+            return false;
+          }
+          await this.writeListLocked(file, StorageEncryption.unprotect(data));
+          return true;
+        });
+        if (changed) {
+          logger.info(`Re-encrypted ${file} with key ${StorageEncryption.getActiveKeyId()}`);
+          rewritten++;
+        }
+      } catch (error) {
+        logger.error(`Failed to re-encrypt ${file}:`, error);
+      }
+    }
+    return rewritten;
+  }
+}
+
+export default FileCookieStore;
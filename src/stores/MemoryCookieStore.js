@@ -0,0 +1,27 @@
+import CookieStore from './CookieStore.js';
+
+/**
+ * Cookie store that keeps everything in process memory
+ * Nothing survives a restart and nothing is shared between instances; meant for
+ * tests and single-instance development.
+ */
+class MemoryCookieStore extends CookieStore {
+  constructor() {
+    super('memory');
+    this.jars = new Map();
+  }
+
+  async getCookies(profile) {
+    return structuredClone(this.jars.get(profile) || []);
+  }
+
+  async saveCookies(profile, cookies) {
+    this.jars.set(profile, structuredClone(cookies));
+  }
+
+  async deleteCookies(profile) {
+    this.jars.delete(profile);
+  }
+}
+
+export default MemoryCookieStore;
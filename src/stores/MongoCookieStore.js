@@ -0,0 +1,72 @@
+import CookieStore from './CookieStore.js';
+import { CookieStoreEntry } from '../models/CookieStoreEntry.js';
+import StorageEncryption from '../helpers/StorageEncryption.js';
+
+/**
+ * Get the entry key of a profile's jar
+ * @param {string} profile - Profile name
+ * @returns {string} Entry key
+ */
+const jarKey = (profile) => `cookies/${profile}`;
+
+/**
+ * Cookie store backed by a MongoDB collection
+ * Lets every instance behind a load balancer serve the same jar.
+ */
+class MongoCookieStore extends CookieStore {
+  constructor() {
+    super('mongo');
+  }
+
+  /**
+   * Read and decrypt an entry
+   * @param {string} key - Entry key
+   * @returns {Promise<Array>} Stored value, or an empty array
+   */
+  async readEntry(key) {
+    const entry = await CookieStoreEntry.findOne({ key }).lean();
+    return entry ? StorageEncryption.unprotect(entry.data) : [];
+  }
+
+  /**
+   * Encrypt and write an entry
+   * @param {string} key - Entry key
+   * @param {Array} value - Value to store
+   */
+  async writeEntry(key, value) {
+    await CookieStoreEntry.updateOne(
+      { key },
+      {
+        data: StorageEncryption.protect(value),
+        count: value.length,
+        updatedBy: process.env.SERVICE_INSTANCE_ID || null
+      },
+      { upsert: true }
+    );
+  }
+
+  async getCookies(profile) {
+    return this.readEntry(jarKey(profile));
+  }
+
+  async saveCookies(profile, cookies) {
+    await this.writeEntry(jarKey(profile), cookies);
+  }
+
+  async deleteCookies(profile) {
+    await CookieStoreEntry.deleteOne({ key: jarKey(profile) });
+  }
+
+  async reencrypt() {
+    let rewritten = 0;
+    for await (const entry of CookieStoreEntry.find().cursor()) {
+      if (StorageEncryption.needsReencryption(entry.data)) {
+        await this.writeEntry(entry.key, StorageEncryption.unprotect(entry.data));
+        rewritten++;
+      }
+    }
+    return rewritten;
+  }
+}
+
+export default MongoCookieStore;
@@ -0,0 +1,29 @@
+import FileCookieStore from './FileCookieStore.js';
+import MongoCookieStore from './MongoCookieStore.js';
+import MemoryCookieStore from './MemoryCookieStore.js';
+import { CONFIG } from '../config/serviceConfig.js';
+
+/**
+ * Available cookie store backends by name
+ */
+export const COOKIE_STORE_BACKENDS = {
+  file: FileCookieStore,
+  mongo: MongoCookieStore,
+  memory: MemoryCookieStore
+};
+
+/**
+ * Create a cookie store
+ * @param {string} backend - Backend name: file, mongo or memory
+ * @returns {CookieStore} The store
+ */
+export function createCookieStore(backend) {
+  const Store = COOKIE_STORE_BACKENDS[backend];
+  if (!Store) {
+    throw new Error(`Unknown COOKIE_STORE "${backend}" - expected one of: ${Object.keys(COOKIE_STORE_BACKENDS).join(', ')}`);
+  }
+  return new Store();
+}
+
+// The store shared by the whole process
+export const cookieStore = createCookieStore(CONFIG.STORAGE.BACKEND);
@@ -0,0 +1,81 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import { ApiKey } from '../src/models/ApiKey.js';
+import ApiKeyManager from '../src/helpers/ApiKeyManager.js';
+import { requireScope } from '../src/middleware/apiKeyAuth.js';
+import { logger } from '../src/helpers/logger.js';
+
+logger.log = () => {};
+
+// Keep the key records in memory instead of MongoDB
+const records = new Map();
+ApiKey.create = async (fields) => {
+  records.set(fields.keyId, fields);
+  return fields;
+};
+ApiKey.findOne = async ({ keyId }) => records.get(keyId) || null;
+ApiKey.updateOne = async () => ({ modifiedCount: 1 });
+
+/**
+ * Minimal Express response that records the status and body
+ * @returns {object} Response stub
+ */
+const mockResponse = () => ({
+  statusCode: 200,
+  body: null,
+  status(code) {
+    this.statusCode = code;
+    return this;
+  },
+  json(body) {
+    this.body = body;
+    return this;
+  }
+});
+
+test('a key whose secret contains "_" verifies', async (t) => {
+  // 0xff bytes encode to "_" in base64url
+  const randomBytes = crypto.randomBytes;
+  t.mock.method(crypto, 'randomBytes', (size) => size === 24 ? Buffer.alloc(size, 0xff) : randomBytes(size));
+
+  const { key } = await ApiKeyManager.issueKey('client', ['refresh:read']);
+  assert.match(key, /^crs_[0-9a-f]+_.*_/);
+
+  const identity = await ApiKeyManager.verifyKey(key);
+  assert.equal(identity.error, undefined);
+  assert.deepEqual(identity.scopes, ['refresh:read']);
+});
+
+test('a key with the wrong secret is rejected', async () => {
+  const { key } = await ApiKeyManager.issueKey('client', ['refresh:read']);
+  const [prefix, keyId] = key.split('_');
+
+  assert.deepEqual(await ApiKeyManager.verifyKey(`${prefix}_${keyId}_wrong-secret`), { error: 'unknown key' });
+});
+
+test('malformed and unknown keys are rejected', async () => {
+  assert.deepEqual(await ApiKeyManager.verifyKey('not-a-key'), { error: 'malformed key' });
+  assert.deepEqual(await ApiKeyManager.verifyKey('crs_abc'), { error: 'malformed key' });
+  assert.deepEqual(await ApiKeyManager.verifyKey('crs_0123456789ab_secret'), { error: 'unknown key' });
+});
+
+test('requireScope answers 403 when the key lacks the scope', () => {
+  const req = { method: 'POST', originalUrl: '/api/cookie-refresh/trigger', ip: '127.0.0.1', apiKey: { keyId: 'a', scopes: ['refresh:read'] } };
+  const res = mockResponse();
+  let called = false;
+
+  requireScope('refresh:trigger')(req, res, () => { called = true; });
+
+  assert.equal(called, false);
+  assert.equal(res.statusCode, 403);
+  assert.equal(res.body.success, false);
+});
+
+test('requireScope passes keys with the scope or admin', () => {
+  for (const scopes of [['refresh:trigger'], ['admin']]) {
+    let called = false;
+    requireScope('refresh:trigger')({ apiKey: { keyId: 'a', scopes } }, mockResponse(), () => { called = true; });
+    assert.equal(called, true);
+  }
+});
@@ -0,0 +1,57 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { CookieLease } from '../src/models/CookieLease.js';
+import { CookieRefresh } from '../src/models/CookieRefresh.js';
+import CookieLeaseTracker from '../src/helpers/CookieLeaseTracker.js';
+import { logger } from '../src/helpers/logger.js';
+
+logger.log = () => {};
+
+// Keep the leases in memory instead of MongoDB, matching the filters releaseLease uses
+const leases = new Map();
+const outcomes = [];
+CookieLease.create = async (fields) => {
+  leases.set(fields.leaseId, { ...fields, status: 'active' });
+  return leases.get(fields.leaseId);
+};
+CookieLease.findOne = async ({ leaseId }) => leases.get(leaseId) || null;
+CookieLease.findOneAndUpdate = async ({ leaseId, status, expiresAt }, update) => {
+  const lease = leases.get(leaseId);
+  if (!lease || lease.status !== status || (expiresAt && !(lease.expiresAt > expiresAt.$gt))) {
+    return null;
+  }
+  return Object.assign(lease, update);
+};
+CookieRefresh.updateOne = async (filter, update) => {
+  outcomes.push(update.$inc);
+  return { modifiedCount: 1 };
+};
+
+test('a lease records the profile its jar came from', async () => {
+  const lease = await CookieLeaseTracker.issueLease('refresh-1', 12, 60, 'scraper', 'checkout');
+
+  assert.equal(lease.profile, 'checkout');
+  assert.equal((await CookieLeaseTracker.getLease(lease.leaseId)).profile, 'checkout');
+});
+
+test('an active lease can be released once', async () => {
+  const { leaseId } = await CookieLeaseTracker.issueLease('refresh-1', 12, 60);
+  outcomes.length = 0;
+
+  const released = await CookieLeaseTracker.releaseLease(leaseId, 'ok');
+  assert.equal(released.status, 'released');
+  assert.deepEqual(outcomes, [{ 'leaseOutcomes.ok': 1 }]);
+
+  assert.equal(await CookieLeaseTracker.releaseLease(leaseId, 'rejected'), null);
+  assert.equal(outcomes.length, 1);
+});
+
+test('a lease past expiresAt cannot be released before the scheduler expires it', async () => {
+  const { leaseId } = await CookieLeaseTracker.issueLease('refresh-1', 12, 60);
+  leases.get(leaseId).expiresAt = new Date(Date.now() - 1000);
+  outcomes.length = 0;
+
+  assert.equal(await CookieLeaseTracker.releaseLease(leaseId, 'ok'), null);
+  assert.equal(leases.get(leaseId).status, 'active');
+  assert.deepEqual(outcomes, []);
+});
@@ -0,0 +1,52 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { CookieRefresh } from '../src/models/CookieRefresh.js';
+import CookieRefreshTracker from '../src/helpers/CookieRefreshTracker.js';
+import { logger } from '../src/helpers/logger.js';
+
+logger.log = () => {};
+
+// Keep the refresh records in memory instead of MongoDB
+const records = new Map();
+CookieRefresh.findOne = async ({ refreshId }) => records.get(refreshId) || null;
+CookieRefresh.findOneAndUpdate = async ({ refreshId, status }, update) => {
+  const record = records.get(refreshId);
+  if (!record || (status && record.status !== status)) {
+    return null;
+  }
+  return Object.assign(record, update);
+};
+
+const startRecord = (refreshId) => {
+  records.set(refreshId, { refreshId, status: 'in_progress', startTime: new Date(Date.now() - 1000) });
+};
+
+test('a jar is valid until its planned refresh', async () => {
+  startRecord('planned');
+  const before = Date.now();
+
+  const record = await CookieRefreshTracker.markSuccess('planned', 10, 0, {}, { delay: 60000, plan: { strategy: 'cookie_expiry' } });
+
+  assert.equal(record.status, 'success');
+  assert.ok(record.nextScheduledRefresh.getTime() >= before + 60000);
+  assert.equal(record.validUntil.getTime(), record.nextScheduledRefresh.getTime());
+});
+
+test('a reused jar keeps the planned refresh of its producer', async () => {
+  startRecord('reused');
+  const at = new Date(Date.now() + 30 * 60 * 1000);
+
+  const record = await CookieRefreshTracker.markSuccess('reused', 10, 0, {}, { at, plan: { strategy: 'reused' } });
+
+  assert.equal(record.nextScheduledRefresh.getTime(), at.getTime());
+  assert.equal(record.validUntil.getTime(), at.getTime());
+  assert.equal(record.refreshPlan.strategy, 'reused');
+});
+
+test('only refreshes still in progress are completed', async () => {
+  records.set('abandoned', { refreshId: 'abandoned', status: 'abandoned', startTime: new Date() });
+
+  assert.equal(await CookieRefreshTracker.markSuccess('abandoned', 10, 0), null);
+  assert.equal(await CookieRefreshTracker.markFailed('abandoned', 'late failure', 0), null);
+  assert.equal(records.get('abandoned').status, 'abandoned');
+});
@@ -0,0 +1,161 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { RefreshJob } from '../src/models/RefreshJob.js';
+import RefreshQueue from '../src/helpers/RefreshQueue.js';
+import { logger } from '../src/helpers/logger.js';
+
+logger.log = () => {};
+
+// Keep the jobs in memory instead of MongoDB, with the operators the queue uses
+const jobs = [];
+
+/**
+ * Check a job against a MongoDB-style filter
+ * @param {object} job - Stored job
+ * @param {object} filter - Filter with $or, $gt, $lte, $in and $nin
+ * @returns {boolean} True if the job matches
+ */
+const matches = (job, filter) => Object.entries(filter).every(([field, condition]) => {
+  if (field === '$or') {
+    return condition.some(branch => matches(job, branch));
+  }
+  const value = job[field];
+  if (condition === null || typeof condition !== 'object' || condition instanceof Date) {
+    return value instanceof Date ? value.getTime() === condition?.getTime() : value === condition;
+  }
+  return Object.entries(condition).every(([operator, operand]) => ({
+    $gt: () => value > operand,
+    $lte: () => value <= operand,
+    $in: () => operand.includes(value),
+    $nin: () => !operand.includes(value)
+  })[operator]());
+});
+
+/**
+ * Apply a $set/$inc/$unset update, or a plain field update
+ * @param {object} job - Stored job
+ * @param {object} update - Update document
+ */
+const applyUpdate = (job, update) => {
+  const { $set, $inc, $unset } = update;
+  if (!$set && !$inc && !$unset) {
+    Object.assign(job, update);
+    return;
+  }
+  Object.assign(job, $set);
+  for (const [field, amount] of Object.entries($inc || {})) {
+    job[field] += amount;
+  }
+  for (const field of Object.keys($unset || {})) {
+    delete job[field];
+  }
+};
+
+const query = (result) => ({ select: () => query(result), lean: async () => result && { ...result } });
+
+RefreshJob.create = async (fields) => {
+  if (fields.dedupeKey && jobs.some(job => job.active && job.dedupeKey === fields.dedupeKey)) {
+    throw Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+  }
+  const job = { state: 'queued', attempts: 0, availableAt: new Date(), createdAt: new Date(jobs.length), ...fields };
+  jobs.push(job);
+  return { ...job };
+};
+RefreshJob.findOne = (filter) => query(jobs.find(job => matches(job, filter)) || null);
+RefreshJob.distinct = async (field, filter) => [...new Set(jobs.filter(job => matches(job, filter)).map(job => job[field]))];
+RefreshJob.findOneAndUpdate = (filter, update) => {
+  const job = jobs
+    .filter(candidate => matches(candidate, filter))
+    .sort((a, b) => b.priority - a.priority || a.createdAt - b.createdAt)[0];
+  if (job) {
+    applyUpdate(job, update);
+  }
+  return query(job || null);
+};
+RefreshJob.updateOne = async (filter, update) => {
+  const job = jobs.find(candidate => matches(candidate, filter));
+  if (job) {
+    applyUpdate(job, update);
+  }
+  return { modifiedCount: job ? 1 : 0 };
+};
+
+beforeEach(() => {
+  jobs.length = 0;
+});
+
+test('enqueue returns the pending job with the same dedupe key', async () => {
+  const first = await RefreshQueue.enqueue({ profile: 'checkout', source: 'schedule', dedupeKey: 'schedule:a' });
+  const second = await RefreshQueue.enqueue({ profile: 'checkout', source: 'schedule', dedupeKey: 'schedule:a' });
+
+  assert.equal(first.created, true);
+  assert.equal(second.created, false);
+  assert.equal(second.job.jobId, first.job.jobId);
+  assert.equal(jobs.length, 1);
+});
+
+test('enqueue queues a new job once the deduplicated one finished', async () => {
+  const first = await RefreshQueue.enqueue({ source: 'interval', dedupeKey: 'interval:default' });
+  const job = await RefreshQueue.claimNext('instance-a');
+  assert.equal(await RefreshQueue.complete(job, { cookieCount: 3 }), true);
+
+  const second = await RefreshQueue.enqueue({ source: 'interval', dedupeKey: 'interval:default' });
+
+  assert.equal(second.created, true);
+  assert.notEqual(second.job.jobId, first.job.jobId);
+});
+
+test('enqueue retries when the duplicate finished before it could be looked up', async (t) => {
+  const create = RefreshJob.create;
+  t.mock.method(RefreshJob, 'create', async () => {
+    RefreshJob.create.mock.restore();
+    throw Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+  });
+
+  const { created } = await RefreshQueue.enqueue({ source: 'interval', dedupeKey: 'interval:default' });
+
+  assert.equal(RefreshJob.create, create);
+  assert.equal(created, true);
+  assert.equal(jobs.length, 1);
+});
+
+test('claimNext takes manual jobs first and one job per profile at a time', async () => {
+  await RefreshQueue.enqueue({ profile: 'default', source: 'interval' });
+  await RefreshQueue.enqueue({ profile: 'default', source: 'manual' });
+  await RefreshQueue.enqueue({ profile: 'checkout', source: 'schedule' });
+
+  const first = await RefreshQueue.claimNext('instance-a');
+  const second = await RefreshQueue.claimNext('instance-b');
+
+  assert.equal(first.source, 'manual');
+  assert.equal(first.attempts, 1);
+  assert.equal(second.profile, 'checkout');
+  assert.equal(await RefreshQueue.claimNext('instance-c'), null);
+});
+
+test('an expired claim moves to another worker and the old worker cannot finish it', async () => {
+  await RefreshQueue.enqueue({ source: 'manual', maxAttempts: 3 });
+  const stale = await RefreshQueue.claimNext('instance-a');
+  jobs[0].lockedUntil = new Date(Date.now() - 1000);
+
+  const current = await RefreshQueue.claimNext('instance-b');
+
+  assert.equal(current.jobId, stale.jobId);
+  assert.equal(current.attempts, 2);
+  assert.equal(await RefreshQueue.extend(stale), false);
+  assert.equal(await RefreshQueue.complete(stale, { cookieCount: 1 }), false);
+  assert.equal(await RefreshQueue.fail(stale, 'timeout'), null);
+  assert.equal(await RefreshQueue.complete(current, { cookieCount: 1 }), true);
+  assert.equal(jobs[0].state, 'success');
+});
+
+test('a job whose worker vanished on its last attempt is failed instead of claimed', async () => {
+  await RefreshQueue.enqueue({ source: 'manual', maxAttempts: 1 });
+  await RefreshQueue.claimNext('instance-a');
+  jobs[0].lockedUntil = new Date(Date.now() - 1000);
+
+  assert.equal(await RefreshQueue.claimNext('instance-b'), null);
+  assert.equal(jobs[0].state, 'failed');
+  assert.match(jobs[0].error, /Gave up after 1 attempts/);
+  assert.equal('active' in jobs[0], false);
+});
@@ -0,0 +1,84 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import zlib from 'zlib';
+import { CONFIG } from '../src/config/serviceConfig.js';
+import { CookieRefresh } from '../src/models/CookieRefresh.js';
+import RetentionManager from '../src/helpers/RetentionManager.js';
+import { logger } from '../src/helpers/logger.js';
+
+logger.log = () => {};
+
+const archiveDir = CONFIG.RETENTION.ARCHIVE_DIR;
+const VALID = 'refreshes-2026-10-01T12-30-45-123Z-a1b2c3.ndjson.gz';
+
+before(async () => {
+  CONFIG.RETENTION.ARCHIVE_DIR = await fs.mkdtemp(path.join(os.tmpdir(), 'retention-'));
+});
+
+after(async () => {
+  await fs.rm(CONFIG.RETENTION.ARCHIVE_DIR, { recursive: true, force: true });
+  CONFIG.RETENTION.ARCHIVE_DIR = archiveDir;
+});
+
+/**
+ * Write a gzipped archive with the given records
+ * @param {string} name - Archive file name
+ * @param {Array<object>} docs - Records
+ */
+const writeArchive = async (name, docs = []) => {
+  const body = docs.map(doc => `${JSON.stringify(doc)}\n`).join('');
+  await fs.writeFile(path.join(CONFIG.RETENTION.ARCHIVE_DIR, name), zlib.gzipSync(body));
+};
+
+test('listArchives parses names, skips other files and sorts newest first', async () => {
+  const older = 'sessions-2026-09-30T08-00-00-000Z-ff00ff.ndjson.gz';
+  await writeArchive(VALID);
+  await writeArchive(older);
+  for (const name of [
+    '__proto__-2026-10-01T12-30-45-123Z-a1b2c3.ndjson.gz',
+    'constructor-2026-10-01T12-30-45-123Z-a1b2c3.ndjson.gz',
+    'unknown-2026-10-01T12-30-45-123Z-a1b2c3.ndjson.gz',
+    'refreshes-2026-10-01T12-30-45-123Z-a1b2c3.ndjson.gz.tmp',
+    'refreshes-yesterday-a1b2c3.ndjson.gz',
+    'notes.txt'
+  ]) {
+    await writeArchive(name);
+  }
+
+  const archives = await RetentionManager.listArchives();
+
+  assert.deepEqual(archives.map(({ name, collection, createdAt }) => ({ name, collection, createdAt })), [
+    { name: VALID, collection: 'refreshes', createdAt: new Date('2026-10-01T12:30:45.123Z') },
+    { name: older, collection: 'sessions', createdAt: new Date('2026-09-30T08:00:00.000Z') }
+  ]);
+  assert.ok(archives.every(archive => archive.size > 0));
+});
+
+test('restoreArchive refuses names that are not archives of a known collection', async () => {
+  for (const name of [
+    '__proto__-2026-10-01T12-30-45-123Z-a1b2c3.ndjson.gz',
+    'hasOwnProperty-2026-10-01T12-30-45-123Z-a1b2c3.ndjson.gz',
+    '../refreshes-2026-10-01T12-30-45-123Z-a1b2c3.ndjson.gz',
+    'refreshes-2026-10-02T00-00-00-000Z-a1b2c3.ndjson.gz'
+  ]) {
+    assert.equal(await RetentionManager.restoreArchive(name), null, name);
+  }
+});
+
+test('restoreArchive inserts only the records that are missing', async (t) => {
+  await writeArchive(VALID, [{ _id: 'a' }, { _id: 'b' }, { _id: 'c' }]);
+  const inserted = [];
+  t.mock.method(CookieRefresh, 'find', () => ({ lean: async () => [{ _id: 'b' }] }));
+  t.mock.method(CookieRefresh, 'insertMany', async (docs) => { inserted.push(...docs); });
+
+  assert.deepEqual(await RetentionManager.restoreArchive(VALID), {
+    name: VALID,
+    collection: 'refreshes',
+    restoredCount: 2,
+    skippedCount: 1
+  });
+  assert.deepEqual(inserted.map(doc => doc._id), ['a', 'c']);
+});
@@ -0,0 +1,75 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Schedule } from '../src/models/Schedule.js';
+import ScheduleManager from '../src/helpers/ScheduleManager.js';
+import { logger } from '../src/helpers/logger.js';
+
+logger.log = () => {};
+
+const NOW = new Date('2026-10-01T12:00:30.000Z');
+
+test('validateCron accepts five-field expressions in known time zones', () => {
+  assert.equal(ScheduleManager.validateCron('*/15 * * * *'), null);
+  assert.equal(ScheduleManager.validateCron('0 9 * * 1-5', 'Europe/Berlin'), null);
+});
+
+test('validateCron explains what is wrong', () => {
+  assert.match(ScheduleManager.validateCron('* * * *'), /five fields/);
+  assert.match(ScheduleManager.validateCron('* * * * * *'), /five fields/);
+  assert.match(ScheduleManager.validateCron(null), /five fields/);
+  assert.match(ScheduleManager.validateCron('61 * * * *'), /Invalid cron expression/);
+  assert.match(ScheduleManager.validateCron('0 0 30 2 *'), /Invalid cron expression/);
+  assert.equal(ScheduleManager.validateCron('0 * * * *', 'Mars/Olympus'), 'Unknown time zone: Mars/Olympus');
+});
+
+test('getNextRun follows the time zone of the schedule', () => {
+  const schedule = { cron: '0 9 * * *', timezone: 'America/New_York' };
+
+  assert.deepEqual(ScheduleManager.getNextRun(schedule, NOW), new Date('2026-10-01T13:00:00.000Z'));
+});
+
+test('getNextRun adds between zero and jitter whole seconds', (t) => {
+  const schedule = { cron: '*/5 * * * *', jitter: 30 };
+  const random = t.mock.method(Math, 'random', () => 0);
+
+  assert.deepEqual(ScheduleManager.getNextRun(schedule, NOW), new Date('2026-10-01T12:05:00.000Z'));
+
+  random.mock.mockImplementation(() => 0.999999);
+  assert.deepEqual(ScheduleManager.getNextRun(schedule, NOW), new Date('2026-10-01T12:05:30.000Z'));
+
+  assert.deepEqual(ScheduleManager.getNextRun({ cron: '*/5 * * * *' }, NOW), new Date('2026-10-01T12:05:00.000Z'));
+});
+
+test('getUpcomingRuns merges the runs of all schedules, soonest first', async (t) => {
+  t.mock.method(Math, 'random', () => 0);
+  t.mock.method(Schedule, 'find', async () => [
+    { scheduleId: 'hourly', profile: 'default', cron: '0 * * * *', jitter: 0, nextRunAt: new Date('2026-10-01T13:00:00.000Z') },
+    { scheduleId: 'quarter', profile: 'checkout', cron: '*/15 * * * *', jitter: 0, nextRunAt: new Date('2026-10-01T12:15:00.000Z') }
+  ]);
+
+  const runs = await ScheduleManager.getUpcomingRuns(5, NOW);
+
+  assert.deepEqual(runs.map(run => [run.scheduleId, run.runAt.toISOString()]), [
+    ['quarter', '2026-10-01T12:15:00.000Z'],
+    ['quarter', '2026-10-01T12:30:00.000Z'],
+    ['quarter', '2026-10-01T12:45:00.000Z'],
+    ['hourly', '2026-10-01T13:00:00.000Z'],
+    ['quarter', '2026-10-01T13:00:00.000Z']
+  ]);
+  assert.equal(runs[3].profile, 'default');
+});
+
+test('getUpcomingRuns plans after now when the stored run is overdue', async (t) => {
+  t.mock.method(Math, 'random', () => 0);
+  t.mock.method(Schedule, 'find', async () => [
+    { scheduleId: 'late', profile: 'default', cron: '0 * * * *', jitter: 0, nextRunAt: new Date('2026-10-01T09:00:00.000Z') }
+  ]);
+
+  const runs = await ScheduleManager.getUpcomingRuns(3, NOW);
+
+  assert.deepEqual(runs.map(run => run.runAt.toISOString()), [
+    '2026-10-01T09:00:00.000Z',
+    '2026-10-01T13:00:00.000Z',
+    '2026-10-01T14:00:00.000Z'
+  ]);
+});
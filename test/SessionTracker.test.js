@@ -0,0 +1,62 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+
+process.env.COOKIE_ENCRYPTION_KEYS = `k1:${crypto.randomBytes(32).toString('base64')}`;
+
+const { Session } = await import('../src/models/Session.js');
+const { default: SessionTracker } = await import('../src/helpers/SessionTracker.js');
+const { logger } = await import('../src/helpers/logger.js');
+
+logger.log = () => {};
+
+// Keep the sessions in memory instead of MongoDB
+const stored = [];
+const toDocument = (fields) => ({ ...fields, toObject: () => ({ ...fields }) });
+Session.create = async (fields) => {
+  stored.push(fields);
+  return toDocument(fields);
+};
+Session.findOne = async ({ sessionId }) => {
+  const fields = stored.find(session => session.sessionId === sessionId);
+  return fields ? toDocument(fields) : null;
+};
+
+const fingerprint = { userAgent: 'Mozilla/5.0 (iPhone)', viewport: { width: 390, height: 844 } };
+
+test('the fingerprint and user agent are encrypted at rest', async () => {
+  const session = await SessionTracker.recordSession({
+    refreshId: 'refresh-1',
+    profile: 'default',
+    fingerprint,
+    userAgent: fingerprint.userAgent
+  });
+
+  const raw = stored.find(fields => fields.sessionId === session.sessionId);
+  assert.equal(JSON.stringify(raw).includes('iPhone'), false);
+  assert.match(raw.userAgentHash, /^[0-9a-f]{64}$/);
+
+  assert.deepEqual(session.fingerprint, fingerprint);
+  assert.equal(session.userAgent, fingerprint.userAgent);
+  assert.equal('userAgentHash' in session, false);
+
+  const loaded = await SessionTracker.getSession(session.sessionId);
+  assert.deepEqual(loaded.fingerprint, fingerprint);
+  assert.equal(loaded.userAgent, fingerprint.userAgent);
+});
+
+test('sessions are filtered by user agent through its keyed hash', async (t) => {
+  let query = null;
+  t.mock.method(Session, 'countDocuments', async (filter) => {
+    query = filter;
+    return 0;
+  });
+  t.mock.method(Session, 'find', () => ({ sort: () => ({ skip: () => ({ limit: async () => [] }) }) }));
+
+  await SessionTracker.listSessions({ userAgent: fingerprint.userAgent, profile: 'default' });
+
+  const [{ userAgentHash }] = query.$or;
+  assert.equal(userAgentHash, stored[0].userAgentHash);
+  assert.equal(query.profile, 'default');
+  assert.equal('userAgent' in query, false);
+});
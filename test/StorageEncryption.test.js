@@ -0,0 +1,95 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+
+const KEY_1 = crypto.randomBytes(32).toString('base64');
+const KEY_2 = crypto.randomBytes(32).toString('hex');
+
+let instance = 0;
+
+/**
+ * Load a fresh copy of StorageEncryption, since the keyring is read once per module instance
+ * @param {string} keys - COOKIE_ENCRYPTION_KEYS value, or undefined for no keys
+ * @returns {Promise<Function>} The StorageEncryption class
+ */
+const loadWithKeys = async (keys) => {
+  if (keys === undefined) {
+    delete process.env.COOKIE_ENCRYPTION_KEYS;
+  } else {
+    process.env.COOKIE_ENCRYPTION_KEYS = keys;
+  }
+  const module = await import(`../src/helpers/StorageEncryption.js?instance=${++instance}`);
+  module.default.isEnabled();
+  return module.default;
+};
+
+const jar = [
+  { name: 'TMUO', value: 'secret-1', domain: '.ticketmaster.com', path: '/', expires: 1900000000 },
+  { name: 'SID', value: 'secret-2', domain: 'www.ticketmaster.com', path: '/', expires: -1 }
+];
+
+test('without keys data is stored as plaintext', async () => {
+  const StorageEncryption = await loadWithKeys(undefined);
+
+  assert.equal(StorageEncryption.isEnabled(), false);
+  assert.deepEqual(StorageEncryption.protect(jar), jar);
+  assert.deepEqual(StorageEncryption.deserialize(StorageEncryption.serialize(jar)), jar);
+});
+
+test('encrypted data round-trips and does not contain the plaintext', async () => {
+  const StorageEncryption = await loadWithKeys(`k1:${KEY_1}`);
+
+  const envelope = StorageEncryption.protect(jar);
+  assert.equal(StorageEncryption.isEncrypted(envelope), true);
+  assert.equal(envelope.keyId, 'k1');
+  assert.equal(JSON.stringify(envelope).includes('secret-1'), false);
+  assert.deepEqual(StorageEncryption.unprotect(envelope), jar);
+  assert.deepEqual(StorageEncryption.deserialize(StorageEncryption.serialize(jar)), jar);
+});
+
+test('tampered envelopes are rejected', async () => {
+  const StorageEncryption = await loadWithKeys(`k1:${KEY_1}`);
+  const envelope = StorageEncryption.encrypt(jar);
+  const ciphertext = Buffer.from(envelope.ciphertext, 'base64');
+  ciphertext[0] ^= 1;
+
+  assert.throws(() => StorageEncryption.decrypt({ ...envelope, ciphertext: ciphertext.toString('base64') }));
+  assert.throws(() => StorageEncryption.decrypt({ ...envelope, keyId: 'k2' }), /"k2" is not configured/);
+});
+
+test('rotation decrypts with retired keys and re-encrypts with the new one', async () => {
+  const before = await loadWithKeys(`k1:${KEY_1}`);
+  const oldEnvelope = before.protect(jar);
+  assert.equal(before.needsReencryption(oldEnvelope), false);
+  assert.equal(before.needsReencryption(jar), true);
+
+  const rotated = await loadWithKeys(`k2:${KEY_2},k1:${KEY_1}`);
+  assert.equal(rotated.getActiveKeyId(), 'k2');
+  assert.equal(rotated.needsReencryption(oldEnvelope), true);
+  const newEnvelope = rotated.protect(rotated.unprotect(oldEnvelope));
+  assert.equal(newEnvelope.keyId, 'k2');
+  assert.equal(rotated.needsReencryption(newEnvelope), false);
+
+  const retired = await loadWithKeys(`k2:${KEY_2}`);
+  assert.deepEqual(retired.unprotect(newEnvelope), jar);
+  assert.throws(() => retired.unprotect(oldEnvelope), /"k1" is not configured/);
+});
+
+test('invalid keyrings are refused', async () => {
+  await assert.rejects(loadWithKeys('no-separator'), /expected "keyId:secret"/);
+  await assert.rejects(loadWithKeys('short:abcd'), /must be 32 bytes/);
+  await assert.rejects(loadWithKeys(`k1:${KEY_1},k1:${KEY_2}`), /Duplicate encryption key IDs/);
+});
+
+test('cookiesHash ignores order and expiry and is keyed when keys are configured', async () => {
+  const plain = await loadWithKeys(undefined);
+  const keyed = await loadWithKeys(`k1:${KEY_1}`);
+  const rotated = await loadWithKeys(`k2:${KEY_2},k1:${KEY_1}`);
+
+  const hash = keyed.hashCookies(jar);
+  assert.equal(keyed.hashCookies([...jar].reverse().map(cookie => ({ ...cookie, expires: 2000000000 }))), hash);
+  assert.notEqual(keyed.hashCookies([{ ...jar[0], value: 'other' }, jar[1]]), hash);
+  assert.notEqual(plain.hashCookies(jar), hash);
+  assert.notEqual(rotated.hashCookies(jar), hash);
+  assert.equal(keyed.hashCookies([]), null);
+});
@@ -0,0 +1,144 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { CONFIG } from '../src/config/serviceConfig.js';
+import { writeFileAtomic, withFileLock } from '../src/helpers/atomicFile.js';
+import { logger } from '../src/helpers/logger.js';
+
+logger.log = () => {};
+
+const defaults = { ...CONFIG.STORAGE };
+let dir;
+let filePath;
+let lockPath;
+
+beforeEach(async () => {
+  dir = await fs.mkdtemp(path.join(os.tmpdir(), 'atomic-file-'));
+  filePath = path.join(dir, 'cookies.json');
+  lockPath = `${filePath}.lock`;
+});
+
+afterEach(async () => {
+  Object.assign(CONFIG.STORAGE, defaults);
+  await fs.rm(dir, { recursive: true, force: true });
+});
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Write a lock file as another process would, optionally backdated
+ * @param {string} token - Owner token
+ * @param {number} age - Age of its mtime in milliseconds
+ */
+const writeForeignLock = async (token, age = 0) => {
+  await fs.writeFile(lockPath, JSON.stringify({ pid: 1, host: 'other', token }));
+  const mtime = new Date(Date.now() - age);
+  await fs.utimes(lockPath, mtime, mtime);
+};
+
+test('writeFileAtomic replaces the file and leaves no temporary files', async () => {
+  await writeFileAtomic(filePath, 'first');
+  await writeFileAtomic(filePath, 'second');
+
+  assert.equal(await fs.readFile(filePath, 'utf8'), 'second');
+  assert.deepEqual(await fs.readdir(dir), ['cookies.json']);
+});
+
+test('concurrent holders never overlap and the lock is removed afterwards', async () => {
+  let active = 0;
+  let maxActive = 0;
+
+  await Promise.all(Array.from({ length: 6 }, () => withFileLock(filePath, async () => {
+    active++;
+    maxActive = Math.max(maxActive, active);
+    await sleep(5);
+    active--;
+  })));
+
+  assert.equal(maxActive, 1);
+  assert.deepEqual(await fs.readdir(dir), []);
+});
+
+test('a lock its holder stopped refreshing is broken', async () => {
+  await writeForeignLock('crashed', CONFIG.STORAGE.LOCK_STALE + 1000);
+
+  assert.equal(await withFileLock(filePath, async () => 'ran'), 'ran');
+  assert.deepEqual(await fs.readdir(dir), []);
+});
+
+test('a holder that runs longer than LOCK_STALE keeps its lock', async () => {
+  Object.assign(CONFIG.STORAGE, { LOCK_STALE: 150, LOCK_TIMEOUT: 2000 });
+  const order = [];
+
+  await Promise.all([
+    withFileLock(filePath, async () => {
+      order.push('first:start');
+      await sleep(500);
+      order.push('first:end');
+    }),
+    sleep(20).then(() => withFileLock(filePath, async () => {
+      order.push('second');
+    }))
+  ]);
+
+  assert.deepEqual(order, ['first:start', 'first:end', 'second']);
+});
+
+test('a holder whose lock was taken over fails and leaves the new lock in place', async () => {
+  await assert.rejects(
+    withFileLock(filePath, async () => {
+      await fs.rm(lockPath);
+      await writeForeignLock('successor');
+    }),
+    /Lost lock/
+  );
+
+  assert.match(await fs.readFile(lockPath, 'utf8'), /successor/);
+});
+
+test('a lock refreshed after it was seen as stale is restored, not removed', async (t) => {
+  Object.assign(CONFIG.STORAGE, { LOCK_TIMEOUT: 200 });
+  await writeForeignLock('slow', CONFIG.STORAGE.LOCK_STALE + 1000);
+
+  // The holder refreshes its lock right after the waiter has looked at it
+  const stat = fs.stat;
+  t.mock.method(fs, 'stat', async (target) => {
+    const stats = await stat(target);
+    if (target === lockPath) {
+      await fs.utimes(lockPath, new Date(), new Date());
+      fs.stat.mock.restore();
+    }
+    return stats;
+  });
+
+  await assert.rejects(withFileLock(filePath, async () => 'ran'), /Timed out/);
+  assert.match(await fs.readFile(lockPath, 'utf8'), /slow/);
+});
+
+test('a live lock that cannot be restored is reported as lost', async (t) => {
+  await writeForeignLock('slow', CONFIG.STORAGE.LOCK_STALE + 1000);
+
+  const stat = fs.stat;
+  const rename = fs.rename;
+  t.mock.method(fs, 'stat', async (target) => {
+    const stats = await stat(target);
+    if (target === lockPath) {
+      await fs.utimes(lockPath, new Date(), new Date());
+      fs.stat.mock.restore();
+    }
+    return stats;
+  });
+  // A third process locks the file while the live lock is moved aside
+  t.mock.method(fs, 'rename', async (from, to) => {
+    await rename(from, to);
+    if (from === lockPath) {
+      await writeForeignLock('third');
+      fs.rename.mock.restore();
+    }
+  });
+
+  await assert.rejects(withFileLock(filePath, async () => 'ran'), /was lost/);
+  assert.match(await fs.readFile(lockPath, 'utf8'), /third/);
+});
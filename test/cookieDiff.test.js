@@ -0,0 +1,75 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { maskCookieValue, describeCookie, diffCookieJars } from '../src/helpers/cookieDiff.js';
+
+const LONG_VALUE = 'abcdefghijklmnop-1234';
+
+test('maskCookieValue hides short values and keeps the last four characters of long ones', () => {
+  assert.equal(maskCookieValue('short'), '********');
+  assert.equal(maskCookieValue('exactly15chars!'), '********');
+  assert.equal(maskCookieValue('exactly16chars!!'), '********rs!!');
+  assert.equal(maskCookieValue(LONG_VALUE), '********1234');
+  assert.equal(maskCookieValue(undefined), '********');
+  assert.equal(maskCookieValue(12345), '********');
+});
+
+test('describeCookie masks by default and normalizes attributes', () => {
+  const cookie = { name: 'TMUO', value: LONG_VALUE, domain: '.ticketmaster.com', expires: 1900000000123 };
+
+  assert.deepEqual(describeCookie(cookie), {
+    name: 'TMUO',
+    domain: '.ticketmaster.com',
+    path: '/',
+    value: '********1234',
+    expires: new Date(1900000000 * 1000).toISOString(),
+    httpOnly: false,
+    secure: false,
+    sameSite: null
+  });
+  assert.equal(describeCookie(cookie, true).value, LONG_VALUE);
+  assert.equal(describeCookie({ ...cookie, expires: -1, session: true }).expires, null);
+});
+
+test('diffCookieJars matches cookies by name, domain and path', () => {
+  const before = [
+    { name: 'a', value: 'one', domain: '.example.com', path: '/' },
+    { name: 'b', value: 'same', domain: '.example.com', path: '/' },
+    { name: 'c', value: 'gone', domain: '.example.com', path: '/' }
+  ];
+  const after = [
+    { name: 'a', value: 'two', domain: '.example.com', path: '/', secure: true },
+    { name: 'b', value: 'same', domain: '.example.com', path: '/' },
+    { name: 'c', value: 'gone', domain: '.example.com', path: '/account' }
+  ];
+
+  const diff = diffCookieJars(before, after);
+
+  assert.deepEqual(diff.summary, { added: 1, removed: 1, changed: 1, unchanged: 1 });
+  assert.equal(diff.added[0].path, '/account');
+  assert.equal(diff.removed[0].path, '/');
+  assert.deepEqual(diff.changed[0].changes, {
+    value: { from: '********', to: '********' },
+    secure: { from: false, to: true }
+  });
+});
+
+test('diffCookieJars only reveals values when asked', () => {
+  const before = [{ name: 'a', value: 'old-secret-value-0001', domain: 'x', path: '/' }];
+  const after = [{ name: 'a', value: 'new-secret-value-0002', domain: 'x', path: '/' }];
+
+  const masked = diffCookieJars(before, after);
+  assert.equal(JSON.stringify(masked).includes('secret'), false);
+  assert.deepEqual(masked.changed[0].changes.value, { from: '********0001', to: '********0002' });
+
+  const revealed = diffCookieJars(before, after, true);
+  assert.deepEqual(revealed.changed[0].changes.value, { from: 'old-secret-value-0001', to: 'new-secret-value-0002' });
+});
+
+test('expiries are compared in epoch seconds whatever unit they were stored in', () => {
+  const before = [{ name: 'a', value: 'v', domain: 'x', expires: 1900000000 }];
+  const sameInMilliseconds = [{ name: 'a', value: 'v', domain: 'x', expires: 1900000000000 }];
+  const later = [{ name: 'a', value: 'v', domain: 'x', expires: 1900003600 }];
+
+  assert.equal(diffCookieJars(before, sameInMilliseconds).summary.unchanged, 1);
+  assert.deepEqual(Object.keys(diffCookieJars(before, later).changed[0].changes), ['expires']);
+});
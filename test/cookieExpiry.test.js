@@ -0,0 +1,117 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { CONFIG } from '../src/config/serviceConfig.js';
+import { normalizeCookieExpiry, getCookieTtls, planNextRefresh, planReusedJar } from '../src/helpers/cookieExpiry.js';
+
+const NOW = Date.UTC(2026, 0, 1);
+const inSeconds = (seconds) => Math.floor(NOW / 1000) + seconds;
+
+test('normalizeCookieExpiry keeps the site expiry in epoch seconds', () => {
+  assert.deepEqual(
+    normalizeCookieExpiry({ name: 'a', expires: inSeconds(60) }),
+    { name: 'a', expires: inSeconds(60), expiry: inSeconds(60), session: false }
+  );
+  assert.equal(normalizeCookieExpiry({ name: 'a', expires: inSeconds(60) * 1000 }).expires, inSeconds(60));
+  assert.equal(normalizeCookieExpiry({ name: 'a', expiry: inSeconds(60) }).expires, inSeconds(60));
+});
+
+test('normalizeCookieExpiry marks session cookies with -1', () => {
+  for (const cookie of [{ name: 'a', expires: -1 }, { name: 'a' }, { name: 'a', expires: inSeconds(60), session: true }]) {
+    const normalized = normalizeCookieExpiry(cookie);
+    assert.equal(normalized.expires, -1);
+    assert.equal(normalized.expiry, -1);
+    assert.equal(normalized.session, true);
+  }
+});
+
+test('getCookieTtls reports per-cookie TTLs and the soonest live expiry', () => {
+  const { jar, cookies } = getCookieTtls([
+    { name: 'long', domain: '.example.com', expires: inSeconds(3600) },
+    { name: 'short', domain: '.example.com', expires: inSeconds(60) },
+    { name: 'gone', domain: '.example.com', expires: inSeconds(-5) },
+    { name: 'session', domain: '.example.com', expires: -1, session: true }
+  ], null, NOW);
+
+  assert.deepEqual(cookies.map(cookie => cookie.ttl), [3600, 60, 0, null]);
+  assert.deepEqual(cookies.map(cookie => cookie.expired), [false, false, true, false]);
+  assert.equal(jar.earliestExpiry.name, 'short');
+  assert.equal(jar.sessionCookies, 1);
+  assert.equal(jar.expiredCookies, 1);
+  assert.equal(jar.validUntil, null);
+  assert.equal(jar.ttl, null);
+  assert.equal(jar.expired, false);
+});
+
+test('getCookieTtls reports the jar validity from validUntil', () => {
+  const live = getCookieTtls([], new Date(NOW + 90 * 1000), NOW).jar;
+  assert.equal(live.ttl, 90);
+  assert.equal(live.expired, false);
+  assert.equal(live.earliestExpiry, null);
+
+  const past = getCookieTtls([], new Date(NOW - 1000), NOW).jar;
+  assert.equal(past.ttl, 0);
+  assert.equal(past.expired, true);
+});
+
+const HOUR = 60 * 60 * 1000;
+const FALLBACK = 20 * 60 * 1000;
+
+test('planNextRefresh waits the lifetime fraction of the shortest-lived essential cookie', () => {
+  const { delay, plan } = planNextRefresh([
+    { name: 'TMUO', domain: '.ticketmaster.com', expires: inSeconds(4 * 3600) },
+    { name: 'TMPS', domain: '.ticketmaster.com', expires: inSeconds(2 * 3600) },
+    { name: 'tracker', domain: '.example.com', expires: inSeconds(600) }
+  ], FALLBACK, NOW);
+
+  assert.equal(delay, 2 * HOUR * CONFIG.REFRESH_PLAN.LIFETIME_FRACTION);
+  assert.equal(plan.strategy, 'cookie_expiry');
+  assert.equal(plan.basis, 'essential');
+  assert.equal(plan.cookie.name, 'TMPS');
+  assert.equal(plan.lifetime, 2 * 3600);
+  assert.equal(plan.clamped, null);
+});
+
+test('planNextRefresh uses every expiring cookie when no essential cookie expires', () => {
+  const { plan } = planNextRefresh([
+    { name: 'TMUO', domain: '.ticketmaster.com', expires: -1, session: true },
+    { name: 'tracker', domain: '.example.com', expires: inSeconds(3 * 3600) }
+  ], FALLBACK, NOW);
+
+  assert.equal(plan.basis, 'all');
+  assert.equal(plan.cookie.name, 'tracker');
+});
+
+test('planNextRefresh keeps the delay between the floor and the ceiling', () => {
+  const soon = planNextRefresh([{ name: 'TMUO', domain: 'x', expires: inSeconds(60) }], FALLBACK, NOW);
+  assert.equal(soon.delay, CONFIG.REFRESH_PLAN.MIN_INTERVAL);
+  assert.equal(soon.plan.clamped, 'min');
+  assert.equal(soon.plan.computedDelay, 60 * CONFIG.REFRESH_PLAN.LIFETIME_FRACTION);
+
+  const late = planNextRefresh([{ name: 'TMUO', domain: 'x', expires: inSeconds(30 * 24 * 3600) }], FALLBACK, NOW);
+  assert.equal(late.delay, CONFIG.REFRESH_PLAN.MAX_INTERVAL);
+  assert.equal(late.plan.clamped, 'max');
+  assert.match(late.plan.reason, /capped at the ceiling/);
+});
+
+test('planNextRefresh ignores expired cookies and falls back when nothing expires', () => {
+  const { delay, plan } = planNextRefresh([
+    { name: 'TMUO', domain: 'x', expires: inSeconds(-60) },
+    { name: 'SID', domain: 'x', expires: -1, session: true }
+  ], FALLBACK, NOW);
+
+  assert.equal(delay, FALLBACK);
+  assert.equal(plan.strategy, 'fallback_interval');
+  assert.equal(plan.delay, FALLBACK / 1000);
+});
+
+test('planReusedJar keeps the planned refresh of the producing refresh', () => {
+  const validUntil = new Date(NOW + 45 * 60 * 1000);
+  const { at, plan } = planReusedJar({ refreshId: 'refresh-1', validUntil }, NOW);
+
+  assert.equal(at.getTime(), validUntil.getTime());
+  assert.equal(plan.strategy, 'reused');
+  assert.equal(plan.delay, 45 * 60);
+  assert.match(plan.reason, /refresh-1/);
+
+  assert.equal(planReusedJar({ refreshId: 'refresh-1', validUntil: new Date(NOW - 1000) }, NOW).plan.delay, 0);
+});
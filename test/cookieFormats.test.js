@@ -0,0 +1,89 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  toEpochSeconds,
+  getExpiry,
+  toNetscape,
+  toCookieHeader,
+  toHar,
+  toToughCookieJar,
+  COOKIE_FORMATS
+} from '../src/helpers/cookieFormats.js';
+
+const persistent = {
+  name: 'TMUO',
+  value: 'abc',
+  domain: '.ticketmaster.com',
+  path: '/',
+  expires: 1900000000,
+  httpOnly: true,
+  secure: true,
+  sameSite: 'Lax'
+};
+const session = {
+  name: 'SID',
+  value: 'xyz',
+  domain: 'www.ticketmaster.com',
+  path: '/',
+  expires: -1,
+  session: true
+};
+
+test('toEpochSeconds accepts seconds and milliseconds and maps session values to null', () => {
+  assert.equal(toEpochSeconds(1900000000), 1900000000);
+  assert.equal(toEpochSeconds(1900000000123), 1900000000);
+  assert.equal(toEpochSeconds(1900000000.7), 1900000000);
+  assert.equal(toEpochSeconds(-1), null);
+  assert.equal(toEpochSeconds(0), null);
+  assert.equal(toEpochSeconds(undefined), null);
+  assert.equal(toEpochSeconds(Infinity), null);
+});
+
+test('getExpiry treats session cookies as having no expiry', () => {
+  assert.equal(getExpiry(persistent), 1900000000);
+  assert.equal(getExpiry({ ...persistent, session: true }), null);
+  assert.equal(getExpiry({ name: 'a', expiry: 1900000000 }), 1900000000);
+});
+
+test('toNetscape writes one tab-separated line per cookie', () => {
+  const lines = toNetscape([persistent, session]).trimEnd().split('\n');
+
+  assert.equal(lines[0], '# Netscape HTTP Cookie File');
+  assert.deepEqual(lines[3].split('\t'), ['#HttpOnly_.ticketmaster.com', 'TRUE', '/', 'TRUE', '1900000000', 'TMUO', 'abc']);
+  assert.deepEqual(lines[4].split('\t'), ['www.ticketmaster.com', 'FALSE', '/', 'FALSE', '0', 'SID', 'xyz']);
+});
+
+test('toCookieHeader joins name=value pairs', () => {
+  assert.equal(toCookieHeader([persistent, session]), 'TMUO=abc; SID=xyz');
+  assert.equal(toCookieHeader([]), '');
+});
+
+test('toHar omits expires for session cookies', () => {
+  const [first, second] = toHar([persistent, session]);
+
+  assert.equal(first.expires, new Date(1900000000 * 1000).toISOString());
+  assert.equal(first.httpOnly, true);
+  assert.equal('expires' in second, false);
+  assert.equal(second.secure, false);
+});
+
+test('toToughCookieJar strips the leading dot and marks host-only cookies', () => {
+  const jar = toToughCookieJar([persistent, session]);
+  const [first, second] = jar.cookies;
+
+  assert.equal(jar.storeType, 'MemoryCookieStore');
+  assert.equal(first.domain, 'ticketmaster.com');
+  assert.equal(first.hostOnly, false);
+  assert.equal(first.sameSite, 'lax');
+  assert.equal(second.domain, 'www.ticketmaster.com');
+  assert.equal(second.hostOnly, true);
+  assert.equal('expires' in second, false);
+});
+
+test('COOKIE_FORMATS only has the supported formats as own keys', () => {
+  assert.deepEqual(Object.keys(COOKIE_FORMATS), ['json', 'netscape', 'header', 'har', 'tough-cookie']);
+  for (const name of ['__proto__', 'constructor', 'toString']) {
+    assert.equal(Object.hasOwn(COOKIE_FORMATS, name), false);
+  }
+  assert.deepEqual(JSON.parse(COOKIE_FORMATS.json.serialize([session])), [session]);
+});
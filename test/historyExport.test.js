@@ -0,0 +1,57 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  HISTORY_EXPORT_FIELDS,
+  toExportRow,
+  toCsvCell,
+  toCsvLine,
+  HISTORY_EXPORT_FORMATS
+} from '../src/helpers/historyExport.js';
+
+test('toCsvCell prefixes text starting with a formula character', () => {
+  assert.equal(toCsvCell('=HYPERLINK("http://evil")'), '"\'=HYPERLINK(""http://evil"")"');
+  assert.equal(toCsvCell('+1+1'), "'+1+1");
+  assert.equal(toCsvCell('-2+3'), "'-2+3");
+  assert.equal(toCsvCell('@SUM(A1)'), "'@SUM(A1)");
+  assert.equal(toCsvCell('\t=1'), "'\t=1");
+  assert.equal(toCsvCell('\r=1'), '"\'\r=1"');
+  assert.equal(toCsvCell('a=b'), 'a=b');
+});
+
+test('toCsvCell leaves numbers alone, even negative ones', () => {
+  assert.equal(toCsvCell(-5), '-5');
+  assert.equal(toCsvCell(0), '0');
+  assert.equal(toCsvCell(false), 'false');
+});
+
+test('toCsvCell quotes commas, quotes and line breaks', () => {
+  assert.equal(toCsvCell('a,b'), '"a,b"');
+  assert.equal(toCsvCell('say "hi"'), '"say ""hi"""');
+  assert.equal(toCsvCell('line\nbreak'), '"line\nbreak"');
+  assert.equal(toCsvCell('plain'), 'plain');
+});
+
+test('toCsvCell writes missing values as empty cells', () => {
+  assert.equal(toCsvCell(null), '');
+  assert.equal(toCsvCell(undefined), '');
+});
+
+test('toExportRow keeps only the export fields and formats dates', () => {
+  const startTime = new Date('2026-10-01T12:00:00.000Z');
+  const row = toExportRow({ refreshId: 'r1', startTime, fingerprint: { secret: true }, duration: 0 });
+
+  assert.deepEqual(Object.keys(row), HISTORY_EXPORT_FIELDS);
+  assert.equal(row.startTime, '2026-10-01T12:00:00.000Z');
+  assert.equal(row.duration, 0);
+  assert.equal(row.profile, null);
+  assert.equal('fingerprint' in row, false);
+});
+
+test('toCsvLine matches the CSV header columns', () => {
+  const line = toCsvLine({ refreshId: 'r1', status: 'failed', errorMessage: '=cmd|calc' });
+  const cells = line.trimEnd().split(',');
+
+  assert.ok(line.endsWith('\r\n'));
+  assert.equal(cells.length, HISTORY_EXPORT_FORMATS.csv.header.trimEnd().split(',').length);
+  assert.equal(cells[HISTORY_EXPORT_FIELDS.indexOf('errorMessage')], "'=cmd|calc");
+});